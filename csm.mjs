@@ -0,0 +1,5 @@
+import * as THREE from "three";
+const re = /#if \( NUM_DIR_LIGHTS > 0 \) && defined\( RE_Direct \)[\s\S]*?#pragma unroll_loop_end\s*#endif/;
+const m = THREE.ShaderChunk.lights_fragment_begin.match(re);
+console.log(m ? m[0] : "NO MATCH");
+console.log(THREE.ShaderChunk.shadowmap_pars_fragment.match(/float getShadow\([^)]*\)/)[0]);
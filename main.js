@@ -13,11 +13,20 @@ import * as THREE from "three";
 import { PointerLockControls } from "three/addons/controls/PointerLockControls.js";
 import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
 
-import { createAbiskoTerrain } from "./src/environment/abiskoTerrain.js";
+import { createTerrainTileManager } from "./src/environment/terrainTiles.js";
+import { TERRAIN_DEBUG_VIEWS } from "./src/environment/abiskoTerrain.js";
+import { createHorizon } from "./src/environment/horizon.js";
+import { downloadTerrainExport } from "./src/environment/terrainExport.js";
 import { addLights } from "./src/environment/lights.js";
-import { createSunShadowFollower } from "./src/environment/shadows.js";
-import { loadHDRI } from "./src/environment/hdri.js";
+import { createCascadedSunShadows } from "./src/environment/shadows.js";
+import { createEnvironmentManager } from "./src/environment/environmentManager.js";
 import Snow from "./src/environment/snow.js";
+import { createSnowCover } from "./src/environment/snowCover.js";
+import { createWeather } from "./src/environment/weather.js";
+import { createTimeOfDay } from "./src/environment/timeOfDay.js";
+import { createNightSky } from "./src/environment/nightSky.js";
+import { createAtmosphere } from "./src/environment/atmosphere.js";
+import { createLocalLights } from "./src/environment/localLights.js";
 
 import {
   clearColliders,
@@ -59,13 +68,18 @@ const camera = new THREE.PerspectiveCamera(
 let snow = null;
 
 // Instantiate snow with default options; starts immediately
-// You can tweak count/size/speed/wind as desired.
+// You can tweak count/size/speed/wind as desired. GPU mode animates the
+// flakes in the vertex shader, so the count is no longer bound by the CPU.
+// The volume follows the player (see tick()) and flakes land on the terrain.
+// Density, fall speed and wind come from the weather controller below.
 snow = new Snow(scene, {
-  count: 2500,
-  size: 1.6,
-  speed: 18,
+  mode: "gpu",
+  count: 100000,
+  area: { x: 120, y: 60, z: 120 },
+  size: 0.12,
+  speed: 3,
+  settleTime: 1.5,
   texturePath: "./assets/textures/snowflake-svgrepo-com.svg",
-  wind: new THREE.Vector3(3, 0, 1),
 });
 
 // ------------------------------------------------------------
@@ -92,6 +106,12 @@ const MAX_STEP = 0.10; // 10 cm per sub-step
 // Terrain edge buffer: stop ~5 meters before the map boundary.
 const EDGE_BUFFER = 5.0; // meters
 
+// Footprints in the snow (terrain.userData.stampFootprint)
+const WALK_STRIDE = 1.1;    // meters between prints while walking
+const RUN_STRIDE = 1.6;     // ... and while running
+const FOOT_SPACING = 0.15;  // left/right offset of a print from the path (meters)
+const FOOT_RADIUS = 0.18;   // meters
+
 // Initial camera position (will be reset once terrain is ready)
 camera.position.set(0, 120, 180);
 
@@ -105,50 +125,223 @@ document.addEventListener("click", () => {
 });
 
 // ------------------------------------------------------------
-// Lighting + shadow-follow system
+// Lighting + cascaded sun shadows
 // ------------------------------------------------------------
 //
-// The "shadow follower" moves the directional light's shadow camera with the player.
-// Without it, shadows disappear as you walk away from the origin.
+// The sun's shadow is split into cascades fitted to the camera's view:
+// sharp contact shadows at your feet, coarser ones far away (see shadows.js).
+// The sun itself only sets direction / color / intensity from here on.
 
-const { sun } = addLights(scene, {
+const { sun, hemi } = addLights(scene, {
   hemiIntensity: 0.35,
   sunIntensity: 1.2,
   shadowMapSize: 2048,
 });
 
-const shadowFollower = createSunShadowFollower(sun, scene, {
-  radius: 350,
-  sunOffset: new THREE.Vector3(-300, 600, 200),
-  near: 1,
-  far: 2500,
-  snap: 5,
+// The light levels as tuned, before the weather scales them: the time of day
+// works from these (see below).
+const baseLight = {
+  sunIntensity: sun.intensity,
+  hemiIntensity: hemi.intensity,
+  exposure: renderer.toneMappingExposure,
+};
+
+const sunShadows = createCascadedSunShadows(sun, scene, camera, {
+  cascades: 4,
+  maxFar: 1000,
+});
+
+// ------------------------------------------------------------
+// Weather
+// ------------------------------------------------------------
+//
+// Drives snow density / speed, gusting wind, fog and light levels together.
+// A random schedule keeps the atmosphere changing; B steps through the states
+// by hand (and stops the schedule).
+
+const weather = createWeather({
+  snow,
+  sun,
+  hemi,
+  renderer,
+  scene,
+  state: "lightSnow",
+  windDirection: new THREE.Vector3(3, 0, 1),
+});
+weather.playRandom({ hold: [60, 180], transition: [15, 30] });
+
+// Snow piling up on models (roofs, tents, crates): grows while it snows,
+// slowly goes in clear weather. Starts half covered - it's Lapland in winter.
+const snowCover = createSnowCover({ snow, amount: 0.5 });
+
+function cycleWeather() {
+  const names = Object.keys(weather.states);
+  const next = names[(names.indexOf(weather.getState()) + 1) % names.length];
+  weather.stopSchedule();
+  weather.setState(next, { duration: 5 });
+  console.log("Weather:", next);
+}
+
+// ------------------------------------------------------------
+// Time of day
+// ------------------------------------------------------------
+//
+// The real sun over Abisko for a date and time: it moves the sun, colors and
+// dims the light and the sky, and sets the weather's base light levels.
+// Start at ?time=2026-06-21T00:30:00%2B02:00 (any date string with a zone),
+// T changes how fast time runs, J jumps between a few typical moments.
+
+const TIME_SCALES = [60, 600, 3600, 0, 1]; // simulated seconds per real second
+const TIME_PRESETS = [
+  { name: "late winter morning", date: "2026-03-10T10:30:00+01:00" },
+  { name: "midnight sun", date: "2026-06-21T00:30:00+02:00" },
+  { name: "polar night noon", date: "2026-12-21T12:00:00+01:00" },
+  { name: "winter night", date: "2026-01-20T22:00:00+01:00" },
+];
+
+// A ?time= that doesn't parse falls back to the first preset instead of
+// stopping the page.
+function startDate() {
+  const requested = new URLSearchParams(window.location.search).get("time");
+  if (requested == null) return TIME_PRESETS[0].date;
+  if (Number.isFinite(Date.parse(requested))) return requested;
+  console.warn(`Ignoring ?time=${requested}: not a date, starting at ${TIME_PRESETS[0].date}.`);
+  return TIME_PRESETS[0].date;
+}
+
+const timeOfDay = createTimeOfDay({
+  sun,
+  hemi,
+  renderer,
+  scene,
+  weather,
+  base: baseLight,
+  date: startDate(),
+  timeScale: TIME_SCALES[0],
+});
+
+let timeScaleIndex = 0;
+let timePresetIndex = 0;
+
+function cycleTimeScale() {
+  timeScaleIndex = (timeScaleIndex + 1) % TIME_SCALES.length;
+  timeOfDay.setTimeScale(TIME_SCALES[timeScaleIndex]);
+  console.log("Time scale:", TIME_SCALES[timeScaleIndex] ? `${TIME_SCALES[timeScaleIndex]}x` : "paused");
+}
+
+function jumpToTimePreset() {
+  timePresetIndex = (timePresetIndex + 1) % TIME_PRESETS.length;
+  const preset = TIME_PRESETS[timePresetIndex];
+  timeOfDay.setDate(preset.date);
+  console.log(`Time: ${preset.name} (${preset.date}), sun ${timeOfDay.state.elevation.toFixed(1)} deg`);
+}
+
+// ------------------------------------------------------------
+// Atmosphere
+// ------------------------------------------------------------
+//
+// Height fog that pools in the valleys, blue haze on far ridges and a glow
+// towards the sun, on everything that takes fog (terrain, horizon, models,
+// snow). The weather sets the visibility, the time of day the colors.
+
+const atmosphere = createAtmosphere({ scene, sun, weather, timeOfDay });
+
+// ------------------------------------------------------------
+// Night sky
+// ------------------------------------------------------------
+//
+// Stars, the moon and the northern lights for the same date and place; they
+// fade in as the sun goes down (try J -> "winter night"). N cycles the aurora
+// activity.
+
+const AURORA_ACTIVITIES = [0.5, 0.8, 1, 0, 0.2];
+let auroraActivityIndex = 0;
+
+const nightSky = createNightSky({
+  scene,
+  camera,
+  timeOfDay,
+  weather,
+  renderer,
+  activity: AURORA_ACTIVITIES[0],
 });
 
+function cycleAuroraActivity() {
+  auroraActivityIndex = (auroraActivityIndex + 1) % AURORA_ACTIVITIES.length;
+  nightSky.setActivity(AURORA_ACTIVITIES[auroraActivityIndex]);
+  console.log("Aurora activity:", AURORA_ACTIVITIES[auroraActivityIndex]);
+}
+
 // ------------------------------------------------------------
-// HDRI (environment lighting / reflections)
+// Sky / environment (lighting, reflections, background)
 // ------------------------------------------------------------
+//
+// The procedural sky shows at once and follows the sun; the EXR fades in when
+// it has loaded (it's not in git - without it the procedural sky stays).
+// ?sky=procedural starts without the EXR, H cycles the skies.
 
 const pmrem = new THREE.PMREMGenerator(renderer);
-pmrem.compileEquirectangularShader();
-loadHDRI("./assets/skybox/hdr/sunlight_4k.exr", scene, pmrem);
+
+const environment = createEnvironmentManager({
+  renderer,
+  scene,
+  pmrem,
+  timeOfDay,
+  sources: {
+    procedural: { type: "procedural" },
+    sunlight: { url: "./assets/skybox/hdr/sunlight_4k.exr" },
+  },
+});
+
+const startSky = new URLSearchParams(window.location.search).get("sky") ?? "sunlight";
+environment
+  .setEnvironment("procedural", { duration: 0 })
+  .then(() => startSky !== "procedural" && environment.setEnvironment(startSky))
+  .catch((err) => console.warn("Sky failed:", err));
+
+function cycleEnvironment() {
+  const names = environment.names();
+  const next = names[(names.indexOf(environment.getEnvironment()) + 1) % names.length];
+  environment
+    .setEnvironment(next)
+    .then((shown) => console.log("Sky:", shown))
+    .catch((err) => console.warn("Sky failed:", err));
+}
 
 // ------------------------------------------------------------
 // Terrain
 // ------------------------------------------------------------
 //
-// createAbiskoTerrain() is assumed to attach a height sampler at:
-//   terrain.userData.getHeightAt(x, z) -> y
+// The terrain is streamed in tiles (assets/terrain/tiles.json) around the player.
+// The tile manager's root exposes the same sampler as a single terrain:
+//   terrain.userData.getHeightAt(x, z) -> y   (null where no tile is loaded)
 //
-// We also compute the terrain bounding box once and use it to clamp movement,
-// with an additional EDGE_BUFFER so we stop BEFORE the map ends.
+// Movement is clamped to the XZ rectangle of the currently loaded tiles,
+// with an additional EDGE_BUFFER so we stop BEFORE the loaded region ends.
+
+const loadingEl = document.querySelector("#loading");
+
+const terrainTiles = createTerrainTileManager({
+  indexUrl: "/assets/terrain/tiles.json",
+  loadRadius: 1,
+  unloadRadius: 2,
+  // Tiles decode/build in a worker, so the page keeps rendering; show how far along it is.
+  onProgress: (tile, { stage, progress }) => {
+    if (loadingEl.hidden) return; // only the startup tile is worth a message
+    loadingEl.textContent = `Loading terrain ${tile.x},${tile.z}: ${stage} ${Math.round(progress * 100)}%`;
+  },
+});
 
 let terrain = null;
 let terrainReady = false;
 
-// Terrain bounds in XZ, computed once after terrain is added to the scene.
+// Terrain bounds in XZ; refreshed every step because tiles stream in and out.
 let terrainXZ = null;
 
+// Low-detail landscape around the loaded tiles (visual only, no collisions).
+// The hard limit for the player stays clampPlayerToTerrainBounds().
+let horizon = null;
+
 /**
  * Terrain height query helper.
  * Returns null if terrain not ready or the sampler doesn't provide a valid number.
@@ -162,29 +355,33 @@ function getGroundY(x, z) {
 }
 
 /**
- * Compute terrain bounds in world space. We use these to keep the player inside the map.
+ * Compute terrain bounds in world space (union of loaded tiles).
+ * We use these to keep the player inside the map.
  */
 function computeTerrainBoundsXZ() {
   if (!terrain) return null;
 
-  const box = new THREE.Box3().setFromObject(terrain);
-  if (box.isEmpty()) return null;
+  const prev = terrainXZ;
+  terrainXZ = terrain.userData.getBoundsXZ();
 
-  terrainXZ = {
-    minX: box.min.x,
-    maxX: box.max.x,
-    minZ: box.min.z,
-    maxZ: box.max.z,
-  };
+  // Loaded area grew/shrank (tiles streamed in or out): move the backdrop with it.
+  if (terrainXZ && !sameBoundsXZ(prev, terrainXZ)) {
+    horizon?.rebuild(terrainXZ);
+    snow?.refreshGround(); // new tiles under the snow volume
+  }
   return terrainXZ;
 }
 
+function sameBoundsXZ(a, b) {
+  return !!a && a.minX === b.minX && a.maxX === b.maxX && a.minZ === b.minZ && a.maxZ === b.maxZ;
+}
+
 /**
  * Clamp player position in XZ so they cannot reach the terrain edge.
  * We stop EDGE_BUFFER meters before the bounds, plus a small margin for player radius.
  */
 function clampPlayerToTerrainBounds() {
-  if (!terrainXZ) return;
+  if (!computeTerrainBoundsXZ()) return;
 
   // We include player radius so the camera doesn't visually "touch" the boundary.
   const margin = EDGE_BUFFER + PLAYER_RADIUS + 0.05;
@@ -205,48 +402,44 @@ function clampPlayerToTerrainBounds() {
 // Build terrain asynchronously
 (async () => {
   try {
-    terrain = await createAbiskoTerrain({
-      heightUrl: "/assets/terrain/height_1km_2m_16bit.png",
-      slopeUrl: "/assets/terrain/slope_deg.png",
-      hillshadeUrl: "/assets/terrain/hillshade.png",
-    });
-
-    terrain.position.set(0, 0, 0);
+    terrain = terrainTiles.root;
     scene.add(terrain);
 
+    // Wait for the tile under the spawn point; neighbours keep streaming in.
+    await terrainTiles.loadAround(new THREE.Vector3(0, 0, 0));
+
     terrainReady = true;
+    loadingEl.hidden = true;
     computeTerrainBoundsXZ();
 
-    // If we have a snow system, expand it to cover the whole terrain.
-    if (snow) {
-      const box = new THREE.Box3().setFromObject(terrain);
-      if (!box.isEmpty()) {
-        const margin = 10; // extra padding around terrain
-        const area = {
-          x: Math.max(100, box.max.x - box.min.x + margin),
-          y: Math.max(120, box.max.y - box.min.y + 80),
-          z: Math.max(100, box.max.z - box.min.z + margin),
-        };
-
-        const center = new THREE.Vector3(
-          (box.min.x + box.max.x) * 0.5,
-          0,
-          (box.min.z + box.max.z) * 0.5
-        );
-
-        const groundY = box.min.y;
-        snow.setArea(area, center, groundY);
-      }
-    }
+    horizon = createHorizon({
+      bounds: terrainXZ,
+      sampleHeight: (x, z) => terrain.userData.getHeightAt(x, z),
+    });
+    scene.add(horizon.mesh);
+
+    // Flakes land on the actual terrain (and settle briefly) instead of a flat floor.
+    if (snow) snow.setGround((x, z) => terrain.userData.getHeightAt(x, z));
     // Spawn the player safely above the snow at (0,0)
     const y0 = getGroundY(0, 0);
     const safeY = (y0 ?? 0) + EYE_HEIGHT + 5.0;
     controls.object.position.set(0, safeY, 0);
   } catch (e) {
     console.error("Failed to create Abisko terrain:", e);
+    loadingEl.textContent = "Terrain failed to load (see console).";
   }
 })();
 
+// ------------------------------------------------------------
+// Local lights (lanterns, campfires, windows in the models)
+// ------------------------------------------------------------
+//
+// Models mark them with node names ("light:lantern") or glTF extras
+// ({ "light": "campfire" }); they flicker, glow and fade in at dusk. Only the
+// two nearest cast shadows.
+
+const localLights = createLocalLights({ camera, timeOfDay, shadowBudget: 2 });
+
 // ------------------------------------------------------------
 // GLB loader + colliders
 // ------------------------------------------------------------
@@ -278,18 +471,23 @@ gltfLoader.load(
 
     // Add to scene so Box3 sees it
     scene.add(model);
+    localLights.addFromObject(model);
+    // After the lights: the glow copies they make of shared materials get snow too.
+    snowCover.apply(model);
 
     /**
-     * Move the model vertically so its bounding box bottom rests on the terrain.
+     * Level a pad under the model's footprint and set it down on it.
+     * (Sampling the ground at one point left it floating on the downhill side
+     * and buried on the uphill side.)
      */
     const placeOnSnow = () => {
-      const groundY = getGroundY(model.position.x, model.position.z);
-      if (groundY == null) return false;
+      if (getGroundY(model.position.x, model.position.z) == null) return false;
 
-      const box = new THREE.Box3().setFromObject(model);
-      const lift = groundY + GROUND_EPS - box.min.y;
-      model.position.y += lift;
+      const padY = terrain.userData.flattenUnder(model, { padding: 1.0, falloff: 6.0 });
+      if (padY == null) return false;
 
+      // Same small clearance as the old single-point placement.
+      model.position.y += GROUND_EPS;
       model.updateMatrixWorld(true);
       return true;
     };
@@ -333,7 +531,8 @@ gltfLoader.load(
 );
 
 // ------------------------------------------------------------
-// Input (WASD + SHIFT run + SPACE jump)
+// Input (WASD + SHIFT run + SPACE jump, V = terrain debug view, B = weather,
+// T = time speed, J = jump in time, N = aurora, H = sky, X = export)
 // ------------------------------------------------------------
 //
 // We keep a Set of currently pressed keys.
@@ -342,6 +541,34 @@ gltfLoader.load(
 const keys = new Set();
 let jumpQueued = false;
 
+// V cycles the terrain shader debug views (off -> slope -> snow -> ... -> off).
+const debugViewNames = Object.keys(TERRAIN_DEBUG_VIEWS);
+let debugViewIndex = 0;
+
+function cycleTerrainDebugView() {
+  if (!terrainReady) return;
+  debugViewIndex = (debugViewIndex + 1) % debugViewNames.length;
+  terrain.userData.setDebugView(debugViewNames[debugViewIndex]);
+  console.log("Terrain debug view:", debugViewNames[debugViewIndex]);
+}
+
+// X downloads the loaded terrain as GLB (SHIFT + X: OBJ), with the snow/rock
+// colors baked in, for modelling in Blender. Real elevations, edits included.
+let exporting = false;
+
+async function exportTerrainDownload(format) {
+  if (!terrainReady || exporting) return;
+  exporting = true;
+  try {
+    await downloadTerrainExport(terrain, { format, vertexColors: "snow" });
+    console.log(`Terrain exported (${format}).`);
+  } catch (err) {
+    console.error("Terrain export failed:", err);
+  } finally {
+    exporting = false;
+  }
+}
+
 window.addEventListener("keydown", (e) => {
   // Prevent the browser from scrolling the page on SPACE
   if (e.code === "Space") e.preventDefault();
@@ -351,6 +578,14 @@ window.addEventListener("keydown", (e) => {
     jumpQueued = true;
   }
 
+  if (e.code === "KeyV" && !e.repeat) cycleTerrainDebugView();
+  if (e.code === "KeyB" && !e.repeat) cycleWeather();
+  if (e.code === "KeyT" && !e.repeat) cycleTimeScale();
+  if (e.code === "KeyJ" && !e.repeat) jumpToTimePreset();
+  if (e.code === "KeyN" && !e.repeat) cycleAuroraActivity();
+  if (e.code === "KeyH" && !e.repeat) cycleEnvironment();
+  if (e.code === "KeyX" && !e.repeat) exportTerrainDownload(e.shiftKey ? "obj" : "glb");
+
   keys.add(e.code);
 });
 
@@ -370,10 +605,54 @@ const move = new THREE.Vector3();     // world move direction
 
 const clock = new THREE.Clock();
 
+// Re-baking the computed hillshade costs a few ms per tile: at most this
+// often (real time), however fast the time of day runs.
+const HILLSHADE_INTERVAL_MS = 1000;
+let lastHillshadeMs = -Infinity;
+
 // Reusable vectors to avoid per-frame allocations
 const prevPos = new THREE.Vector3();
 const prevStep = new THREE.Vector3();
-const playerGroundPos = new THREE.Vector3();
+
+// Footstep state: distance walked since the last print, which foot is next,
+// and whether we were on the ground last frame (landing leaves both feet).
+let strideLeft = 0;
+let leftFoot = true;
+let wasOnGround = true;
+const footPos = new THREE.Vector3();
+
+function stampFoot(side, opts) {
+  footPos.copy(controls.object.position).addScaledVector(right, side * FOOT_SPACING);
+  terrain.userData.stampFootprint(footPos, { radius: FOOT_RADIUS, ...opts });
+}
+
+/**
+ * Leaves prints while walking on the ground: one foot every stride, both on landing.
+ * Call after the player moved this frame.
+ */
+function updateFootprints(groundY, isRunning) {
+  if (!terrainReady) return;
+
+  const onGround = groundY != null && controls.object.position.y <= groundY + EYE_HEIGHT + 0.02;
+
+  if (onGround && !wasOnGround) {
+    stampFoot(-1, { pack: 0.4 });
+    stampFoot(1, { pack: 0.4 });
+    strideLeft = 0;
+  } else if (onGround) {
+    strideLeft += Math.hypot(
+      controls.object.position.x - prevPos.x,
+      controls.object.position.z - prevPos.z
+    );
+    const stride = isRunning ? RUN_STRIDE : WALK_STRIDE;
+    if (strideLeft >= stride) {
+      strideLeft %= stride;
+      stampFoot(leftFoot ? -1 : 1);
+      leftFoot = !leftFoot;
+    }
+  }
+  wasOnGround = onGround;
+}
 
 function tick() {
   requestAnimationFrame(tick);
@@ -512,20 +791,43 @@ function tick() {
       }
     }
 
-    // ----------------------------
-    // Shadow follow update
-    // We center the shadow box around the player's ground-ish position.
-    // ----------------------------
     const gy2 = getGroundY(controls.object.position.x, controls.object.position.z);
-    playerGroundPos.set(
-      controls.object.position.x,
-      gy2 ?? (controls.object.position.y - EYE_HEIGHT),
-      controls.object.position.z
-    );
-    shadowFollower.update(playerGroundPos);
+    updateFootprints(gy2, isRunning);
+  }
+
+  // Terrain LOD: pick chunk resolution around the camera (also while unlocked,
+  // so the overview before clicking is not stuck on the initial selection).
+  if (terrainReady) terrain.userData.updateLod(controls.object.position);
+
+  // Footprints fill back in while it snows (and new prints get uploaded).
+  if (terrainReady) terrain.userData.updateTrails(dt, snow ? snow.getSnowfall() : 0);
+
+  timeOfDay.update(dt); // before the weather: it sets the weather's base light
+  weather.update(dt);
+
+  // Computed hillshade lit from the actual sun instead of GDAL's north-west
+  // default, following it through the day (once a second at most, and only
+  // for steps over 0.5°, checked inside).
+  const now = performance.now();
+  if (terrainReady && timeOfDay.state.elevation > 0 && now - lastHillshadeMs >= HILLSHADE_INTERVAL_MS) {
+    lastHillshadeMs = now;
+    terrain.userData.setHillshadeFromSun(timeOfDay.state.direction);
   }
 
-  if (typeof snow !== 'undefined' && snow) snow.update(dt);
+  environment.update(dt); // crossfades, and re-bakes the procedural sky as the sun moves
+  atmosphere.update();
+  localLights.update(dt);
+  nightSky.update(dt); // after both: follows the sun and the snowfall
+  snowCover.update(dt);
+
+  if (typeof snow !== 'undefined' && snow) {
+    snow.follow(controls.object.position);
+    snow.update(dt);
+  }
+
+  // Cascades follow the camera (after everything that moves it or the sun).
+  sunShadows.update();
+
   renderer.render(scene, camera);
 }
 
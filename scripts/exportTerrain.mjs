@@ -0,0 +1,119 @@
+// scripts/exportTerrain.mjs
+// -----------------------------------------------------------------------------
+// Headless terrain export (no browser, no WebGL):
+//
+//   npm install
+//   node scripts/exportTerrain.mjs [options]
+//
+// Options:
+//   --dem <path>          DEM file (default: assets/terrain/dem_1km_2m.tif)
+//   --out <path>          output file; its extension picks the format (.glb, .gltf, .obj)
+//   --format <fmt>        glb | gltf | obj (overrides the extension)
+//   --colors <mode>       bake vertex colors: snow | slope
+//   --stride <n>          keep every n-th DEM sample (default 1 = full resolution)
+//   --shifted             y = 0 at the DEM minimum instead of real elevations
+//   --elev-base <m>       datum for --shifted (default: DEM minimum)
+//
+// Example:
+//   node scripts/exportTerrain.mjs --out abisko.glb --colors snow
+//
+// The same DEM pipeline as the browser runs here (buildTerrainData), so the
+// exported heights match the scene exactly.
+// -----------------------------------------------------------------------------
+
+import { readFile, writeFile } from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+
+import { buildTerrainData } from "../src/environment/terrainBuild.js";
+import { exportTerrain, getExportGridSize, TERRAIN_EXPORT_FORMATS } from "../src/environment/terrainExport.js";
+
+// ------------------------------------------------------------
+// Browser globals the shared code expects
+// ------------------------------------------------------------
+
+// Node's fetch has no file: support; the DEM loader fetches by url.
+const nativeFetch = globalThis.fetch;
+globalThis.fetch = async (input, init) => {
+  const url = new URL(String(input), pathToFileURL(`${process.cwd()}/`));
+  if (url.protocol !== "file:") return nativeFetch(input, init);
+  return new Response(await readFile(url));
+};
+
+// GLTFExporter reads its output Blob through FileReader.
+globalThis.FileReader ??= class FileReader {
+  readAsArrayBuffer(blob) {
+    blob.arrayBuffer().then((buffer) => {
+      this.result = buffer;
+      this.onloadend?.();
+    });
+  }
+
+  readAsDataURL(blob) {
+    blob.arrayBuffer().then((buffer) => {
+      this.result = `data:${blob.type || "application/octet-stream"};base64,${Buffer.from(buffer).toString("base64")}`;
+      this.onloadend?.();
+    });
+  }
+};
+
+// ------------------------------------------------------------
+// Export
+// ------------------------------------------------------------
+
+const { values: args } = parseArgs({
+  options: {
+    dem: { type: "string", default: "assets/terrain/dem_1km_2m.tif" },
+    out: { type: "string", default: "terrain.glb" },
+    format: { type: "string" },
+    colors: { type: "string" },
+    stride: { type: "string", default: "1" },
+    shifted: { type: "boolean", default: false },
+    "elev-base": { type: "string" },
+  },
+});
+
+const format = args.format ?? args.out.slice(args.out.lastIndexOf(".") + 1).toLowerCase();
+if (!TERRAIN_EXPORT_FORMATS.includes(format)) {
+  console.error(`Unknown format "${format}" (use ${TERRAIN_EXPORT_FORMATS.join(", ")}).`);
+  process.exit(1);
+}
+
+const stride = Number(args.stride);
+if (!Number.isInteger(stride) || stride < 1) {
+  console.error(`--stride needs a positive whole number (got "${args.stride}").`);
+  process.exit(1);
+}
+
+console.log(`Building terrain from ${args.dem} ...`);
+const data = await buildTerrainData({
+  url: args.dem,
+  elevBaseM: args["elev-base"] != null ? Number(args["elev-base"]) : null,
+  prebuildLevels: 0, // chunk buffers are not needed for the export
+});
+
+const result = await exportTerrain(
+  {
+    heights: data.heights,
+    width: data.dem.width,
+    height: data.dem.height,
+    sizeX: data.sizeX,
+    sizeZ: data.sizeZ,
+    elevBaseM: data.baseM,
+    crs: data.dem.crs,
+    bbox: data.dem.bbox,
+  },
+  {
+    format,
+    stride,
+    realElevation: !args.shifted,
+    vertexColors: args.colors ?? null,
+  }
+);
+
+await writeFile(args.out, typeof result === "string" ? result : Buffer.from(result));
+const grid = getExportGridSize(data.dem.width, data.dem.height, stride);
+console.log(
+  `Wrote ${args.out} (${format}, ${grid.columns} x ${grid.rows} vertices from ` +
+    `${data.dem.width} x ${data.dem.height} DEM samples, stride ${stride})`
+);
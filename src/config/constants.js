@@ -21,3 +21,9 @@ export const TERRAIN = {
   SIZE: 260,
   HALF: 260 / 2,
 };
+
+// Abisko (Torne Träsk shore), for the sun and sky. Degrees, east positive.
+export const ABISKO = {
+  LATITUDE: 68.35,
+  LONGITUDE: 18.83,
+};
@@ -1,13 +1,44 @@
 import * as THREE from "three";
 
+import { buildTerrainData, buildTerrainDataInWorker } from "./terrainBuild.js";
+import { createChunkedTerrain } from "./terrainChunks.js";
+import { createEditMask, sumHeightsInMask, applyHeightEdit, flattenUnder } from "./terrainEdit.js";
+import {
+  sampleHeight,
+  sampleNormal,
+  slopeDegFromNormal,
+  snowCoverFactor,
+  snowLineM,
+  raycastHeightfield,
+  createWorldTransform,
+} from "./terrainQueries.js";
+import {
+  createTerrainMapTexture,
+  writeSlopeMap,
+  writeHillshadeMap,
+  lightDirFromAzimuthAltitude,
+  DEFAULT_HILLSHADE_AZIMUTH_DEG,
+  DEFAULT_HILLSHADE_ALTITUDE_DEG,
+} from "./terrainMaps.js";
+import { getTerrainDetailTextures } from "./terrainDetailTextures.js";
+import { createSnowTrailMap, getEmptyTrailTexture } from "./snowTrails.js";
+
 /**
  * Abisko DEM terrain (1 km x 1 km) driven by:
- *  - height_1km_2m_16bit.png  (CPU: vertex displacement)
+ *  - dem_1km_2m.tif           (CPU: vertex displacement, real meters + georeferencing)
+ *    or height_1km_2m_16bit.png as a fallback (full 16-bit, needs ELEV_MIN_M/ELEV_MAX_M below)
+ *    or any other encoding loadDem() understands (Terrarium/Mapbox RGB, .r16/.raw)
  *  - slope_deg.png           (GPU: snow vs rock)
  *  - hillshade.png           (GPU: contrast/readability)
+ *    both can instead be computed from the heights (terrainMaps.js); the computed
+ *    hillshade can follow the scene's sun via userData.setHillshadeFromSun()
+ *  - snow cover from slope, snow line, aspect and season (userData.setSnowCover())
+ *  - triplanar rock / gravel / snow detail textures up close (terrainDetailTextures.js)
+ *  - footprints and packed trails in the snow (snowTrails.js, userData.stampFootprint())
  *
  * Key design goals:
- *  - Keep geometry interactive (downsample the PNG if it's huge)
+ *  - Keep geometry interactive: quadtree chunks with distance LOD (terrainChunks.js),
+ *    full DEM resolution near the camera, coarse chunks far away
  *  - Expose a reliable height query API for:
  *      - camera ground clamp (FPS movement)
  *      - model placement (sit on snow)
@@ -18,24 +49,74 @@ import * as THREE from "three";
 // Scene scale / performance knobs
 // ------------------------------------------------------------
 
+// Only used by the PNG fallback path; GeoTIFFs carry their own pixel size.
 const TERRAIN_SIZE_M = 1000; // 1km x 1km
 
-// Prevent insane vertex counts (PNG can be 2000x2000+).
-// We'll downsample so we keep <= ~512 segments per side.
-const MAX_SEGMENTS = 512;
+// Quadtree LOD: every chunk has CHUNK_SEGMENTS x CHUNK_SEGMENTS quads at its level.
+// A chunk is split while the camera is closer than LOD_DISTANCE_FACTOR * its size.
+// (32 segments + factor 2 keeps the triangle count close to the old 512x512 plane.)
+const CHUNK_SEGMENTS = 32;
+const LOD_DISTANCE_FACTOR = 2.0;
 
-// Elevation range (meters) for YOUR crop (from gdalinfo stats of tile_abisko)
-// Update these if you change crop.
+// Elevation range (meters) for the PNG fallback (from gdalinfo stats of tile_abisko).
+// The GeoTIFF path reads real elevations and ignores these.
 const ELEV_MIN_M = 478.42;
 const ELEV_MAX_M = 723.65;
 
-// Snow logic (degrees)
-const SNOW_SLOPE_FULL = 12.0; // <= full snow
-const SNOW_SLOPE_NONE = 35.0; // >= no snow
+// Snow logic (degrees); terrainExport.js bakes the same rule into vertex colors
+export const SNOW_SLOPE_FULL = 12.0; // <= full snow
+export const SNOW_SLOPE_NONE = 35.0; // >= no snow
+
+// Seasonal snow cover (see terrainSnowCover() in abiskoTerrain.fragHeader.glsl).
+// Elevations are real meters. The winter line sits below the Abisko valley
+// floor (Torneträsk is at ~341 m), so season 0 is full winter cover; by the
+// summer line only the high peaks would keep snow.
+export const DEFAULT_SNOW_COVER = Object.freeze({
+  season: 0,              // 0 = deep winter .. 1 = melted (summer)
+  snowLineWinterM: 300,   // snow line at season 0
+  snowLineSummerM: 1200,  // snow line at season 1
+  snowLineBlendM: 60,     // width of the patchy transition around the line
+  aspectBiasM: 250,       // south faces: line raised by this * normal.z (north faces: lowered)
+  slopeFullDeg: SNOW_SLOPE_FULL,
+  slopeNoneDeg: SNOW_SLOPE_NONE,
+});
 
 // Base colors (linear-ish; renderer outputColorSpace handles final conversion)
-const COLOR_SNOW = new THREE.Color(0.92, 0.95, 1.0);
-const COLOR_ROCK = new THREE.Color(0.30, 0.32, 0.35);
+export const COLOR_SNOW = new THREE.Color(0.92, 0.95, 1.0);
+export const COLOR_ROCK = new THREE.Color(0.30, 0.32, 0.35);
+export const COLOR_GRAVEL = new THREE.Color(0.36, 0.34, 0.31);
+
+// Bare ground without snow: gravel up to GRAVEL_SLOPE_FULL, rock from GRAVEL_SLOPE_NONE (degrees)
+export const GRAVEL_SLOPE_FULL = 22.0;
+export const GRAVEL_SLOPE_NONE = 38.0;
+
+// Triplanar detail textures (terrainDetailTextures.js). Meters per repeat for
+// rock / gravel / snow; the far layer tiles DETAIL_FAR_TILING times larger
+// (not an integer, so the two layers never line up).
+const DETAIL_TILE_M = new THREE.Vector3(6.0, 2.5, 4.0);
+const DETAIL_NORMAL_SCALE = new THREE.Vector3(1.0, 0.8, 0.5);
+const DETAIL_FAR_TILING = 5.37;
+const DETAIL_FAR_BLEND_M = new THREE.Vector2(15, 60);
+const DETAIL_FADE_M = 250;
+
+// Snow trails (snowTrails.js): depth of a full dent / a fully packed trail
+// (meters, for the shader's normals), and the tint of packed snow.
+const TRAIL_DEPTH_M = new THREE.Vector2(0.12, 0.04);
+const TRAIL_PACKED_COLOR = new THREE.Color(0.82, 0.84, 0.88);
+
+// Debug views of the terrain shader (uDebugView, see abiskoTerrain.debugFragment.glsl).
+export const TERRAIN_DEBUG_VIEWS = Object.freeze({
+  off: 0,
+  slope: 1,
+  snow: 2,
+  hillshade: 3,
+  elevation: 4,
+  contours: 5,
+  dunes: 6,
+  sparkle: 7,
+});
+
+const DEFAULT_CONTOUR_INTERVAL_M = 10;
 
 // ------------------------------------------------------------
 // Utilities
@@ -47,138 +128,151 @@ async function fetchText(urlObj) {
   return await res.text();
 }
 
-async function loadImageData(url) {
-  // Fetch -> createImageBitmap -> draw to canvas -> get RGBA
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status} ${res.statusText}`);
-
-  const blob = await res.blob();
-  const bmp = await createImageBitmap(blob);
-
-  const canvas = document.createElement("canvas");
-  canvas.width = bmp.width;
-  canvas.height = bmp.height;
-
-  // willReadFrequently improves perf for getImageData in some browsers
-  const ctx = canvas.getContext("2d", { willReadFrequently: true });
-  ctx.drawImage(bmp, 0, 0);
-
-  const img = ctx.getImageData(0, 0, bmp.width, bmp.height);
-  return { width: bmp.width, height: bmp.height, data: img.data };
-}
-
-function computeStride(w, h) {
-  const maxSide = Math.max(w, h);
-  if (maxSide <= (MAX_SEGMENTS + 1)) return 1;
-  return Math.ceil(maxSide / (MAX_SEGMENTS + 1));
-}
-
-function sampleGray01(imageData, x, y) {
-  // Clamp to avoid out-of-bounds access
-  const xx = Math.max(0, Math.min(imageData.width - 1, x));
-  const yy = Math.max(0, Math.min(imageData.height - 1, y));
-  const i = 4 * (yy * imageData.width + xx);
-
-  // Assumes grayscale PNG (R holds the value)
-  return imageData.data[i] / 255.0;
-}
-
 // ------------------------------------------------------------
 // Public API
 // ------------------------------------------------------------
 
+/**
+ * Builds the Abisko terrain (a THREE.Group of LOD chunks).
+ *
+ * Call terrain.userData.updateLod(cameraWorldPos) once per frame to pick chunks.
+ *
+ * Height source:
+ *  - demUrl when given, decoded by loadDem() (format from demFormat or file extension).
+ *    GeoTIFFs bring their own elevations, pixel size and CRS; other encodings take
+ *    sizeM/elevMinM/elevMaxM/... from demOptions.
+ *  - heightUrl (grayscale PNG, 8 or 16 bit) otherwise: uses TERRAIN_SIZE_M + ELEV_MIN_M/ELEV_MAX_M.
+ *
+ * @param {object} [opts]
+ * @param {string|null} [opts.demUrl=null]
+ * @param {string} [opts.demFormat="auto"]  geotiff | png16 | terrarium | mapbox | raw16
+ * @param {object} [opts.demOptions]        Extra decoder options (see loadDem()).
+ * @param {string} [opts.heightUrl]
+ * @param {string|null} [opts.slopeUrl]      null -> computed from the heights
+ * @param {string|null} [opts.hillshadeUrl]  null -> computed from the heights
+ * @param {{ azimuthDeg?: number, altitudeDeg?: number }} [opts.hillshade]
+ *        Light for a computed hillshade (GDAL defaults: 315 / 45).
+ * @param {number|null} [opts.elevBaseM=null] Elevation that maps to local y = 0.
+ *        Defaults to the DEM minimum; tiles that must line up share one value.
+ * @param {(p: { stage: string, progress: number }) => void} [opts.onProgress]
+ *        Load progress (0..1 overall) while the DEM downloads and builds.
+ * @param {boolean} [opts.useWorker=true] Decode + build in a Web Worker (see terrainBuild.js).
+ * @param {Partial<typeof DEFAULT_SNOW_COVER>} [opts.snowCover]  Initial snow cover (userData.setSnowCover()).
+ * @param {boolean} [opts.detail=true]     Triplanar rock / gravel / snow detail textures up close.
+ * @param {object} [opts.detailTextures]   Texture urls per layer (see getTerrainDetailTextures());
+ *        procedural maps are used for anything not given.
+ * @param {boolean} [opts.trails=true]     Footprints / packed trails in the snow (userData.stampFootprint()).
+ * @returns {Promise<THREE.Group>}
+ */
 export async function createAbiskoTerrain({
+  demUrl = null,
+  demFormat = "auto",
+  demOptions = {},
+  elevBaseM = null,
   heightUrl = "/assets/terrain/height_1km_2m_16bit.png",
   slopeUrl = "/assets/terrain/slope_deg.png",
   hillshadeUrl = "/assets/terrain/hillshade.png",
+  hillshade = {},
+  onProgress = null,
+  useWorker = true,
+  snowCover = {},
+  detail = true,
+  detailTextures = {},
+  trails = true,
 } = {}) {
   // ------------------------------------------------------------
-  // 1) Load external GLSL snippets
+  // 1) Start the DEM build (worker) + load external GLSL snippets
   // ------------------------------------------------------------
+  //
+  // Decode, height array, normals, computed maps and the coarse chunk buffers
+  // all happen in terrainBuild.js (in a worker by default), so the page keeps
+  // rendering while a tile loads. Shaders download meanwhile.
+
+  const slopeComputed = slopeUrl == null;
+  const hillComputed = hillshadeUrl == null;
+
+  // Hillshade light in LOCAL terrain space (pointing to the light).
+  const hillLightDir = lightDirFromAzimuthAltitude(
+    hillshade.azimuthDeg ?? DEFAULT_HILLSHADE_AZIMUTH_DEG,
+    hillshade.altitudeDeg ?? DEFAULT_HILLSHADE_ALTITUDE_DEG
+  );
+
+  const buildParams = {
+    ...(demUrl
+      ? { url: demUrl, format: demFormat, decodeOpts: { sizeM: TERRAIN_SIZE_M, ...demOptions } }
+      : {
+          url: heightUrl,
+          format: "png16",
+          decodeOpts: { sizeM: TERRAIN_SIZE_M, elevMinM: ELEV_MIN_M, elevMaxM: ELEV_MAX_M },
+        }),
+    elevBaseM,
+    computeSlope: slopeComputed,
+    hillshadeLight: hillComputed ? { x: hillLightDir.x, y: hillLightDir.y, z: hillLightDir.z } : null,
+    chunkSegments: CHUNK_SEGMENTS,
+  };
+
+  const build = (useWorker ? buildTerrainDataInWorker : buildTerrainData)(buildParams, onProgress);
 
   const fragHeaderUrl = new URL("../shaders/abiskoTerrain.fragHeader.glsl", import.meta.url);
   const colorChunkUrl = new URL("../shaders/abiskoTerrain.colorFragment.glsl", import.meta.url);
   const roughChunkUrl = new URL("../shaders/abiskoTerrain.roughnessFragment.glsl", import.meta.url);
   const normalChunkUrl = new URL("../shaders/abiskoTerrain.normalFragment.glsl", import.meta.url);
+  const debugChunkUrl = new URL("../shaders/abiskoTerrain.debugFragment.glsl", import.meta.url);
 
-  const [fragHeader, colorChunk, roughChunk, normalChunk] = await Promise.all([
+  // Shared by all tiles: only the first terrain actually builds/loads them.
+  const detailSetPromise = detail ? getTerrainDetailTextures(detailTextures) : null;
+
+  const [fragHeader, colorChunk, roughChunk, normalChunk, debugChunk] = await Promise.all([
     fetchText(fragHeaderUrl),
     fetchText(colorChunkUrl),
     fetchText(roughChunkUrl),
     fetchText(normalChunkUrl),
+    fetchText(debugChunkUrl),
   ]);
 
   // ------------------------------------------------------------
-  // 2) Load heightmap pixels (CPU) + build geometry
+  // 2) DEM result: full-res heights (shifted meters) + georeferencing
   // ------------------------------------------------------------
 
-  const heightImg = await loadImageData(heightUrl);
-
-  // Downsample: reduce vertex count while still keeping terrain shape.
-  const stride = computeStride(heightImg.width, heightImg.height);
+  const built = await build;
+  const { dem, heights, sizeX, sizeZ } = built;
 
-  const sampleW = Math.floor((heightImg.width - 1) / stride) + 1;
-  const sampleH = Math.floor((heightImg.height - 1) / stride) + 1;
+  const elevMinM = dem.elevMinM;
+  const elevMaxM = dem.elevMaxM;
+  const baseM = built.baseM; // 0.0 == elevBaseM, or elevMinM by default
 
-  const segX = sampleW - 1;
-  const segY = sampleH - 1;
-
-  // Heights stored in "shifted meters":
-  //   0.0 == ELEV_MIN_M, positive upward.
-  const heights = new Float32Array(sampleW * sampleH);
-
-  // PlaneGeometry is created in XY, we rotate to XZ later.
-  const geom = new THREE.PlaneGeometry(TERRAIN_SIZE_M, TERRAIN_SIZE_M, segX, segY);
-  const pos = geom.attributes.position;
-
-  for (let i = 0; i < pos.count; i++) {
-    // Vertex indexing is row-major: x changes fastest.
-    const ix = i % (segX + 1);
-    const iy = Math.floor(i / (segX + 1));
-
-    const px = ix * stride;
-    const py = iy * stride;
-
-    const h01 = sampleGray01(heightImg, px, py);
-    const elevM = ELEV_MIN_M + h01 * (ELEV_MAX_M - ELEV_MIN_M);
-
-    const shifted = elevM - ELEV_MIN_M;
-    pos.setZ(i, shifted);
-
-    heights[iy * sampleW + ix] = shifted;
-  }
-
-  pos.needsUpdate = true;
-  geom.computeVertexNormals();
-
-  // Now the plane lies on XZ with Y up.
-  geom.rotateX(-Math.PI / 2);
+  const sampleW = dem.width;
+  const sampleH = dem.height;
 
   // ------------------------------------------------------------
-  // 3) Load slope + hillshade textures (GPU)
+  // 3) Slope + hillshade textures (GPU): baked PNGs or computed
   // ------------------------------------------------------------
+  //
+  // Computed maps arrive as bytes from the build; baked ones load as images.
 
   const texLoader = new THREE.TextureLoader();
 
-  const slopeTex = await new Promise((resolve, reject) => {
-    texLoader.load(slopeUrl, resolve, undefined, reject);
-  });
+  const loadMap = async (url, bytes) => {
+    if (url == null) return createTerrainMapTexture(sampleW, sampleH, bytes);
 
-  const hillTex = await new Promise((resolve, reject) => {
-    texLoader.load(hillshadeUrl, resolve, undefined, reject);
-  });
+    const tex = await new Promise((resolve, reject) => {
+      texLoader.load(url, resolve, undefined, reject);
+    });
 
-  // Data textures: prevent sRGB transforms
-  slopeTex.colorSpace = THREE.NoColorSpace;
-  hillTex.colorSpace = THREE.NoColorSpace;
+    // Data textures: prevent sRGB transforms
+    tex.colorSpace = THREE.NoColorSpace;
 
-  // We want them to align 1:1 with the terrain
-  slopeTex.wrapS = slopeTex.wrapT = THREE.ClampToEdgeWrapping;
-  hillTex.wrapS = hillTex.wrapT = THREE.ClampToEdgeWrapping;
+    // We want them to align 1:1 with the terrain
+    tex.wrapS = tex.wrapT = THREE.ClampToEdgeWrapping;
 
-  // Smooth a bit (reduces aliasing / shimmer)
-  slopeTex.minFilter = slopeTex.magFilter = THREE.LinearFilter;
-  hillTex.minFilter = hillTex.magFilter = THREE.LinearFilter;
+    // Smooth a bit (reduces aliasing / shimmer)
+    tex.minFilter = tex.magFilter = THREE.LinearFilter;
+    return tex;
+  };
+
+  const slopeTex = await loadMap(slopeUrl, built.slope);
+  const hillTex = await loadMap(hillshadeUrl, built.hillshade);
+  const detailSet = await detailSetPromise;
 
   // ------------------------------------------------------------
   // 4) Material + shader injection
@@ -190,16 +284,62 @@ export async function createAbiskoTerrain({
     metalness: 0.0,
   });
 
+  // Debug uniforms live outside onBeforeCompile so userData.setDebugView() can
+  // change them at any time; the compiled program reads the same objects.
+  const debugUniforms = {
+    uDebugView: { value: TERRAIN_DEBUG_VIEWS.off },
+    uElevRange: { value: new THREE.Vector2(0, elevMaxM - baseM) },
+    uElevBase: { value: baseM },
+    uContourInterval: { value: DEFAULT_CONTOUR_INTERVAL_M },
+  };
+
+  // Same idea for the snow cover (userData.setSnowCover()). uElevBase above is
+  // shared: the snow line is in real meters too.
+  const cover = { ...DEFAULT_SNOW_COVER };
+  const snowUniforms = {
+    uSnowSlopeFull: { value: SNOW_SLOPE_FULL },
+    uSnowSlopeNone: { value: SNOW_SLOPE_NONE },
+    uSnowLineM: { value: 0 },
+    uSnowLineBlendM: { value: 0 },
+    uSnowAspectM: { value: 0 },
+  };
+
+  // The trail map is swapped in on the first footprint (section 10).
+  const trailUniforms = {
+    uTrailTex: { value: getEmptyTrailTexture() },
+    uTrailTexel: { value: new THREE.Vector2(1, 1) },
+    uTrailTexelM: { value: new THREE.Vector2(1, 1) },
+    uTrailDepthM: { value: TRAIL_DEPTH_M.clone() },
+    uTrailPackedColor: { value: TRAIL_PACKED_COLOR.clone() },
+  };
+
   mat.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, debugUniforms, snowUniforms);
+    if (trails) Object.assign(shader.uniforms, trailUniforms);
+
     // ---- uniforms used by our custom GLSL ----
     shader.uniforms.uSlopeTex = { value: slopeTex };
     shader.uniforms.uHillTex = { value: hillTex };
 
-    shader.uniforms.uSnowSlopeFull = { value: SNOW_SLOPE_FULL };
-    shader.uniforms.uSnowSlopeNone = { value: SNOW_SLOPE_NONE };
-
     shader.uniforms.uSnowColor = { value: COLOR_SNOW.clone() };
     shader.uniforms.uRockColor = { value: COLOR_ROCK.clone() };
+    shader.uniforms.uGravelColor = { value: COLOR_GRAVEL.clone() };
+    shader.uniforms.uGravelSlopeFull = { value: GRAVEL_SLOPE_FULL };
+    shader.uniforms.uGravelSlopeNone = { value: GRAVEL_SLOPE_NONE };
+
+    if (detailSet) {
+      shader.uniforms.uRockAlbedo = { value: detailSet.rock.albedo };
+      shader.uniforms.uRockNormal = { value: detailSet.rock.normal };
+      shader.uniforms.uGravelAlbedo = { value: detailSet.gravel.albedo };
+      shader.uniforms.uGravelNormal = { value: detailSet.gravel.normal };
+      shader.uniforms.uSnowAlbedo = { value: detailSet.snow.albedo };
+      shader.uniforms.uSnowNormal = { value: detailSet.snow.normal };
+      shader.uniforms.uDetailTileM = { value: DETAIL_TILE_M.clone() };
+      shader.uniforms.uDetailNormalScale = { value: DETAIL_NORMAL_SCALE.clone() };
+      shader.uniforms.uDetailFarTiling = { value: DETAIL_FAR_TILING };
+      shader.uniforms.uDetailFarBlendM = { value: DETAIL_FAR_BLEND_M.clone() };
+      shader.uniforms.uDetailFadeM = { value: DETAIL_FADE_M };
+    }
 
     // Micro dunes / sparkle (your shader snippets use these)
     shader.uniforms.uDuneStrength = { value: 0.35 };
@@ -218,18 +358,32 @@ export async function createAbiskoTerrain({
      * So we always define our own `vUvTerrain` and sample slope/hillshade with that.
      */
 
-    // Vertex: declare varying
+    // Vertex: declare varyings
     shader.vertexShader = shader.vertexShader.replace(
       "#include <uv_pars_vertex>",
       `#include <uv_pars_vertex>
-varying vec2 vUvTerrain;`
+varying vec2 vUvTerrain;
+varying float vTerrainElev;
+varying vec3 vTerrainNormal;
+#ifdef TERRAIN_DETAIL
+varying vec3 vTerrainWorldPos;
+varying vec3 vTerrainWorldNormal;
+#endif`
     );
 
-    // Vertex: write varying
+    // Vertex: write varyings (local height in shifted meters + local normal,
+    // for the snow line / aspect and the debug views)
     shader.vertexShader = shader.vertexShader.replace(
       "#include <uv_vertex>",
       `#include <uv_vertex>
-vUvTerrain = uv;`
+vUvTerrain = uv;
+vTerrainElev = position.y;
+vTerrainNormal = normal;
+#ifdef TERRAIN_DETAIL
+// World space for the triplanar detail, so textures run on across tiles
+vTerrainWorldPos = (modelMatrix * vec4(position, 1.0)).xyz;
+vTerrainWorldNormal = normalize(transpose(inverse(mat3(modelMatrix))) * normal);
+#endif`
     );
 
     // Fragment: inject our header after <common>
@@ -242,83 +396,504 @@ vUvTerrain = uv;`
     shader.fragmentShader = shader.fragmentShader.replace("#include <color_fragment>", colorChunk);
     shader.fragmentShader = shader.fragmentShader.replace("#include <roughnessmap_fragment>", roughChunk);
     shader.fragmentShader = shader.fragmentShader.replace("#include <normal_fragment_maps>", normalChunk);
+    shader.fragmentShader = shader.fragmentShader.replace("#include <dithering_fragment>", debugChunk);
   };
 
+  // Detail textures and trails are compile-time switches (no samplers at all without them)
+  if (detailSet) mat.defines.TERRAIN_DETAIL = "";
+  if (trails) mat.defines.TERRAIN_TRAILS = "";
+
   // Ensure shader program caching doesn't reuse an older variant by accident
-  mat.customProgramCacheKey = () => "abiskoTerrain_vUvTerrain_final_v1";
+  mat.customProgramCacheKey = () =>
+    `abiskoTerrain_vUvTerrain_v4${detailSet ? "_detail" : ""}${trails ? "_trails" : ""}`;
+
+  // ------------------------------------------------------------
+  // 5) Chunked LOD geometry
+  // ------------------------------------------------------------
+
+  const chunks = createChunkedTerrain({
+    heights,
+    width: sampleW,
+    height: sampleH,
+    sizeX,
+    sizeZ,
+    material: mat,
+    chunkSegments: CHUNK_SEGMENTS,
+    lodFactor: LOD_DISTANCE_FACTOR,
+    name: "AbiskoTerrain",
+    normals: built.normals,
+    prebuilt: new Map(built.chunks.map((c) => [c.key, c])),
+  });
+
+  const terrain = chunks.root;
+
+  // Heightfield view shared by the derived maps and the queries below.
+  const hf = { heights, normals: chunks.normals, width: sampleW, height: sampleH, sizeX, sizeZ };
 
-  const mesh = new THREE.Mesh(geom, mat);
-  mesh.name = "AbiskoTerrain";
-  mesh.receiveShadow = true;
-  mesh.castShadow = false;
+  // Select an initial set of chunks (from the tile center) so the terrain is
+  // visible and has valid bounds before the first frame.
+  chunks.update(new THREE.Vector3(0, 0, 0));
 
   // ------------------------------------------------------------
-  // 5) Height sampling (this MUST exist for your main.js)
+  // 6) Terrain queries (height is what main.js needs; the rest is for gameplay)
   // ------------------------------------------------------------
 
+  // Everything below reads the one heightfield (hf), so the player clamp, model
+  // placement, picking and the shader's snow rule all agree on the ground.
+
   /**
    * Bilinear height query in LOCAL space (x,z are in meters).
-   * Terrain spans [-500..+500] in local X and Z.
+   * Terrain spans [-sizeX/2..+sizeX/2] in local X and [-sizeZ/2..+sizeZ/2] in Z.
    *
    * Returns:
-   *  - height in SHIFTED meters (0 == min elevation)
+   *  - height in SHIFTED meters (0 == elevBaseM, the min elevation by default)
    *  - null if outside the tile bounds
    */
   function getHeightAtLocalXZ(x, z) {
-    const half = TERRAIN_SIZE_M * 0.5;
-
-    // Map [-half..+half] -> [0..1]
-    const u = (x + half) / TERRAIN_SIZE_M;
-    const v = (z + half) / TERRAIN_SIZE_M;
-
-    if (u < 0 || u > 1 || v < 0 || v > 1) return null;
+    return sampleHeight(hf, x, z);
+  }
 
-    // Map [0..1] -> [0..sampleW-1], [0..sampleH-1]
-    const fx = u * (sampleW - 1);
-    const fy = v * (sampleH - 1);
+  // ---- World <-> local ----
+  //
+  // The terrain may be translated, rotated, scaled (e.g. vertical exaggeration)
+  // or parented under another transform: all world queries go through the full
+  // world matrix, cached by createWorldTransform().
+
+  const xf = createWorldTransform(terrain);
+
+  // Local height range (for the world bounds); kept fresh by refreshHeights().
+  const heightRange = { min: 0, max: 0 };
+  const localBox = new THREE.Box3();
+  const worldBox = new THREE.Box3();
+  let boundsDirty = true;
+
+  function updateHeightRange() {
+    heightRange.min = Infinity;
+    heightRange.max = -Infinity;
+    for (let i = 0; i < heights.length; i++) {
+      if (heights[i] < heightRange.min) heightRange.min = heights[i];
+      if (heights[i] > heightRange.max) heightRange.max = heights[i];
+    }
+    boundsDirty = true;
+    debugUniforms.uElevRange.value.set(heightRange.min, heightRange.max);
+  }
 
-    const x0 = Math.floor(fx);
-    const y0 = Math.floor(fy);
-    const x1 = Math.min(x0 + 1, sampleW - 1);
-    const y1 = Math.min(y0 + 1, sampleH - 1);
+  updateHeightRange();
 
-    const tx = fx - x0;
-    const ty = fy - y0;
+  // Syncs the cached matrices and the world AABB of the tile.
+  function syncTransform() {
+    if (xf.sync() || boundsDirty) {
+      localBox.min.set(-sizeX * 0.5, heightRange.min, -sizeZ * 0.5);
+      localBox.max.set(sizeX * 0.5, heightRange.max, sizeZ * 0.5);
+      worldBox.copy(localBox).applyMatrix4(xf.matrix);
+      boundsDirty = false;
+    }
+  }
 
-    const h00 = heights[y0 * sampleW + x0];
-    const h10 = heights[y0 * sampleW + x1];
-    const h01 = heights[y1 * sampleW + x0];
-    const h11 = heights[y1 * sampleW + x1];
+  const _local = new THREE.Vector3();
+  const _rayO = new THREE.Vector3();
+  const _rayLocal = new THREE.Vector3();
+  const _rayD = new THREE.Vector3();
+  const DOWN = new THREE.Vector3(0, -1, 0);
 
-    const hx0 = h00 * (1 - tx) + h10 * tx;
-    const hx1 = h01 * (1 - tx) + h11 * tx;
+  /**
+   * LOCAL surface point under the vertical WORLD line through (x, z), or null.
+   * Upright terrains map the line straight to local (x, z); tilted ones need a
+   * ray cast down that line.
+   */
+  function surfaceLocalAt(x, z, out) {
+    syncTransform();
+    if (x < worldBox.min.x || x > worldBox.max.x || z < worldBox.min.z || z > worldBox.max.z) return null;
+
+    if (xf.upright) {
+      out.set(x, 0, z).applyMatrix4(xf.inverse);
+      const h = sampleHeight(hf, out.x, out.z);
+      if (h == null) return null;
+      out.y = h;
+      return out;
+    }
+
+    _rayO.set(x, worldBox.max.y + 1, z);
+    const hit = raycastLocal(_rayO, DOWN, worldBox.max.y - worldBox.min.y + 2);
+    return hit ? out.copy(hit.point) : null;
+  }
 
-    return hx0 * (1 - ty) + hx1 * ty;
+  /**
+   * World ray -> local ray, cast, and the hit in LOCAL space.
+   * Distances scale with the transform, so the hit distance is converted back.
+   */
+  function raycastLocal(origin, direction, maxDistance) {
+    _rayLocal.copy(origin).applyMatrix4(xf.inverse);
+
+    // Directions only see the linear part. Its length is how many local units
+    // one world meter along the ray covers (1 for rigid transforms).
+    _rayD.copy(direction).applyMatrix3(xf.linearInverse);
+    const localPerWorld = _rayD.length();
+    _rayD.divideScalar(localPerWorld);
+
+    const hit = raycastHeightfield(hf, _rayLocal, _rayD, maxDistance * localPerWorld, heightRange);
+    if (!hit) return null;
+    hit.distance /= localPerWorld;
+    return hit;
   }
 
   /**
    * Height query in WORLD space (x,z are world meters).
-   * Assumes terrain is only translated (no extra rotation/scale applied after creation).
+   * Honours the full world matrix (translation, rotation, scale, parents).
    */
   function getHeightAtWorldXZ(x, z) {
-    const localX = x - mesh.position.x;
-    const localZ = z - mesh.position.z;
-    const hLocal = getHeightAtLocalXZ(localX, localZ);
-    if (hLocal == null) return null;
-    return mesh.position.y + hLocal;
+    const p = surfaceLocalAt(x, z, _local);
+    if (!p) return null;
+    return p.applyMatrix4(xf.matrix).y;
+  }
+
+  /**
+   * Surface normal (world space) at world (x, z), or null outside the tile.
+   * @param {THREE.Vector3} [out]
+   */
+  function getNormalAt(x, z, out = new THREE.Vector3()) {
+    const p = surfaceLocalAt(x, z, _local);
+    if (!p || !sampleNormal(hf, p.x, p.z, out)) return null;
+    return out.applyMatrix3(xf.normalMatrix).normalize();
+  }
+
+  const _n = new THREE.Vector3();
+
+  /** World-space slope in degrees at world (x, z) (0 = flat), or null outside the tile. */
+  function getSlopeAt(x, z) {
+    const n = getNormalAt(x, z, _n);
+    return n ? slopeDegFromNormal(n) : null;
+  }
+
+  /**
+   * Snow coverage 0..1 at world (x, z), same model as the terrain shader
+   * (slope, snow line, aspect, season; see snowCoverFactor()).
+   * Uses the LOCAL slope and elevation, like the shader, so the answer matches
+   * what is drawn even when the terrain is vertically exaggerated.
+   */
+  function getSnowFactorAt(x, z) {
+    const p = surfaceLocalAt(x, z, _local);
+    if (!p || !sampleNormal(hf, p.x, p.z, _n)) return null;
+    return snowCoverFactor(slopeDegFromNormal(_n), p.y + baseM, _n.z, cover);
+  }
+
+  /**
+   * Ray vs terrain in WORLD space (mouse picking, line of sight).
+   *
+   * @param {THREE.Vector3} origin
+   * @param {THREE.Vector3} direction  normalized
+   * @param {number} [maxDistance=Infinity]
+   * @returns {{ distance: number, point: THREE.Vector3, normal: THREE.Vector3 }|null}
+   */
+  function raycast(origin, direction, maxDistance = Infinity) {
+    syncTransform();
+    const hit = raycastLocal(origin, direction, maxDistance);
+    if (!hit) return null;
+
+    const normal = sampleNormal(hf, hit.point.x, hit.point.z) ?? new THREE.Vector3(0, 1, 0);
+    normal.applyMatrix3(xf.normalMatrix).normalize();
+    hit.point.applyMatrix4(xf.matrix);
+    return { distance: hit.distance, point: hit.point, normal };
+  }
+
+  /** World-space XZ rectangle covering the tile (rotated tiles: their AABB). */
+  function getBoundsXZ() {
+    syncTransform();
+    return { minX: worldBox.min.x, maxX: worldBox.max.x, minZ: worldBox.min.z, maxZ: worldBox.max.z };
   }
 
   // Expose stable API
-  mesh.userData.getHeightAtLocalXZ = getHeightAtLocalXZ;
-  mesh.userData.getHeightAtWorldXZ = getHeightAtWorldXZ;
+  terrain.userData.getHeightAtLocalXZ = getHeightAtLocalXZ;
+  terrain.userData.getHeightAtWorldXZ = getHeightAtWorldXZ;
 
   // This is the function your main.js expects:
-  mesh.userData.getHeightAt = (x, z) => getHeightAtWorldXZ(x, z);
+  terrain.userData.getHeightAt = (x, z) => getHeightAtWorldXZ(x, z);
+
+  terrain.userData.getNormalAt = getNormalAt;
+  terrain.userData.getSlopeAt = getSlopeAt;
+  terrain.userData.getSnowFactorAt = getSnowFactorAt;
+  terrain.userData.getBoundsXZ = getBoundsXZ;
+  terrain.userData.raycast = raycast;
+
+  // Metadata (real values from the GeoTIFF; constants for the PNG fallback)
+  terrain.userData.terrainSizeM = Math.max(sizeX, sizeZ);
+  terrain.userData.terrainSizeXM = sizeX;
+  terrain.userData.terrainSizeZM = sizeZ;
+  terrain.userData.elevMinM = elevMinM;
+  terrain.userData.elevBaseM = baseM;
+  terrain.userData.elevMaxM = elevMaxM;
+  terrain.userData.pixelSizeM = { ...dem.pixelSizeM };
+  terrain.userData.originM = dem.originM;
+  terrain.userData.bbox = dem.bbox;
+  terrain.userData.crs = dem.crs;
+
+  // Raw heightfield access (tile stitching, editing). After writing into
+  // `heights`, call refreshHeights() with the changed sample rectangle; after
+  // writing into `normals` (tile seams), refreshNormals().
+  terrain.userData.heightfield = hf;
+  terrain.userData.refreshHeights = (x0, y0, x1, y1) => {
+    chunks.invalidate(x0, y0, x1, y1);
+    updateHeightRange();
+
+    // Normals changed one sample around the region; computed maps follow them.
+    const region = { x0: x0 - 1, y0: y0 - 1, x1: x1 + 1, y1: y1 + 1 };
+    if (slopeComputed) writeSlopeMap(slopeTex, hf, region);
+    if (hillComputed) writeHillshadeMap(hillTex, hf, hillLightDir, region);
+  };
+  terrain.userData.refreshNormals = (x0, y0, x1, y1) => {
+    chunks.invalidate(x0, y0, x1, y1, { normals: false });
 
-  // Small metadata that can be useful later
-  mesh.userData.terrainSizeM = TERRAIN_SIZE_M;
-  mesh.userData.elevMinM = ELEV_MIN_M;
-  mesh.userData.elevMaxM = ELEV_MAX_M;
+    const region = { x0, y0, x1, y1 };
+    if (slopeComputed) writeSlopeMap(slopeTex, hf, region);
+    if (hillComputed) writeHillshadeMap(hillTex, hf, hillLightDir, region);
+  };
+
+  // ------------------------------------------------------------
+  // 7) Hillshade light (computed hillshade only)
+  // ------------------------------------------------------------
+
+  terrain.userData.slopeComputed = slopeComputed;
+  terrain.userData.hillshadeComputed = hillComputed;
+
+  /**
+   * Re-light the computed hillshade from a compass azimuth / altitude (degrees,
+   * azimuth clockwise from north = -Z in local space). No-op for baked PNGs.
+   */
+  terrain.userData.setHillshadeLight = ({ azimuthDeg, altitudeDeg }) => {
+    if (!hillComputed) return;
+    lightDirFromAzimuthAltitude(azimuthDeg, altitudeDeg, hillLightDir);
+    writeHillshadeMap(hillTex, hf, hillLightDir);
+  };
+
+  const _sunLocal = new THREE.Vector3();
+
+  /**
+   * Re-light the computed hillshade from a WORLD direction pointing to the sun
+   * (e.g. sun.position - sun.target.position). Converted into terrain-local
+   * space, so rotated tiles are shaded correctly. Rewriting the texture costs a
+   * few ms, so changes under ~0.5 degrees are ignored (safe to call per frame).
+   */
+  terrain.userData.setHillshadeFromSun = (sunDirWorld) => {
+    if (!hillComputed) return;
+    xf.sync();
+    _sunLocal.copy(sunDirWorld).applyMatrix3(xf.linearInverse).normalize();
+    if (_sunLocal.dot(hillLightDir) > Math.cos(THREE.MathUtils.degToRad(0.5))) return;
+    hillLightDir.copy(_sunLocal);
+    writeHillshadeMap(hillTex, hf, hillLightDir);
+  };
+
+  // ------------------------------------------------------------
+  // 8) Shader debug views
+  // ------------------------------------------------------------
+
+  /**
+   * Shows one of the shader's intermediate signals instead of the final look.
+   * Only a uniform changes, so switching is instant (no program rebuild).
+   *
+   * @param {keyof typeof TERRAIN_DEBUG_VIEWS | number} view  e.g. "slope", "contours", "off"
+   */
+  terrain.userData.setDebugView = (view) => {
+    const id = typeof view === "number" ? view : TERRAIN_DEBUG_VIEWS[view];
+    if (id == null) throw new Error(`Unknown terrain debug view "${view}".`);
+    debugUniforms.uDebugView.value = id;
+  };
+
+  terrain.userData.getDebugView = () =>
+    Object.keys(TERRAIN_DEBUG_VIEWS).find((k) => TERRAIN_DEBUG_VIEWS[k] === debugUniforms.uDebugView.value) ?? "off";
+
+  /** Meters between contour lines in the "contours" view (real elevations). */
+  terrain.userData.setContourInterval = (meters) => {
+    debugUniforms.uContourInterval.value = Math.max(0.1, meters);
+  };
+
+  // ------------------------------------------------------------
+  // 9) Seasonal snow cover
+  // ------------------------------------------------------------
+
+  /**
+   * Updates the snow-cover model; only the given fields change, e.g.
+   * setSnowCover({ season: 0.6 }) for late spring. Uniform updates only, so
+   * it is cheap enough to animate every frame.
+   *
+   * @param {Partial<typeof DEFAULT_SNOW_COVER>} settings
+   */
+  terrain.userData.setSnowCover = (settings) => {
+    for (const key of Object.keys(DEFAULT_SNOW_COVER)) {
+      if (Number.isFinite(settings[key])) cover[key] = settings[key];
+    }
+    cover.season = THREE.MathUtils.clamp(cover.season, 0, 1);
+
+    snowUniforms.uSnowSlopeFull.value = cover.slopeFullDeg;
+    snowUniforms.uSnowSlopeNone.value = cover.slopeNoneDeg;
+    snowUniforms.uSnowLineM.value = snowLineM(cover);
+    snowUniforms.uSnowLineBlendM.value = cover.snowLineBlendM;
+    snowUniforms.uSnowAspectM.value = cover.aspectBiasM;
+  };
+
+  /** Current snow-cover settings (a copy). */
+  terrain.userData.getSnowCover = () => ({ ...cover });
+
+  terrain.userData.setSnowCover(snowCover);
+
+  // ------------------------------------------------------------
+  // 10) Snow trails (footprints, packed paths)
+  // ------------------------------------------------------------
+  //
+  // The trail map is only allocated by the first footprint on this tile, so
+  // tiles nobody walks on cost nothing; until then the shader reads an empty
+  // 1x1 texture. Trails are lost when a tile is disposed.
+
+  let trailMap = null;
+  const _trail = new THREE.Vector3();
+
+  /**
+   * Presses a footprint into the snow at a WORLD position (x/z; y is ignored).
+   * Shows up after the next updateTrails().
+   *
+   * @param {THREE.Vector3} position
+   * @param {{ radius?: number, dent?: number, pack?: number }} [opts]
+   *        radius in meters; dent / pack 0..1, see stamp() in snowTrails.js
+   * @returns {boolean} true if the print landed on this tile
+   */
+  terrain.userData.stampFootprint = (position, { radius = 0.2, ...opts } = {}) => {
+    if (!trails) return false;
+    syncTransform();
+    const r = radius * _trail.set(1, 0, 0).applyMatrix3(xf.linearInverse).length();
+    _trail.set(position.x, 0, position.z).applyMatrix4(xf.inverse);
+    if (Math.abs(_trail.x) > sizeX * 0.5 + r || Math.abs(_trail.z) > sizeZ * 0.5 + r) return false;
+
+    if (!trailMap) {
+      trailMap = createSnowTrailMap({ sizeX, sizeZ });
+      trailUniforms.uTrailTex.value = trailMap.texture;
+      trailUniforms.uTrailTexel.value.set(1 / trailMap.width, 1 / trailMap.height);
+      trailUniforms.uTrailTexelM.value.set(sizeX / trailMap.width, sizeZ / trailMap.height);
+    }
+    return trailMap.stamp(_trail.x, _trail.z, r, opts);
+  };
+
+  /**
+   * Fills trails back in as snow falls and uploads new footprints; once per frame.
+   * @param {number} dt        seconds
+   * @param {number} snowfall  snowfall intensity 0..1 (0: trails stay)
+   */
+  terrain.userData.updateTrails = (dt, snowfall) => trailMap?.update(dt, snowfall);
+
+  /** Removes every footprint and trail on this tile. */
+  terrain.userData.clearTrails = () => trailMap?.clear();
+
+  // ------------------------------------------------------------
+  // 11) Editing (flatten / raise / smooth, pads under objects)
+  // ------------------------------------------------------------
+  //
+  // Shapes are WORLD space: { center: {x, z}, radius } or { polygon: [{x, z}, ...] },
+  // plus an optional falloff (meters). Every edit writes into `heights` and then
+  // refreshes chunks, normals and computed maps, so what you see and what
+  // getHeightAt() returns stay the same surface. Assumes an upright terrain
+  // (scaled/rotated about Y is fine, tilted is not).
+
+  const _edit = new THREE.Vector3();
+
+  function shapeToLocal(shape) {
+    syncTransform();
+    const toLocal = (p) => {
+      _edit.set(p.x, 0, p.z).applyMatrix4(xf.inverse);
+      return { x: _edit.x, z: _edit.z };
+    };
+    // Horizontal meters -> local units.
+    const localPerWorld = _edit.set(1, 0, 0).applyMatrix3(xf.linearInverse).length();
+    return {
+      center: shape.center && toLocal(shape.center),
+      radius: shape.radius != null ? shape.radius * localPerWorld : undefined,
+      polygon: shape.polygon?.map(toLocal),
+      falloff: (shape.falloff ?? 0) * localPerWorld,
+    };
+  }
+
+  // A point of the shape, used to convert heights between world and local.
+  const shapeAnchor = (shape) => shape.center ?? shape.polygon[0];
+
+  function worldToLocalHeight(shape, y) {
+    const a = shapeAnchor(shape);
+    return _edit.set(a.x, y, a.z).applyMatrix4(xf.inverse).y;
+  }
+
+  function edit(shape, op) {
+    const region = applyHeightEdit(hf, createEditMask(shapeToLocal(shape)), op);
+    if (region) terrain.userData.refreshHeights(region.x0, region.y0, region.x1, region.y1);
+    terrain.userData.lastEditRegion = region;
+    return region;
+  }
+
+  // Samples the last edit changed (or null): the tile manager re-stitches the
+  // tile borders an edit reached.
+  terrain.userData.lastEditRegion = null;
+
+  /**
+   * Sum of the ground heights (world y) of the samples inside a shape and how
+   * many there are, or null if it misses the tile (the tile manager weighs
+   * tiles by the count).
+   * @returns {{ sum: number, count: number }|null}
+   */
+  terrain.userData.getHeightSumIn = (shape) => {
+    const s = sumHeightsInMask(hf, createEditMask(shapeToLocal({ ...shape, falloff: 0 })));
+    if (!s) return null;
+    const a = shapeAnchor(shape);
+    const mean = _edit.set(a.x, 0, a.z).applyMatrix4(xf.inverse).setY(s.sum / s.count).applyMatrix4(xf.matrix).y;
+    return { sum: mean * s.count, count: s.count };
+  };
+
+  /**
+   * Average ground height (world y) inside a shape, or null if it misses the tile.
+   */
+  terrain.userData.getAverageHeightIn = (shape) => {
+    const s = terrain.userData.getHeightSumIn(shape);
+    return s ? s.sum / s.count : null;
+  };
+
+  /**
+   * Levels the ground inside the shape to `height` (world y; default: its average).
+   * @returns {number|null} the height used, or null if the shape misses the tile
+   */
+  terrain.userData.flatten = (shape) => {
+    syncTransform(); // worldToLocalHeight() reads the cached inverse
+    const height = shape.height ?? terrain.userData.getAverageHeightIn(shape);
+    if (height == null) return null;
+    return edit(shape, { mode: "flatten", height: worldToLocalHeight(shape, height) }) ? height : null;
+  };
+
+  /**
+   * Raises the ground by `amount` world meters (negative digs).
+   * @returns {boolean} true if any sample changed
+   */
+  terrain.userData.raise = (shape) => {
+    syncTransform();
+    const amount = _edit.set(0, shape.amount ?? 1, 0).applyMatrix3(xf.linearInverse).y;
+    return !!edit(shape, { mode: "raise", amount });
+  };
+
+  /**
+   * Relaxes bumps inside the shape (strength 0..1 per pass, `iterations` passes).
+   * @returns {boolean} true if any sample changed
+   */
+  terrain.userData.smooth = (shape) =>
+    !!edit(shape, { mode: "smooth", strength: shape.strength, iterations: shape.iterations });
+
+  /**
+   * Flat pad under an object + sets it down on it (see flattenUnder() in terrainEdit.js).
+   * @returns {number|null} pad height (world y)
+   */
+  terrain.userData.flattenUnder = (object, opts) => flattenUnder(terrain.userData, object, opts);
+
+  // LOD API
+  terrain.userData.updateLod = (cameraWorldPos) => chunks.update(cameraWorldPos);
+  terrain.userData.getLodStats = chunks.getStats;
+  terrain.userData.dispose = () => {
+    chunks.dispose();
+    mat.dispose();
+    slopeTex.dispose();
+    hillTex.dispose();
+    trailMap?.dispose();
+  };
 
-  return mesh;
+  return terrain;
 }
@@ -0,0 +1,227 @@
+// src/environment/atmosphere.js
+// -----------------------------------------------------------------------------
+// Atmosphere: height fog and aerial perspective instead of three's flat fog.
+//
+// Patched materials (anything with fog: the terrain chunks, the horizon ring,
+// models, the snow particles) swap three's fog chunks for this, per pixel:
+//  - height fog: exponential in height, integrated along the view ray. The
+//    weather's visibility (scene.fog near / far) holds at the camera's height,
+//    the fog thickens below it - pooling in the valleys, up to maxPooling
+//    times - and thins out above. The more it snows, the taller the fog layer
+//    (snowfall fills the air at every height).
+//  - aerial perspective: clear air scatters blue more than red (Rayleigh), so
+//    far ridges go hazy blue long before the fog would hide them
+//  - sun in-scattering: looking towards the sun the haze glows in its color
+//    (Henyey-Greenstein forward scattering)
+// Each medium tints with its own color: the fog with scene.fog.color (weather,
+// darkened at night by the time of day), the air with the sky color.
+//
+// Like three's fog it works on the final (display) color, so the weather's fog
+// colors keep meaning what they look like. Needs a THREE.Fog on the scene
+// (createWeather() makes one).
+//
+// update() reads the sun light, the weather and the time of day; with
+// autoSetup new fogged materials in the scene are patched by themselves
+// (like the sun cascades in shadows.js).
+// -----------------------------------------------------------------------------
+
+import * as THREE from "three";
+import { createMaterialPatcher } from "./materialPatches.js";
+
+// Rayleigh scattering of air at sea level (1/m per channel, ~680 / 550 / 440 nm).
+const RAYLEIGH = new THREE.Vector3(5.8e-6, 13.5e-6, 33.1e-6);
+
+const VERTEX_PARS = /* glsl */ `
+#ifdef USE_FOG
+  varying vec3 vAtmoWorldPos;
+#endif
+`;
+
+// The view matrix is rigid: world = R^T * (view - t). Works for every kind of
+// object that has an mvPosition (meshes, instancing, points, sprites).
+const VERTEX = /* glsl */ `
+#ifdef USE_FOG
+  vAtmoWorldPos = transpose( mat3( viewMatrix ) ) * ( mvPosition.xyz - viewMatrix[ 3 ].xyz );
+#endif
+`;
+
+const FRAGMENT_PARS = /* glsl */ `
+#ifdef USE_FOG
+  uniform vec3 fogColor;
+  #ifdef FOG_EXP2
+    uniform float fogDensity;
+  #else
+    uniform float fogNear;
+    uniform float fogFar;
+  #endif
+  uniform vec3 uAtmoAirExtinction;  // clear air, 1/m per channel
+  uniform vec3 uAtmoAirColor;
+  uniform vec3 uAtmoSunDir;         // towards the sun
+  uniform vec3 uAtmoSunColor;       // 0 with the sun down
+  uniform float uAtmoSunG;          // forward scattering 0..1
+  uniform float uAtmoValleyHeight;  // world y where the fog stops getting thicker
+  uniform float uAtmoFalloff;       // 1 / fog scale height
+  uniform float uAtmoMaxPooling;
+  varying vec3 vAtmoWorldPos;
+
+  // Mean of exp(-x t) for t in 0..1: the height fog along a ray that climbs
+  // x scale heights.
+  float atmoHeightMean( float x ) {
+    return abs( x ) < 1e-3 ? 1.0 - 0.5 * x : ( 1.0 - exp( -x ) ) / x;
+  }
+#endif
+`;
+
+const FRAGMENT = /* glsl */ `
+#ifdef USE_FOG
+{
+  vec3 ray = vAtmoWorldPos - cameraPosition;
+  float dist = length( ray );
+  vec3 dir = ray / max( dist, 1e-3 );
+
+  #ifdef FOG_EXP2
+    float fogStart = 0.0;
+    float visibility = 1.7 / max( fogDensity, 1e-6 );
+  #else
+    float fogStart = fogNear;
+    float visibility = max( fogFar - fogNear, 1.0 );
+  #endif
+
+  // Height fog: 3 / visibility at the camera (95% gone at the far distance).
+  float camH = max( cameraPosition.y, uAtmoValleyHeight );
+  float fragH = max( vAtmoWorldPos.y, uAtmoValleyHeight );
+  float pooling = min( atmoHeightMean( uAtmoFalloff * ( fragH - camH ) ), uAtmoMaxPooling );
+  float fogTau = 3.0 / visibility * max( dist - fogStart, 0.0 ) * pooling;
+
+  vec3 airTau = uAtmoAirExtinction * dist;
+  vec3 tau = vec3( fogTau ) + airTau;
+  vec3 transmittance = exp( -tau );
+
+  // Each medium scatters in its own color, by its share of the extinction.
+  vec3 inscatter = ( fogColor * fogTau + uAtmoAirColor * airTau ) / max( tau, vec3( 1e-6 ) );
+  float g = uAtmoSunG;
+  float phase = ( 1.0 - g * g ) / pow( 1.0 + g * g - 2.0 * g * dot( dir, uAtmoSunDir ), 1.5 );
+  inscatter += uAtmoSunColor * phase;
+
+  gl_FragColor.rgb = gl_FragColor.rgb * transmittance + inscatter * ( 1.0 - transmittance );
+}
+#endif
+`;
+
+/**
+ * Creates the atmosphere. Call update() once per frame, after the weather and
+ * the time of day.
+ *
+ * @param {object} opts
+ * @param {THREE.Scene} opts.scene
+ * @param {THREE.DirectionalLight} [opts.sun]  sun direction and color (in-scattering)
+ * @param {number} [opts.sunIntensity]   the sun's full (clear noon) intensity; default: the
+ *        time of day's base, else the sun's intensity now
+ * @param {ReturnType<import("./weather.js").createWeather>} [opts.weather]  snowfall -> fog layer height
+ * @param {ReturnType<import("./timeOfDay.js").createTimeOfDay>} [opts.timeOfDay]  sky color for the air, sun reference
+ * @param {number} [opts.valleyHeight=0]   world y of the valley floors (the fog is thickest there)
+ * @param {number} [opts.scaleHeight=250]  meters over which the fog thins by e (in clear weather)
+ * @param {number} [opts.maxPooling=6]     how much thicker than at the camera the fog may get below it
+ * @param {number} [opts.airDensity=1]     clear air relative to sea level (0 = no aerial perspective)
+ * @param {number} [opts.sunScatter=0.08]  strength of the glow towards the sun
+ * @param {number} [opts.sunG=0.6]         how tight that glow is (0 = even all around)
+ * @param {boolean} [opts.autoSetup=true]  patch new fogged materials in the scene by itself
+ * @returns {{
+ *   update: () => void,
+ *   setupMaterial: (material: THREE.Material) => boolean,
+ *   apply: (object: THREE.Object3D) => number,
+ *   uniforms: Record<string, { value: any }>,
+ *   dispose: () => void
+ * }}
+ */
+export function createAtmosphere(opts) {
+  const {
+    scene,
+    sun = null,
+    sunIntensity = null,
+    weather = null,
+    timeOfDay = null,
+    valleyHeight = 0,
+    scaleHeight = 250,
+    maxPooling = 6,
+    airDensity = 1,
+    sunScatter = 0.08,
+    sunG = 0.6,
+    autoSetup = true,
+  } = opts;
+
+  // Shared by every patched material.
+  const uniforms = {
+    uAtmoAirExtinction: { value: RAYLEIGH.clone().multiplyScalar(airDensity) },
+    uAtmoAirColor: { value: new THREE.Color() },
+    uAtmoSunDir: { value: new THREE.Vector3(0, 1, 0) },
+    uAtmoSunColor: { value: new THREE.Color(0, 0, 0) },
+    uAtmoSunG: { value: sunG },
+    uAtmoValleyHeight: { value: valleyHeight },
+    uAtmoFalloff: { value: 1 / scaleHeight },
+    uAtmoMaxPooling: { value: maxPooling },
+  };
+
+  // The sun's full glow, as tuned (the sun light itself is dimmed by the
+  // weather and the time of day by the time this runs).
+  const referenceSunIntensity = Math.max(sunIntensity ?? timeOfDay?.base.sunIntensity ?? sun?.intensity ?? 1, 1e-3);
+
+  const sunPos = new THREE.Vector3();
+  const targetPos = new THREE.Vector3();
+
+  // Materials that take fog get the atmosphere instead.
+  const patcher = createMaterialPatcher({
+    accepts: (material) => material.fog && !material.isShaderMaterial,
+    cacheKey: "atmosphere",
+    patch: (shader) => {
+      Object.assign(shader.uniforms, uniforms);
+      shader.vertexShader = shader.vertexShader
+        .replace("#include <fog_pars_vertex>", VERTEX_PARS)
+        .replace("#include <fog_vertex>", VERTEX);
+      shader.fragmentShader = shader.fragmentShader
+        .replace("#include <fog_pars_fragment>", FRAGMENT_PARS)
+        .replace("#include <fog_fragment>", FRAGMENT);
+    },
+  });
+
+  function update() {
+    if (autoSetup) patcher.scan(scene);
+
+    // Snowfall makes the fog layer taller.
+    const snowfall = weather ? weather.params.snowIntensity : 0;
+    uniforms.uAtmoFalloff.value = 1 / (scaleHeight * (1 + 4 * snowfall));
+
+    // The air takes the sky's color, toned with the fog's (both follow the time of day).
+    const airColor = uniforms.uAtmoAirColor.value;
+    if (scene.fog) airColor.copy(scene.fog.color);
+    if (timeOfDay) airColor.lerp(timeOfDay.state.skyColor, 0.5);
+
+    const sunColor = uniforms.uAtmoSunColor.value;
+    if (sun) {
+      sun.updateMatrixWorld();
+      sun.target.updateMatrixWorld();
+      sunPos.setFromMatrixPosition(sun.matrixWorld);
+      targetPos.setFromMatrixPosition(sun.target.matrixWorld);
+      uniforms.uAtmoSunDir.value.subVectors(sunPos, targetPos).normalize();
+      const strength = THREE.MathUtils.clamp(sun.intensity / referenceSunIntensity, 0, 1.5);
+      sunColor.copy(sun.color).multiplyScalar(strength * sunScatter);
+    } else {
+      sunColor.setRGB(0, 0, 0);
+    }
+  }
+
+  /** Un-patches the materials (three's fog comes back). */
+  function dispose() {
+    patcher.dispose();
+  }
+
+  update();
+
+  return {
+    update,
+    setupMaterial: patcher.setupMaterial,
+    apply: patcher.apply,
+    uniforms,
+    dispose,
+  };
+}
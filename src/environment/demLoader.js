@@ -0,0 +1,254 @@
+// src/environment/demLoader.js
+// -----------------------------------------------------------------------------
+// DEM (digital elevation model) loading.
+//
+// Reads a single-band GeoTIFF (e.g. assets/terrain/dem_1km_2m.tif) and returns
+// real elevations in meters together with the georeferencing stored in the file:
+// pixel size, origin (top-left corner), bounding box and CRS codes.
+//
+// Why this exists:
+// - The PNG heightmap path needs ELEV_MIN_M / ELEV_MAX_M copied by hand from
+//   gdalinfo. A GeoTIFF already carries real meters + georeferencing, so a new
+//   crop can be dropped in without touching any constants.
+//
+// Other encodings (16-bit PNG, Terrarium/Mapbox RGB, RAW) live in heightDecoders.js
+// and are reachable through loadDem(), which picks a decoder by format.
+//
+// geotiff is imported lazily: the terrain build worker loads this module too,
+// and workers don't see the page's import map, so there the resolved URL is
+// passed in through setGeoTiffModuleUrl().
+// -----------------------------------------------------------------------------
+
+import {
+  decodePng16,
+  decodeTerrarium,
+  decodeMapboxRgb,
+  decodeRaw16,
+} from "./heightDecoders.js";
+
+/**
+ * @typedef {object} DemData
+ * @property {number} width              Raster width in pixels.
+ * @property {number} height             Raster height in pixels.
+ * @property {Float32Array} elevations   Row-major elevations in meters (row 0 = north edge).
+ * @property {number} elevMinM           Lowest valid elevation in the raster.
+ * @property {number} elevMaxM           Highest valid elevation in the raster.
+ * @property {{ x: number, y: number }} pixelSizeM  Ground size of one pixel (always positive).
+ * @property {{ x: number, y: number }|null} originM  CRS coordinates of the top-left corner.
+ * @property {number[]|null} bbox        [minX, minY, maxX, maxY] in CRS units.
+ * @property {{ epsg: number|null, verticalEpsg: number|null, citation: string|null }|null} crs
+ *           (originM/bbox/crs are null for non-georeferenced heightmaps)
+ * @property {number|null} noData        NoData value declared in the file (if any).
+ */
+
+let geotiffSpecifier = "geotiff";
+
+/**
+ * Where to import geotiff from (default: the bare "geotiff" import map entry).
+ * @param {string} url
+ */
+export function setGeoTiffModuleUrl(url) {
+  geotiffSpecifier = url;
+}
+
+/**
+ * Fetches a binary file, reporting download progress when the server sends a
+ * Content-Length (otherwise only the final call with loaded === total).
+ *
+ * @param {string} url
+ * @param {(loaded: number, total: number) => void} [onProgress]
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function fetchArrayBuffer(url, onProgress) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status} ${res.statusText}`);
+
+  const total = Number(res.headers?.get("Content-Length")) || 0;
+  if (!onProgress || !total || !res.body) {
+    const buffer = await res.arrayBuffer();
+    onProgress?.(buffer.byteLength, buffer.byteLength);
+    return buffer;
+  }
+
+  // Stream the body so a large DEM shows progress while it downloads.
+  const bytes = new Uint8Array(total);
+  const reader = res.body.getReader();
+  let loaded = 0;
+  let extra = null; // body longer than announced (e.g. compressed transfer)
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    if (!extra && loaded + value.length <= total) bytes.set(value, loaded);
+    else (extra ??= []).push(value);
+    loaded += value.length;
+    onProgress(Math.min(loaded, total), total);
+  }
+
+  if (!extra) return bytes.buffer.slice(0, loaded);
+  return new Blob([bytes, ...extra]).arrayBuffer();
+}
+
+/**
+ * Decodes a GeoTIFF DEM into elevations + georeferencing.
+ *
+ * NoData pixels are replaced with the lowest valid elevation, so the terrain
+ * never gets spikes/holes from -9999 values.
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<DemData>}
+ */
+export async function decodeGeoTiff(buffer) {
+  const { fromArrayBuffer } = await import(geotiffSpecifier);
+  const tiff = await fromArrayBuffer(buffer);
+  const image = await tiff.getImage();
+
+  const width = image.getWidth();
+  const height = image.getHeight();
+
+  // Band 0 only; interleave=false returns one typed array per band.
+  const [raster] = await image.readRasters({ samples: [0] });
+
+  const noData = image.getGDALNoData();
+  const elevations = new Float32Array(width * height);
+
+  let elevMinM = Infinity;
+  let elevMaxM = -Infinity;
+
+  for (let i = 0; i < elevations.length; i++) {
+    const v = raster[i];
+    const valid = Number.isFinite(v) && (noData == null || v !== noData);
+    elevations[i] = valid ? v : NaN;
+
+    if (valid) {
+      if (v < elevMinM) elevMinM = v;
+      if (v > elevMaxM) elevMaxM = v;
+    }
+  }
+
+  if (!Number.isFinite(elevMinM)) {
+    throw new Error("GeoTIFF DEM contains no valid elevation samples.");
+  }
+
+  // Fill NoData holes with the minimum (flat, harmless) instead of -9999 spikes.
+  for (let i = 0; i < elevations.length; i++) {
+    if (Number.isNaN(elevations[i])) elevations[i] = elevMinM;
+  }
+
+  // Resolution is [x, y, z]; y is negative for north-up rasters.
+  const [resX, resY] = image.getResolution();
+  const [originX, originY] = image.getOrigin();
+
+  const geoKeys = image.getGeoKeys() || {};
+
+  return {
+    width,
+    height,
+    elevations,
+    elevMinM,
+    elevMaxM,
+    pixelSizeM: { x: Math.abs(resX), y: Math.abs(resY) },
+    originM: { x: originX, y: originY },
+    bbox: image.getBoundingBox(),
+    crs: {
+      epsg: geoKeys.ProjectedCSTypeGeoKey ?? geoKeys.GeographicTypeGeoKey ?? null,
+      verticalEpsg: geoKeys.VerticalCSTypeGeoKey ?? null,
+      citation: geoKeys.GTCitationGeoKey ?? null,
+    },
+    noData,
+  };
+}
+
+/**
+ * Loads a GeoTIFF DEM and returns elevations + georeferencing.
+ *
+ * @param {string} url
+ * @returns {Promise<DemData>}
+ */
+export async function loadGeoTiffDem(url) {
+  return decodeGeoTiff(await fetchArrayBuffer(url));
+}
+
+// ------------------------------------------------------------
+// Decoder registry
+// ------------------------------------------------------------
+
+// format -> (ArrayBuffer, opts) => Promise<DemData>
+const decoders = new Map([
+  ["geotiff", (buffer) => decodeGeoTiff(buffer)],
+  ["png16", decodePng16],
+  ["terrarium", decodeTerrarium],
+  ["mapbox", decodeMapboxRgb],
+  ["raw16", decodeRaw16],
+]);
+
+// Formats added/replaced through registerHeightDecoder().
+const customFormats = new Set();
+
+// File extension -> default format (used when format is "auto").
+const EXTENSION_FORMATS = {
+  tif: "geotiff",
+  tiff: "geotiff",
+  png: "png16",
+  r16: "raw16",
+  raw: "raw16",
+};
+
+/**
+ * Adds (or replaces) a height decoder, so new DEM sources can be plugged in
+ * without touching the terrain code.
+ *
+ * @param {string} format
+ * @param {(buffer: ArrayBuffer, opts: object) => Promise<DemData>} decode
+ */
+export function registerHeightDecoder(format, decode) {
+  decoders.set(format, decode);
+  customFormats.add(format);
+}
+
+function guessFormat(url) {
+  const path = String(url).split(/[?#]/)[0];
+  const ext = path.slice(path.lastIndexOf(".") + 1).toLowerCase();
+  return EXTENSION_FORMATS[ext] ?? null;
+}
+
+/**
+ * Decoder format loadDem() would use for this url ("auto" -> by extension).
+ * @returns {string|null}
+ */
+export function resolveFormat(url, format = "auto") {
+  return format === "auto" ? guessFormat(url) : format;
+}
+
+/**
+ * True if `format` is decoded by a function registered on THIS thread with
+ * registerHeightDecoder(). The build worker only knows the built-in decoders,
+ * so such DEMs are built on the main thread instead.
+ */
+export function isCustomHeightFormat(format) {
+  return customFormats.has(format);
+}
+
+/**
+ * Loads any supported DEM encoding.
+ *
+ * Non-georeferenced formats need extra info in opts:
+ *  - sizeM or pixelSizeM (ground footprint)
+ *  - elevMinM / elevMaxM for normalized encodings (png16, raw16)
+ *  - width / height for raw16 if the grid is not square
+ *
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {string} [opts.format="auto"] geotiff | png16 | terrarium | mapbox | raw16 | custom
+ * @param {(loaded: number, total: number) => void} [opts.onProgress] download progress (bytes)
+ * @returns {Promise<DemData>}
+ */
+export async function loadDem(url, opts = {}) {
+  const { format = "auto", onProgress, ...decodeOpts } = opts;
+
+  const resolved = resolveFormat(url, format);
+  const decode = decoders.get(resolved);
+  if (!decode) throw new Error(`loadDem: no height decoder for format "${resolved}" (${url}).`);
+
+  return decode(await fetchArrayBuffer(url, onProgress), decodeOpts);
+}
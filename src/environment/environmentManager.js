@@ -0,0 +1,324 @@
+// src/environment/environmentManager.js
+// -----------------------------------------------------------------------------
+// Environment manager: which sky lights the scene, and switching between them.
+//
+// Sources are named entries of three kinds:
+//  - "exr" / "hdr": an equirectangular HDRI file (hdri.js)
+//  - "procedural":  the Preetham sky (proceduralSky.js), re-baked as the sun
+//                   moves, so it always works - also without the HDRI files,
+//                   which are not in git
+// Each source is baked once into a PMREM (256 px cube faces, the size
+// fromScene() uses; HDRIs go through a scene with the image as background so
+// they come out the same size). scene.environment is one fixed render target
+// that a pass fills from those PMREMs:
+//  - switching crossfades texel by texel between the two PMREMs - the same
+//    layout, and PMREM filtering is linear, so the blend is the PMREM of the
+//    blended skies
+//  - materials see one texture of one size the whole time: nothing recompiles
+// The background shows the blended PMREM while fading and the full-resolution
+// image once an HDRI has faded in.
+//
+// A source that fails to load falls back (by default to "procedural").
+// -----------------------------------------------------------------------------
+
+import * as THREE from "three";
+import { getHDRIType, loadEquirectHDR } from "./hdri.js";
+import { createProceduralSky } from "./proceduralSky.js";
+
+const DEFAULT_FADE_S = 2;
+
+// Re-bake the procedural sky once the sun has moved this far (degrees), at
+// most every REBAKE_INTERVAL_S (real seconds; fast time scales move it a lot).
+const REBAKE_ANGLE_DEG = 0.5;
+const REBAKE_INTERVAL_S = 0.5;
+
+const BLEND_VERTEX = /* glsl */ `
+varying vec2 vUv;
+
+void main() {
+  vUv = uv;
+  gl_Position = vec4( position.xy, 0.0, 1.0 );
+}
+`;
+
+const BLEND_FRAGMENT = /* glsl */ `
+uniform sampler2D uFrom;
+uniform sampler2D uTo;
+uniform float uFromGain;
+uniform float uToGain;
+uniform float uMix;
+varying vec2 vUv;
+
+void main() {
+  vec4 a = texture2D( uFrom, vUv ) * uFromGain;
+  vec4 b = texture2D( uTo, vUv ) * uToGain;
+  gl_FragColor = mix( a, b, uMix );
+}
+`;
+
+/**
+ * Creates the environment manager. Call update(dt) once per frame.
+ *
+ * @param {object} opts
+ * @param {THREE.WebGLRenderer} opts.renderer
+ * @param {THREE.Scene} opts.scene
+ * @param {THREE.PMREMGenerator} [opts.pmrem]   shared generator (one is made if missing)
+ * @param {Record<string, object>} [opts.sources]  name -> source, see add()
+ * @param {{ state: { direction: THREE.Vector3 } }} [opts.timeOfDay]  sun for the procedural sky
+ * @param {number} [opts.fadeTime=2]            default crossfade seconds
+ * @param {string} [opts.fallback="procedural"] source used when one fails to load
+ * @returns {{
+ *   add: (name: string, source: object) => void,
+ *   load: (name: string) => Promise<void>,
+ *   setEnvironment: (name: string, opts?: { duration?: number, fallback?: string|null }) => Promise<string>,
+ *   getEnvironment: () => string|null,
+ *   update: (dt: number) => void,
+ *   names: () => string[],
+ *   texture: THREE.Texture|null,
+ *   dispose: () => void
+ * }}
+ */
+export function createEnvironmentManager(opts) {
+  const {
+    renderer,
+    scene,
+    pmrem = new THREE.PMREMGenerator(renderer),
+    sources: initialSources = {},
+    timeOfDay = null,
+    fadeTime = DEFAULT_FADE_S,
+    fallback: defaultFallback = "procedural",
+  } = opts;
+
+  // name -> { type, url, intensity, options, target, background, sky, loading }
+  const sources = new Map();
+
+  // Output (scene.environment), and a snapshot of it when a fade is cut short.
+  let output = null;
+  let snapshot = null;
+
+  const blendMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      uFrom: { value: null },
+      uTo: { value: null },
+      uFromGain: { value: 1 },
+      uToGain: { value: 1 },
+      uMix: { value: 0 },
+    },
+    vertexShader: BLEND_VERTEX,
+    fragmentShader: BLEND_FRAGMENT,
+    depthTest: false,
+    depthWrite: false,
+    blending: THREE.NoBlending,
+  });
+  const blendQuad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), blendMaterial);
+  blendQuad.frustumCulled = false;
+  const blendCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+  // Fade state: from / to are { texture, gain } (from may be the snapshot).
+  let current = null; // name of the source shown (or fading in)
+  let from = null;
+  let fade = 1;
+  let fadeS = 0;
+  let request = 0; // latest setEnvironment() call wins
+  let dirty = false;
+  let sinceRebake = Infinity;
+
+  /**
+   * Registers a source. A name that is taken is replaced, unless that source
+   * is in use (shown, fading out or loading): that throws.
+   *
+   * @param {string} name
+   * @param {object} source
+   * @param {"exr"|"hdr"|"procedural"} [source.type]  by default from the url's extension
+   * @param {string} [source.url]          HDRI file (exr / hdr)
+   * @param {number} [source.intensity=1]  brightness of this sky
+   * @param {object} [source.sky]          createProceduralSky() options (procedural)
+   */
+  function add(name, { type, url, intensity = 1, sky = {} } = {}) {
+    const kind = type ?? (url ? getHDRIType(url) : "procedural");
+    if (kind !== "procedural" && !url) throw new Error(`Environment "${name}" needs a url.`);
+
+    const old = sources.get(name);
+    const fadingOut = old?.target && from?.texture === old.target.texture;
+    if (old && (name === current || fadingOut || old.loading)) {
+      throw new Error(`Environment "${name}" is in use and can't be replaced; switch away from it first.`);
+    }
+    old?.target?.dispose();
+    old?.background?.dispose();
+    old?.sky?.dispose();
+    sources.set(name, { type: kind, url, intensity, options: sky, target: null, background: null, sky: null, loading: null });
+  }
+
+  for (const [name, source] of Object.entries(initialSources)) add(name, source);
+
+  function ensureOutput(like) {
+    if (output) return;
+    output = like.clone();
+    output.texture.mapping = THREE.CubeUVReflectionMapping;
+    output.texture.name = "Environment";
+    snapshot = output.clone();
+    snapshot.texture.mapping = THREE.CubeUVReflectionMapping;
+    snapshot.texture.name = "EnvironmentSnapshot";
+  }
+
+  function sunDirection() {
+    return timeOfDay ? timeOfDay.state.direction : null;
+  }
+
+  function bakeProcedural(source) {
+    const dir = sunDirection();
+    if (dir) source.sky.setSunDirection(dir);
+    const target = source.sky.bake(pmrem);
+    source.target?.dispose();
+    source.target = target;
+    sinceRebake = 0;
+  }
+
+  async function bakeHDRI(source) {
+    const texture = await loadEquirectHDR(source.url, source.type);
+    // Through a scene (not fromEquirectangular()) so every PMREM has the same size.
+    const bakeScene = new THREE.Scene();
+    bakeScene.background = texture;
+    source.target = pmrem.fromScene(bakeScene, 0, 0.1, 100);
+    source.background = texture;
+  }
+
+  /** Loads and bakes a source (once). */
+  function load(name) {
+    const source = sources.get(name);
+    if (!source) return Promise.reject(new Error(`Unknown environment "${name}".`));
+    if (source.target) return Promise.resolve();
+
+    source.loading ??= (async () => {
+      if (source.type === "procedural") {
+        source.sky = createProceduralSky(source.options);
+        bakeProcedural(source);
+      } else {
+        await bakeHDRI(source);
+      }
+      ensureOutput(source.target);
+    })().finally(() => {
+      source.loading = null;
+    });
+    return source.loading;
+  }
+
+  function blend(fromTex, fromGain, toTex, toGain, t, target) {
+    blendMaterial.uniforms.uFrom.value = fromTex;
+    blendMaterial.uniforms.uFromGain.value = fromGain;
+    blendMaterial.uniforms.uTo.value = toTex;
+    blendMaterial.uniforms.uToGain.value = toGain;
+    blendMaterial.uniforms.uMix.value = t;
+
+    const previousTarget = renderer.getRenderTarget();
+    const previousXr = renderer.xr.enabled;
+    renderer.xr.enabled = false;
+    renderer.setRenderTarget(target);
+    renderer.render(blendQuad, blendCamera);
+    renderer.setRenderTarget(previousTarget);
+    renderer.xr.enabled = previousXr;
+  }
+
+  // Fills the output from the fade state and points the scene at it.
+  function compose() {
+    const to = sources.get(current);
+    const t = fade * fade * (3 - 2 * fade); // ease in / out
+    if (from) blend(from.texture, from.gain, to.target.texture, to.intensity, t, output);
+    else blend(to.target.texture, to.intensity, to.target.texture, to.intensity, 1, output);
+
+    // Sharp background once an HDRI is fully in. Its intensity can only be
+    // applied in the blend (scene.backgroundIntensity belongs to timeOfDay.js).
+    scene.environment = output.texture;
+    scene.background = fade >= 1 && to.background && to.intensity === 1 ? to.background : output.texture;
+    dirty = false;
+  }
+
+  /**
+   * Switches to a source, crossfading over `duration` seconds (0 = at once).
+   * Loads it first if needed; if that fails, switches to `fallback` instead.
+   *
+   * @returns {Promise<string>} the name of the source that ended up shown
+   */
+  async function setEnvironment(name, { duration = fadeTime, fallback = defaultFallback } = {}) {
+    const id = ++request;
+    try {
+      await load(name);
+    } catch (error) {
+      if (!fallback || fallback === name) throw error;
+      console.warn(`Environment "${name}" failed to load, using "${fallback}":`, error);
+      return id === request ? setEnvironment(fallback, { duration, fallback: null }) : current;
+    }
+    if (id !== request) return current; // a newer switch was asked for meanwhile
+    if (name === current) return current;
+
+    // Start from whatever is showing right now (mid-fade: a copy of the blend).
+    if (current === null) from = null;
+    else if (fade < 1) {
+      blend(output.texture, 1, output.texture, 1, 0, snapshot);
+      from = { texture: snapshot.texture, gain: 1 };
+    } else {
+      const previous = sources.get(current);
+      from = { texture: previous.target.texture, gain: previous.intensity };
+    }
+
+    current = name;
+    fadeS = from ? Math.max(0, duration) : 0;
+    fade = fadeS > 0 ? 0 : 1;
+    if (fade >= 1) from = null;
+    compose();
+    return name;
+  }
+
+  function update(dt) {
+    if (current === null) return;
+    const source = sources.get(current);
+
+    if (fade < 1) {
+      fade = Math.min(1, fade + dt / fadeS);
+      if (fade >= 1) from = null;
+      dirty = true;
+    }
+
+    // Keep the procedural sky under the moving sun.
+    sinceRebake += dt;
+    const dir = sunDirection();
+    if (
+      source.type === "procedural" &&
+      dir &&
+      sinceRebake >= REBAKE_INTERVAL_S &&
+      dir.angleTo(source.sky.getSunDirection()) > THREE.MathUtils.degToRad(REBAKE_ANGLE_DEG)
+    ) {
+      bakeProcedural(source);
+      dirty = true;
+    }
+
+    if (dirty) compose();
+  }
+
+  function dispose() {
+    for (const source of sources.values()) {
+      source.target?.dispose();
+      source.background?.dispose();
+      source.sky?.dispose();
+    }
+    sources.clear();
+    output?.dispose();
+    snapshot?.dispose();
+    blendQuad.geometry.dispose();
+    blendMaterial.dispose();
+    if (!opts.pmrem) pmrem.dispose();
+  }
+
+  return {
+    add,
+    load,
+    setEnvironment,
+    getEnvironment: () => current,
+    update,
+    names: () => [...sources.keys()],
+    get texture() {
+      return output ? output.texture : null;
+    },
+    dispose,
+  };
+}
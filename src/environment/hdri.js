@@ -1,25 +1,53 @@
-// Loads the EXR skybox and assigns it as both background and environment map.
+// Loads HDR skyboxes (OpenEXR .exr or Radiance .hdr) and assigns them as both
+// background and environment map. environmentManager.js builds on the loader
+// to switch skies at runtime.
 import * as THREE from "three";
 import { EXRLoader } from "three/addons/loaders/EXRLoader.js";
+import { RGBELoader } from "three/addons/loaders/RGBELoader.js";
 
-export function loadHDRI(path, scene, pmremGenerator) {
-  const loader = new EXRLoader();
-  loader.setDataType(THREE.FloatType);
+/** "exr" or "hdr" from a file name (anything else is taken for EXR). */
+export function getHDRIType(path) {
+  return /\.hdr($|\?)/i.test(path) ? "hdr" : "exr";
+}
+
+/**
+ * Loads an equirectangular HDR image.
+ *
+ * @param {string} path
+ * @param {"exr"|"hdr"} [type]  by default from the file extension
+ * @returns {Promise<THREE.DataTexture>} texture with equirectangular mapping
+ */
+export function loadEquirectHDR(path, type = getHDRIType(path)) {
+  const loader = type === "hdr" ? new RGBELoader() : new EXRLoader();
+  loader.setDataType(type === "hdr" ? THREE.HalfFloatType : THREE.FloatType);
 
-  loader.load(
-    path,
+  return loader.loadAsync(path).then((texture) => {
+    texture.mapping = THREE.EquirectangularReflectionMapping;
+    return texture;
+  });
+}
+
+/**
+ * Loads an HDRI and uses it as background and environment.
+ * The PMREM generator is shared (it's also the renderer's), so it's left alive.
+ *
+ * @returns {Promise<THREE.Texture>} the environment map
+ */
+export function loadHDRI(path, scene, pmremGenerator) {
+  return loadEquirectHDR(path).then(
     (texture) => {
-      texture.mapping = THREE.EquirectangularReflectionMapping;
       const envMap = pmremGenerator.fromEquirectangular(texture).texture;
 
       scene.background = envMap;
       scene.environment = envMap;
 
       texture.dispose();
-      pmremGenerator.dispose();
       console.log("HDRI loaded:", path);
+      return envMap;
     },
-    undefined,
-    (error) => console.error("Error loading EXR HDRI:", error)
+    (error) => {
+      console.error("Error loading HDRI:", error);
+      throw error;
+    }
   );
 }
@@ -0,0 +1,291 @@
+// src/environment/heightDecoders.js
+// -----------------------------------------------------------------------------
+// Heightmap decoders for non-GeoTIFF sources.
+//
+// Supported encodings:
+//  - "png16"     grayscale PNG (8 or 16 bit), value mapped to [elevMinM..elevMaxM]
+//  - "terrarium" Terrarium RGB tiles:  h = (R * 256 + G + B / 256) - 32768
+//  - "mapbox"    Mapbox Terrain-RGB:   h = -10000 + (R * 65536 + G * 256 + B) * 0.1
+//  - "raw16"     headerless little-endian uint16 (.r16 / .raw), mapped like png16
+//
+// Why we don't use a 2D canvas for PNGs:
+// - Canvas always hands back 8-bit RGBA, so a 16-bit heightmap collapses to 256
+//   levels (~1 m terracing on the Abisko crop). We parse the PNG ourselves and
+//   keep every bit. Canvas is only used as a fallback for non-PNG RGB tiles.
+//
+// Every decoder returns the same DemData shape as loadGeoTiffDem() (demLoader.js).
+// -----------------------------------------------------------------------------
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Samples per pixel for each PNG color type (palette images are not supported).
+const PNG_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+// ------------------------------------------------------------
+// PNG parsing
+// ------------------------------------------------------------
+
+export function isPng(buffer) {
+  const bytes = new Uint8Array(buffer, 0, Math.min(8, buffer.byteLength));
+  return PNG_SIGNATURE.every((b, i) => bytes[i] === b);
+}
+
+async function inflate(bytes) {
+  // PNG IDAT data is a zlib stream, which is what "deflate" means for DecompressionStream.
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Decodes a non-interlaced PNG at its native bit depth.
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<{ width: number, height: number, channels: number, bitDepth: number,
+ *                     data: Uint8Array|Uint16Array }>} interleaved samples, row-major
+ */
+export async function decodePng(buffer) {
+  if (!isPng(buffer)) throw new Error("decodePng: not a PNG file.");
+
+  const view = new DataView(buffer);
+  const idat = [];
+  let width = 0;
+  let height = 0;
+  let bitDepth = 0;
+  let colorType = 0;
+  let interlace = 0;
+
+  // Walk chunks: [length u32][type 4 bytes][data][crc u32]
+  let off = 8;
+  while (off + 8 <= buffer.byteLength) {
+    const len = view.getUint32(off);
+    const type = String.fromCharCode(
+      view.getUint8(off + 4), view.getUint8(off + 5), view.getUint8(off + 6), view.getUint8(off + 7)
+    );
+    const dataOff = off + 8;
+
+    if (type === "IHDR") {
+      width = view.getUint32(dataOff);
+      height = view.getUint32(dataOff + 4);
+      bitDepth = view.getUint8(dataOff + 8);
+      colorType = view.getUint8(dataOff + 9);
+      interlace = view.getUint8(dataOff + 12);
+    } else if (type === "IDAT") {
+      idat.push(new Uint8Array(buffer, dataOff, len));
+    } else if (type === "IEND") {
+      break;
+    }
+
+    off = dataOff + len + 4;
+  }
+
+  const channels = PNG_CHANNELS[colorType];
+  if (!channels) throw new Error(`decodePng: unsupported color type ${colorType}.`);
+  if (bitDepth !== 8 && bitDepth !== 16) throw new Error(`decodePng: unsupported bit depth ${bitDepth}.`);
+  if (interlace !== 0) throw new Error("decodePng: interlaced PNGs are not supported.");
+
+  const raw = await inflate(new Blob(idat));
+
+  const bytesPerSample = bitDepth / 8;
+  const bpp = channels * bytesPerSample; // filter unit
+  const rowBytes = width * bpp;
+
+  // Undo per-scanline filters in place (each row is [filterType][rowBytes]).
+  const pixels = new Uint8Array(height * rowBytes);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (rowBytes + 1)];
+    const src = y * (rowBytes + 1) + 1;
+    const dst = y * rowBytes;
+    const prev = dst - rowBytes;
+
+    for (let x = 0; x < rowBytes; x++) {
+      const a = x >= bpp ? pixels[dst + x - bpp] : 0;
+      const b = y > 0 ? pixels[prev + x] : 0;
+      const c = x >= bpp && y > 0 ? pixels[prev + x - bpp] : 0;
+
+      let v = raw[src + x];
+      if (filter === 1) v += a;
+      else if (filter === 2) v += b;
+      else if (filter === 3) v += (a + b) >> 1;
+      else if (filter === 4) v += paeth(a, b, c);
+
+      pixels[dst + x] = v & 0xff;
+    }
+  }
+
+  if (bitDepth === 8) return { width, height, channels, bitDepth, data: pixels };
+
+  // 16-bit samples are big-endian in PNG.
+  const data = new Uint16Array(width * height * channels);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = (pixels[i * 2] << 8) | pixels[i * 2 + 1];
+  }
+  return { width, height, channels, bitDepth, data };
+}
+
+/**
+ * 8-bit RGBA via canvas, for RGB tiles that are not PNG (e.g. WebP/JPEG).
+ * Color management and premultiplication are disabled so RGB codes stay exact.
+ */
+async function decodeViaCanvas(buffer) {
+  const bmp = await createImageBitmap(new Blob([buffer]), {
+    colorSpaceConversion: "none",
+    premultiplyAlpha: "none",
+  });
+
+  // OffscreenCanvas inside the terrain build worker (no document there).
+  const canvas =
+    typeof document === "undefined"
+      ? new OffscreenCanvas(bmp.width, bmp.height)
+      : Object.assign(document.createElement("canvas"), { width: bmp.width, height: bmp.height });
+
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(bmp, 0, 0);
+
+  const img = ctx.getImageData(0, 0, bmp.width, bmp.height);
+  return { width: bmp.width, height: bmp.height, channels: 4, bitDepth: 8, data: img.data };
+}
+
+async function decodeImage(buffer) {
+  return isPng(buffer) ? decodePng(buffer) : decodeViaCanvas(buffer);
+}
+
+// ------------------------------------------------------------
+// DemData helpers
+// ------------------------------------------------------------
+
+function rangeOf(elevations) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < elevations.length; i++) {
+    const v = elevations[i];
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  return { min, max };
+}
+
+/**
+ * Wraps decoded elevations into DemData. Non-georeferenced sources have no CRS,
+ * so their footprint comes from opts.sizeM (square) or opts.pixelSizeM.
+ */
+function toDem(width, height, elevations, opts, elevMinM, elevMaxM) {
+  const pixelSizeM = opts.pixelSizeM
+    ? { x: opts.pixelSizeM.x ?? opts.pixelSizeM, y: opts.pixelSizeM.y ?? opts.pixelSizeM }
+    : { x: opts.sizeM / width, y: opts.sizeM / height };
+
+  if (!Number.isFinite(pixelSizeM.x) || !Number.isFinite(pixelSizeM.y)) {
+    throw new Error("Height decoder: pass sizeM or pixelSizeM for non-georeferenced heightmaps.");
+  }
+
+  return {
+    width,
+    height,
+    elevations,
+    elevMinM,
+    elevMaxM,
+    pixelSizeM,
+    originM: null,
+    bbox: null,
+    crs: null,
+    noData: null,
+  };
+}
+
+/**
+ * Maps normalized samples to meters. Both png16 and raw16 store a 0..max code
+ * that a preprocessing step stretched over [elevMinM..elevMaxM].
+ */
+function normalizedToDem(width, height, samples, stride, maxCode, opts) {
+  const { elevMinM, elevMaxM } = opts;
+  if (!Number.isFinite(elevMinM) || !Number.isFinite(elevMaxM)) {
+    throw new Error("Height decoder: elevMinM/elevMaxM are required for normalized heightmaps.");
+  }
+
+  const elevations = new Float32Array(width * height);
+  const scale = (elevMaxM - elevMinM) / maxCode;
+
+  for (let i = 0; i < elevations.length; i++) {
+    elevations[i] = elevMinM + samples[i * stride] * scale;
+  }
+
+  return toDem(width, height, elevations, opts, elevMinM, elevMaxM);
+}
+
+// ------------------------------------------------------------
+// Decoders: (ArrayBuffer, opts) -> Promise<DemData>
+// ------------------------------------------------------------
+
+export async function decodePng16(buffer, opts = {}) {
+  const img = await decodePng(buffer);
+  const maxCode = img.bitDepth === 16 ? 65535 : 255;
+
+  // Gray (and gray+alpha) keep height in channel 0; for RGB we also read R.
+  return normalizedToDem(img.width, img.height, img.data, img.channels, maxCode, opts);
+}
+
+export async function decodeTerrarium(buffer, opts = {}) {
+  const img = await decodeImage(buffer);
+  const { width, height, channels, data } = img;
+  const shift = img.bitDepth === 16 ? 8 : 0; // use the high byte if someone saved a 16-bit tile
+
+  const elevations = new Float32Array(width * height);
+  for (let i = 0; i < elevations.length; i++) {
+    const r = data[i * channels] >> shift;
+    const g = data[i * channels + 1] >> shift;
+    const b = data[i * channels + 2] >> shift;
+    elevations[i] = r * 256 + g + b / 256 - 32768;
+  }
+
+  const { min, max } = rangeOf(elevations);
+  return toDem(width, height, elevations, opts, min, max);
+}
+
+export async function decodeMapboxRgb(buffer, opts = {}) {
+  const img = await decodeImage(buffer);
+  const { width, height, channels, data } = img;
+  const shift = img.bitDepth === 16 ? 8 : 0;
+
+  const elevations = new Float32Array(width * height);
+  for (let i = 0; i < elevations.length; i++) {
+    const r = data[i * channels] >> shift;
+    const g = data[i * channels + 1] >> shift;
+    const b = data[i * channels + 2] >> shift;
+    elevations[i] = -10000 + (r * 65536 + g * 256 + b) * 0.1;
+  }
+
+  const { min, max } = rangeOf(elevations);
+  return toDem(width, height, elevations, opts, min, max);
+}
+
+/**
+ * Headerless little-endian uint16 heightmap (.r16 / .raw, e.g. Unity/World Machine).
+ * Width/height default to a square inferred from the file size.
+ */
+export async function decodeRaw16(buffer, opts = {}) {
+  const count = Math.floor(buffer.byteLength / 2);
+  const side = Math.round(Math.sqrt(count));
+  const width = opts.width ?? side;
+  const height = opts.height ?? Math.floor(count / width);
+
+  if (width * height > count || (opts.width == null && side * side !== count)) {
+    throw new Error(`decodeRaw16: cannot infer a ${width}x${height} grid from ${buffer.byteLength} bytes.`);
+  }
+
+  // DataView so byte order is explicit regardless of platform endianness.
+  const view = new DataView(buffer);
+  const samples = new Uint16Array(width * height);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = view.getUint16(i * 2, true);
+  }
+
+  return normalizedToDem(width, height, samples, 1, 65535, opts);
+}
@@ -0,0 +1,241 @@
+// src/environment/heightfield.js
+// -----------------------------------------------------------------------------
+// Plain typed-array math on a heightfield: normals, slope/hillshade bytes and
+// chunk vertex buffers.
+//
+// This module is shared by the main thread and the terrain build worker, so it
+// must not import "three" (or any other bare specifier): workers don't see the
+// page's import map.
+//
+// Heightfield layout (same as everywhere else in the terrain code):
+//  - heights: row-major Float32Array, row 0 = north edge (-Z)
+//  - normals: xyz per sample
+//  - local x in [-sizeX/2..+sizeX/2], z in [-sizeZ/2..+sizeZ/2]
+// -----------------------------------------------------------------------------
+
+/**
+ * Per-sample normals from a row-major heightfield (central differences).
+ * Local axes: x = columns, z = rows, y = up.
+ *
+ * @param {Float32Array} heights
+ * @param {number} width   samples per row
+ * @param {number} height  rows
+ * @param {number} cellX   meters between columns
+ * @param {number} cellZ   meters between rows
+ * @returns {Float32Array} xyz per sample
+ */
+export function computeHeightfieldNormals(heights, width, height, cellX, cellZ) {
+  const normals = new Float32Array(width * height * 3);
+  updateHeightfieldNormals(normals, heights, width, height, cellX, cellZ, 0, 0, width - 1, height - 1);
+  return normals;
+}
+
+/**
+ * Recomputes normals in place for samples [x0..x1] x [y0..y1] (inclusive).
+ * Used after heights change (tile stitching, terrain edits).
+ */
+export function updateHeightfieldNormals(normals, heights, width, height, cellX, cellZ, x0, y0, x1, y1) {
+  for (let y = Math.max(0, y0); y <= Math.min(height - 1, y1); y++) {
+    const ya = Math.max(0, y - 1);
+    const yb = Math.min(height - 1, y + 1);
+
+    for (let x = Math.max(0, x0); x <= Math.min(width - 1, x1); x++) {
+      const xa = Math.max(0, x - 1);
+      const xb = Math.min(width - 1, x + 1);
+
+      const dhdx = (heights[y * width + xb] - heights[y * width + xa]) / ((xb - xa) * cellX);
+      const dhdz = (heights[yb * width + x] - heights[ya * width + x]) / ((yb - ya) * cellZ);
+
+      // normalize(-dhdx, 1, -dhdz)
+      const inv = 1 / Math.sqrt(dhdx * dhdx + 1 + dhdz * dhdz);
+      const i = 3 * (y * width + x);
+      normals[i] = -dhdx * inv;
+      normals[i + 1] = inv;
+      normals[i + 2] = -dhdz * inv;
+    }
+  }
+}
+
+// ------------------------------------------------------------
+// Slope / hillshade bytes (R8, rows flipped: north row last)
+// ------------------------------------------------------------
+
+// Visits heightfield samples in [x0..x1] x [y0..y1] with their texel index.
+function forEachSample(hf, region, fn) {
+  const x0 = Math.max(0, region?.x0 ?? 0);
+  const y0 = Math.max(0, region?.y0 ?? 0);
+  const x1 = Math.min(hf.width - 1, region?.x1 ?? hf.width - 1);
+  const y1 = Math.min(hf.height - 1, region?.y1 ?? hf.height - 1);
+
+  for (let y = y0; y <= y1; y++) {
+    const row = (hf.height - 1 - y) * hf.width; // flipped: north row last
+    for (let x = x0; x <= x1; x++) {
+      fn(3 * (y * hf.width + x), row + x);
+    }
+  }
+}
+
+/**
+ * Slope (0..255 == 0..90 degrees) from the normals into `data`.
+ *
+ * @param {Uint8Array} data  width * height bytes
+ * @param {{ normals: Float32Array, width: number, height: number }} hf
+ * @param {{ x0: number, y0: number, x1: number, y1: number }} [region] samples to refresh
+ */
+export function writeSlopeBytes(data, hf, region) {
+  const n = hf.normals;
+  forEachSample(hf, region, (ni, ti) => {
+    const slopeDeg = (Math.acos(Math.min(1, Math.max(-1, n[ni + 1]))) * 180) / Math.PI;
+    data[ti] = Math.round((slopeDeg / 90) * 255);
+  });
+}
+
+/**
+ * Lambert hillshade (0..255) from the normals into `data`.
+ *
+ * @param {Uint8Array} data
+ * @param {{ normals: Float32Array, width: number, height: number }} hf
+ * @param {{ x: number, y: number, z: number }} lightDirLocal  normalized, pointing to the light
+ * @param {{ x0: number, y0: number, x1: number, y1: number }} [region]
+ */
+export function writeHillshadeBytes(data, hf, lightDirLocal, region) {
+  const n = hf.normals;
+  const { x, y, z } = lightDirLocal;
+  forEachSample(hf, region, (ni, ti) => {
+    const shade = n[ni] * x + n[ni + 1] * y + n[ni + 2] * z;
+    data[ti] = Math.round(Math.min(1, Math.max(0, shade)) * 255);
+  });
+}
+
+// ------------------------------------------------------------
+// Quadtree chunk geometry
+// ------------------------------------------------------------
+
+/**
+ * Number of quadtree levels below the root so that leaves have stride 1.
+ */
+export function quadtreeDepth(width, height, chunkSegments) {
+  const maxSegments = Math.max(width - 1, height - 1);
+  return Math.max(0, Math.ceil(Math.log2(maxSegments / chunkSegments)));
+}
+
+/**
+ * Sample indices for one axis of a node: every `stride` samples from `start`,
+ * always ending exactly on the node border (or the last sample of the grid).
+ */
+function axisSamples(start, span, stride, count) {
+  const end = Math.min(start + span, count - 1);
+  const out = [];
+  for (let g = start; g < end; g += stride) out.push(g);
+  out.push(end);
+  return out;
+}
+
+/**
+ * Index buffer for a chunk with cols x rows vertices plus its skirt.
+ * Only depends on the grid shape, so callers cache it per shape.
+ *
+ * @returns {{ border: number[], index: Uint32Array }}
+ */
+export function buildChunkIndex(cols, rows) {
+  const idx = [];
+
+  // Main grid (same winding as a PlaneGeometry rotated onto XZ).
+  for (let j = 0; j < rows - 1; j++) {
+    for (let i = 0; i < cols - 1; i++) {
+      const a = j * cols + i;
+      const b = a + cols;
+      const c = b + 1;
+      const d = a + 1;
+      idx.push(a, b, d, b, c, d);
+    }
+  }
+
+  // Skirts: walk the border so that "outside" is always on the same side
+  // (north +x, east +z, south -x, west -z), then hang a strip below it.
+  const border = [];
+  for (let i = 0; i < cols - 1; i++) border.push(i);
+  for (let j = 0; j < rows - 1; j++) border.push(j * cols + cols - 1);
+  for (let i = cols - 1; i > 0; i--) border.push((rows - 1) * cols + i);
+  for (let j = rows - 1; j > 0; j--) border.push(j * cols);
+  border.push(0);
+
+  const skirtStart = cols * rows;
+  for (let k = 0; k < border.length - 1; k++) {
+    const e0 = border[k];
+    const e1 = border[k + 1];
+    const s0 = skirtStart + (k % (border.length - 1));
+    const s1 = skirtStart + ((k + 1) % (border.length - 1));
+    idx.push(e0, e1, s0, e1, s1, s0);
+  }
+
+  return { border, index: new Uint32Array(idx) };
+}
+
+/**
+ * Vertex buffers (position, normal, uv) for one quadtree node.
+ *
+ * @param {{ heights: Float32Array, normals: Float32Array, width: number, height: number,
+ *           sizeX: number, sizeZ: number }} hf
+ * @param {{ gx0: number, gy0: number, span: number, stride: number }} node
+ * @param {(cols: number, rows: number) => { border: number[] }} getIndex  cached buildChunkIndex
+ * @returns {{ position: Float32Array, normal: Float32Array, uv: Float32Array, cols: number, rows: number }}
+ */
+export function buildChunkVertices(hf, node, getIndex) {
+  const { heights, normals, width, height, sizeX, sizeZ } = hf;
+  const cellX = sizeX / (width - 1);
+  const cellZ = sizeZ / (height - 1);
+
+  const xs = axisSamples(node.gx0, node.span, node.stride, width);
+  const ys = axisSamples(node.gy0, node.span, node.stride, height);
+  const cols = xs.length;
+  const rows = ys.length;
+
+  const { border } = getIndex(cols, rows);
+  const vertCount = cols * rows + (border.length - 1);
+
+  const position = new Float32Array(vertCount * 3);
+  const normal = new Float32Array(vertCount * 3);
+  const uv = new Float32Array(vertCount * 2);
+
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < cols; i++) {
+      const gx = xs[i];
+      const gy = ys[j];
+      const s = gy * width + gx;
+      const v = j * cols + i;
+
+      position[v * 3] = -sizeX * 0.5 + gx * cellX;
+      position[v * 3 + 1] = heights[s];
+      position[v * 3 + 2] = -sizeZ * 0.5 + gy * cellZ;
+
+      normal[v * 3] = normals[s * 3];
+      normal[v * 3 + 1] = normals[s * 3 + 1];
+      normal[v * 3 + 2] = normals[s * 3 + 2];
+
+      // Same UV convention as the original PlaneGeometry: v = 1 on the north (row 0) edge.
+      uv[v * 2] = gx / (width - 1);
+      uv[v * 2 + 1] = 1 - gy / (height - 1);
+    }
+  }
+
+  // Skirt depth grows with the LOD step: it must cover the worst height error
+  // between this chunk's edge and a finer neighbour (45 degree slope per cell).
+  const skirtDepth = node.stride * Math.max(cellX, cellZ);
+  for (let k = 0; k < border.length - 1; k++) {
+    const e = border[k];
+    const v = cols * rows + k;
+    position[v * 3] = position[e * 3];
+    position[v * 3 + 1] = position[e * 3 + 1] - skirtDepth;
+    position[v * 3 + 2] = position[e * 3 + 2];
+    normal.copyWithin(v * 3, e * 3, e * 3 + 3);
+    uv.copyWithin(v * 2, e * 2, e * 2 + 2);
+  }
+
+  return { position, normal, uv, cols, rows };
+}
+
+/**
+ * Key of a quadtree node, shared by prebuilt chunk buffers and the chunk cache.
+ */
+export const chunkKey = (level, gx0, gy0) => `${level}_${gx0}_${gy0}`;
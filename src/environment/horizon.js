@@ -0,0 +1,242 @@
+// src/environment/horizon.js
+// -----------------------------------------------------------------------------
+// Low-detail backdrop landscape around the playable terrain.
+//
+// Without it the 1 km tile ends in a floating slab with the sky/HDRI visible
+// underneath. The horizon ring starts exactly at the tile border (heights taken
+// from the terrain edge, so the DEM seems to continue), flattens out into a
+// valley floor and then rises into procedural mountain silhouettes that fade
+// into haze with distance.
+//
+// Design notes:
+// - Purely visual: no colliders, no raycast hits, no shadows. The player is
+//   still stopped by clampPlayerToTerrainBounds() in main.js.
+// - Its own cheap material (Lambert + baked vertex colors) instead of the
+//   terrain shader; at these distances the detail would be invisible anyway.
+// - The inner edge tucks a few meters under the tile border, so there is no
+//   visible seam even where the DEM edge is rough.
+// -----------------------------------------------------------------------------
+
+import * as THREE from "three";
+
+// ------------------------------------------------------------
+// Tiny deterministic 2D noise (value noise + ridged fBm)
+// ------------------------------------------------------------
+
+function hash2(ix, iz, seed) {
+  let h = Math.imul(ix, 374761393) ^ Math.imul(iz, 668265263) ^ Math.imul(seed, 2246822519);
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967295;
+}
+
+function valueNoise(x, z, seed) {
+  const ix = Math.floor(x);
+  const iz = Math.floor(z);
+  const fx = x - ix;
+  const fz = z - iz;
+  const ux = fx * fx * (3 - 2 * fx);
+  const uz = fz * fz * (3 - 2 * fz);
+
+  const a = hash2(ix, iz, seed);
+  const b = hash2(ix + 1, iz, seed);
+  const c = hash2(ix, iz + 1, seed);
+  const d = hash2(ix + 1, iz + 1, seed);
+  return THREE.MathUtils.lerp(THREE.MathUtils.lerp(a, b, ux), THREE.MathUtils.lerp(c, d, ux), uz);
+}
+
+// Ridged fBm in [0..1]: sharp crests, which read as mountain ridges from afar.
+function ridgedFbm(x, z, seed, octaves = 5) {
+  let sum = 0;
+  let amp = 0.5;
+  let norm = 0;
+  for (let o = 0; o < octaves; o++) {
+    const n = 1 - Math.abs(2 * valueNoise(x, z, seed + o) - 1);
+    sum += n * n * amp;
+    norm += amp;
+    x *= 2.03;
+    z *= 2.03;
+    amp *= 0.5;
+  }
+  return sum / norm;
+}
+
+// Distance from the rectangle center to its border along (dx, dz).
+function distanceToRectEdge(halfX, halfZ, dx, dz) {
+  const tx = Math.abs(dx) > 1e-9 ? halfX / Math.abs(dx) : Infinity;
+  const tz = Math.abs(dz) > 1e-9 ? halfZ / Math.abs(dz) : Infinity;
+  return Math.min(tx, tz);
+}
+
+/**
+ * Creates the horizon ring around a playable XZ rectangle.
+ *
+ * @param {object} opts
+ * @param {{ minX: number, maxX: number, minZ: number, maxZ: number }} opts.bounds  Playable area (world XZ).
+ * @param {(x: number, z: number) => number|null} opts.sampleHeight  World height of the playable terrain.
+ * @param {number} [opts.outerRadius=6000]     Ring radius (keep below the camera far plane).
+ * @param {number} [opts.angularSegments=256]
+ * @param {number} [opts.radialSegments=48]    Denser near the tile, sparser far out.
+ * @param {number} [opts.valleyDistance=400]   Distance over which the DEM edge relaxes to the valley floor.
+ * @param {number} [opts.mountainHeight=900]   Peak height above the valley floor (meters).
+ * @param {number} [opts.mountainStart=250]    Mountains begin rising this far from the tile edge.
+ * @param {number} [opts.mountainScale=1800]   Horizontal size of a mountain (meters).
+ * @param {number} [opts.insetM=4]             How far the inner edge reaches under the tile.
+ * @param {number} [opts.sinkM=1.5]            How far below the tile edge the inner edge sits.
+ * @param {THREE.ColorRepresentation} [opts.hazeColor=0xb8cce0]  Color far mountains fade towards.
+ * @param {number} [opts.seed=7]
+ * @returns {{ mesh: THREE.Mesh, rebuild: (bounds: object) => void, dispose: () => void }}
+ */
+export function createHorizon(opts) {
+  const {
+    sampleHeight,
+    outerRadius = 6000,
+    angularSegments = 256,
+    radialSegments = 48,
+    valleyDistance = 400,
+    mountainHeight = 900,
+    mountainStart = 250,
+    mountainScale = 1800,
+    insetM = 4,
+    sinkM = 1.5,
+    hazeColor = 0xb8cce0,
+    seed = 7,
+  } = opts;
+
+  const snow = new THREE.Color(0.92, 0.95, 1.0);
+  const rock = new THREE.Color(0.34, 0.36, 0.4);
+  const haze = new THREE.Color(hazeColor);
+
+  const cols = angularSegments;
+  const rows = radialSegments + 1;
+  const vertCount = cols * rows;
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(new Float32Array(vertCount * 3), 3));
+  geometry.setAttribute("color", new THREE.BufferAttribute(new Float32Array(vertCount * 3), 3));
+
+  // Quads between ring j and j + 1, wrapping around in angle.
+  const index = [];
+  for (let j = 0; j < rows - 1; j++) {
+    for (let i = 0; i < cols; i++) {
+      const i1 = (i + 1) % cols;
+      const a = j * cols + i;
+      const b = j * cols + i1;
+      const c = (j + 1) * cols + i;
+      const d = (j + 1) * cols + i1;
+      index.push(a, b, c, b, d, c);
+    }
+  }
+  geometry.setIndex(index);
+
+  const material = new THREE.MeshLambertMaterial({ vertexColors: true });
+
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.name = "HorizonRing";
+  mesh.castShadow = false;
+  mesh.receiveShadow = false;
+  // Backdrop only: never picked, never collided with.
+  mesh.raycast = () => {};
+
+  const tmpColor = new THREE.Color();
+
+  /**
+   * Rebuilds the ring around a new playable rectangle (e.g. after more tiles
+   * streamed in). Re-samples the terrain edge, so call it once the tiles that
+   * form the border are loaded.
+   */
+  function rebuild(bounds) {
+    const cx = (bounds.minX + bounds.maxX) * 0.5;
+    const cz = (bounds.minZ + bounds.maxZ) * 0.5;
+    const halfX = (bounds.maxX - bounds.minX) * 0.5 - insetM;
+    const halfZ = (bounds.maxZ - bounds.minZ) * 0.5 - insetM;
+
+    const pos = geometry.attributes.position;
+    const edgeHeights = new Float32Array(cols);
+    const edgeDists = new Float32Array(cols);
+
+    // Tile border heights (null where no tile is loaded -> filled below).
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < cols; i++) {
+      const a = (i / cols) * Math.PI * 2;
+      const dx = Math.cos(a);
+      const dz = Math.sin(a);
+      const r0 = distanceToRectEdge(halfX, halfZ, dx, dz);
+      const h = sampleHeight(cx + dx * r0, cz + dz * r0);
+
+      edgeDists[i] = r0;
+      edgeHeights[i] = h ?? NaN;
+      if (h != null) {
+        sum += h;
+        count++;
+      }
+    }
+
+    // Valley floor: the average border height, so the backdrop sits at a
+    // plausible level whatever the DEM datum is.
+    const valleyY = count ? sum / count : 0;
+    for (let i = 0; i < cols; i++) {
+      if (Number.isNaN(edgeHeights[i])) edgeHeights[i] = valleyY;
+    }
+
+    for (let i = 0; i < cols; i++) {
+      const a = (i / cols) * Math.PI * 2;
+      const dx = Math.cos(a);
+      const dz = Math.sin(a);
+      const r0 = edgeDists[i];
+
+      // Ring 0 hides under the tile; ring 1 sits on the tile border.
+      const rEdge = distanceToRectEdge(halfX + insetM, halfZ + insetM, dx, dz);
+
+      for (let j = 0; j < rows; j++) {
+        // Quadratic spacing: small steps near the tile where the shape matters.
+        const t = j === 0 ? 0 : (j - 1) / (rows - 2);
+        const r = j === 0 ? r0 : rEdge + (outerRadius - rEdge) * t * t;
+        const d = Math.max(0, r - rEdge); // distance beyond the tile edge
+
+        const x = cx + dx * r;
+        const z = cz + dz * r;
+
+        const relax = THREE.MathUtils.smoothstep(d, 0, valleyDistance);
+        const rise = THREE.MathUtils.smoothstep(d, mountainStart, mountainStart + mountainScale);
+        const ridge = ridgedFbm(x / mountainScale, z / mountainScale, seed);
+
+        let y = THREE.MathUtils.lerp(edgeHeights[i], valleyY, relax) + mountainHeight * rise * ridge;
+        if (j === 0) y -= sinkM;
+
+        pos.setXYZ(j * cols + i, x, y, z);
+      }
+    }
+
+    pos.needsUpdate = true;
+    geometry.computeVertexNormals();
+    geometry.computeBoundingSphere();
+
+    // Baked colors: snow on gentle slopes, rock on steep ones, then haze with distance.
+    const nrm = geometry.attributes.normal;
+    const col = geometry.attributes.color;
+    for (let j = 0; j < rows; j++) {
+      const t = Math.max(0, j - 1) / (rows - 2);
+      const fade = THREE.MathUtils.smoothstep(t * t, 0.05, 1.0) * 0.85;
+
+      for (let i = 0; i < cols; i++) {
+        const v = j * cols + i;
+        const slopeDeg = THREE.MathUtils.radToDeg(Math.acos(THREE.MathUtils.clamp(nrm.getY(v), -1, 1)));
+        const snowAmount = 1 - THREE.MathUtils.smoothstep(slopeDeg, 20, 40);
+
+        tmpColor.copy(rock).lerp(snow, snowAmount).lerp(haze, fade);
+        col.setXYZ(v, tmpColor.r, tmpColor.g, tmpColor.b);
+      }
+    }
+    col.needsUpdate = true;
+  }
+
+  function dispose() {
+    geometry.dispose();
+    material.dispose();
+  }
+
+  rebuild(opts.bounds);
+
+  return { mesh, rebuild, dispose };
+}
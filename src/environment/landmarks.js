@@ -1,8 +1,9 @@
 // Spawns placeholder houses and trees, aligning them with the terrain and registering colliders.
+// Pass { snowCover } (createSnowCover() from snowCover.js) to let snow pile up on them.
 import * as THREE from "three";
 import { registerCollidersFromObject } from "../collision/colliders.js";
 
-export function createLandmarks(scene, sampleGround, fallbackGround = 0) {
+export function createLandmarks(scene, sampleGround, fallbackGround = 0, { snowCover = null } = {}) {
   const houseMat = new THREE.MeshStandardMaterial({ color: 0xffd2a6, roughness: 0.8 });
   const roofMat = new THREE.MeshStandardMaterial({ color: 0xcc3333, roughness: 0.9 });
   const trunkMat = new THREE.MeshStandardMaterial({ color: 0x7a4a2a, roughness: 1.0 });
@@ -32,6 +33,7 @@ export function createLandmarks(scene, sampleGround, fallbackGround = 0) {
     placeOnGround(house, x, z);
 
     scene.add(house);
+    snowCover?.apply(house); // shared materials: only the first call patches
     registerCollidersFromObject(house);
   }
 
@@ -53,6 +55,7 @@ export function createLandmarks(scene, sampleGround, fallbackGround = 0) {
     placeOnGround(tree, x, z);
 
     scene.add(tree);
+    snowCover?.apply(tree);
     registerCollidersFromObject(tree);
   }
 }
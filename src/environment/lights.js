@@ -5,8 +5,8 @@
 // - Directional light ("sun"): main key light, casts shadows.
 //
 // This module ONLY creates/configures lights.
-// It does NOT implement the "shadow camera follows the player" behavior.
-// That part lives in src/environment/shadows.js.
+// It does NOT fit the shadow cameras to the view (cascaded shadows,
+// or the older follow-player frustum). That part lives in src/environment/shadows.js.
 // -----------------------------------------------------------------------------
 
 import * as THREE from "three";
@@ -63,11 +63,12 @@ export function addLights(scene, opts = {}) {
   // - too small -> shadows disappear when you walk
   // - too big   -> shadows get blurry (shadow texels spread over huge area)
   //
-  // The follow-player shadow frustum is implemented in shadows.js.
+  // Cascaded shadows (or the follow-player frustum) are implemented in shadows.js;
+  // the cascades take over this light's shadow and use its map size and bias.
 
   // Set a reasonable "default" direction and height.
-  // shadows.js will reposition this relative to the player each frame,
-  // but these defaults are still useful during loading.
+  // With cascaded shadows only the direction (position -> target) matters;
+  // the follow-player frustum repositions this relative to the player.
   sun.position.set(-300, 600, 200);
 
   // DirectionalLight uses an internal OrthographicCamera for shadows.
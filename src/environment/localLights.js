@@ -0,0 +1,336 @@
+// src/environment/localLights.js
+// -----------------------------------------------------------------------------
+// Local lights authored in models: lanterns, campfires, lit windows.
+//
+// addFromObject(root) looks through a loaded model for light markers:
+//  - glTF extras (Blender custom properties) on a node:
+//      light = "lantern"
+//      light = { "type": "campfire", "intensity": 20, "color": "#ff8040",
+//                "distance": 30, "flicker": 0.4, "shadow": false, "emissive": 3 }
+//  - or the node name: "light:lantern", "light_campfire.001", ...
+//    (GLTFLoader strips ':' and '.' from names; the original name, which
+//    is in userData.name, is the one read)
+//  - lights the file brings itself (KHR_lights_punctual) join in as they are
+// A marker gets a PointLight (a SpotLight for windows, shining along the
+// node's -Z like glTF lights) as a child, so it moves with the model. Types
+// are presets (LIGHT_PRESETS); every field can be overridden in the extras.
+//
+// update(dt) animates them:
+//  - flicker: a few detuned sines per light (fire flickers hard, lanterns
+//    a little, windows hardly)
+//  - emissive boost: meshes under a marker (lantern glass, embers) glow in
+//    the light's color, flickering along, never below their own glow. A
+//    material the rest of the model shares too (one atlas material for a
+//    whole Sketchfab model is common) is cloned for the marker first, so the
+//    tent around the lantern doesn't glow with it
+//  - dusk: with a time of day they fade in as the sun goes down
+//  - shadows: point light shadows cost six renders each, so only the
+//    `shadowBudget` lights nearest to the camera cast them. The number of
+//    casters stays the same (only which lights changes), so materials never
+//    recompile; point and spot shadows don't get in the way of the sun
+//    cascades (shadows.js), those are directional.
+// -----------------------------------------------------------------------------
+
+import * as THREE from "three";
+
+/**
+ * Built-in light types. intensity is candela (three's physical units, decay 2),
+ * distance meters (cut-off), angle degrees (spots), flicker the intensity
+ * swing (0..1) and flickerSpeed how fast it moves; emissive scales the glow
+ * of the marker's meshes (0 = leave them alone).
+ */
+export const LIGHT_PRESETS = Object.freeze({
+  lantern: Object.freeze({
+    kind: "point",
+    color: 0xffb35c,
+    intensity: 4,
+    distance: 12,
+    flicker: 0.12,
+    flickerSpeed: 5,
+    shadow: true,
+    emissive: 2,
+  }),
+  campfire: Object.freeze({
+    kind: "point",
+    color: 0xff7a2e,
+    intensity: 15,
+    distance: 25,
+    flicker: 0.35,
+    flickerSpeed: 9,
+    shadow: true,
+    emissive: 4,
+  }),
+  candle: Object.freeze({
+    kind: "point",
+    color: 0xffa64d,
+    intensity: 1,
+    distance: 4,
+    flicker: 0.2,
+    flickerSpeed: 12,
+    shadow: false,
+    emissive: 1.5,
+  }),
+  window: Object.freeze({
+    kind: "spot",
+    color: 0xffc98a,
+    intensity: 6,
+    distance: 15,
+    angle: 60,
+    penumbra: 0.8,
+    flicker: 0.02,
+    flickerSpeed: 1,
+    shadow: false,
+    emissive: 1.5,
+  }),
+});
+
+// Names like "light:lantern", "light_lantern.001" or "light-campfire" (the
+// separator is required: "Lights" or "Lighthouse" are not markers).
+const NAME_RE = /^light[:_-]([a-z]+)/i;
+
+// Shadow casters are re-picked this often (seconds).
+const SHADOW_PICK_INTERVAL_S = 0.25;
+
+// Reads a marker spec off a node: extras first, then the name.
+function readMarker(o) {
+  const extra = o.userData.light;
+  if (typeof extra === "string") return { type: extra };
+  if (extra && typeof extra === "object") return { ...extra, type: extra.type ?? extra.preset };
+
+  const match = NAME_RE.exec(o.userData.name ?? o.name ?? "");
+  return match ? { type: match[1].toLowerCase() } : null;
+}
+
+function createLight(spec) {
+  const light =
+    spec.kind === "spot"
+      ? new THREE.SpotLight(spec.color, spec.intensity, spec.distance, THREE.MathUtils.degToRad(spec.angle ?? 60), spec.penumbra ?? 0.5, 2)
+      : new THREE.PointLight(spec.color, spec.intensity, spec.distance, 2);
+
+  light.shadow.mapSize.set(512, 512);
+  light.shadow.bias = -0.002;
+  light.shadow.camera.near = 0.1;
+  light.shadow.camera.far = spec.distance || 50;
+  if (light.isSpotLight) light.target.position.set(0, 0, -1);
+  return light;
+}
+
+/**
+ * Creates the local light manager. Call update(dt) once per frame.
+ *
+ * @param {object} opts
+ * @param {THREE.Camera} opts.camera            shadows go to the lights nearest to it
+ * @param {ReturnType<import("./timeOfDay.js").createTimeOfDay>} [opts.timeOfDay]  lights fade in at dusk
+ * @param {number} [opts.shadowBudget=2]        point / spot lights casting shadows at once
+ * @param {number} [opts.dayIntensity=0.15]     share of the light left in full daylight
+ * @param {Record<string, object>} [opts.presets=LIGHT_PRESETS]
+ * @returns {{
+ *   addFromObject: (root: THREE.Object3D) => number,
+ *   update: (dt: number) => void,
+ *   setShadowBudget: (budget: number) => void,
+ *   lights: object[],
+ *   dispose: () => void
+ * }}
+ */
+export function createLocalLights(opts) {
+  const { camera, timeOfDay = null, dayIntensity = 0.15, presets = LIGHT_PRESETS } = opts;
+  let shadowBudget = Math.max(0, Math.floor(opts.shadowBudget ?? 2));
+
+  // { light, spec, created, seeds, materials: [{ material, authored, intensity }] }
+  const entries = [];
+  const claimed = new Map(); // material animated by a light -> its authored emissive
+  const clones = []; // { mesh, index, original, clone } for marker-only copies
+  let time = 0;
+  let sincePick = Infinity;
+  const cameraPos = new THREE.Vector3();
+  const lightPos = new THREE.Vector3();
+
+  // How many meshes under `root` use each material.
+  function countUses(root) {
+    const uses = new Map();
+    root.traverse((o) => {
+      if (!o.isMesh) return;
+      for (const m of Array.isArray(o.material) ? o.material : [o.material]) uses.set(m, (uses.get(m) ?? 0) + 1);
+    });
+    return uses;
+  }
+
+  // Gives `mesh` its own copy of material slot `index` (shared with meshes
+  // outside the marker), once per marker.
+  function ownCopy(mesh, index, copies) {
+    const original = Array.isArray(mesh.material) ? mesh.material[index] : mesh.material;
+    let clone = copies.get(original);
+    if (!clone) {
+      clone = original.clone();
+      clone.name = `${original.name || "material"}_glow`;
+      // clone() copies userData but not onBeforeCompile: drop patch markers
+      // (snowCover.js) so the copy gets patched in its own right.
+      delete clone.userData.snowCover;
+      copies.set(original, clone);
+    }
+    if (Array.isArray(mesh.material)) mesh.material[index] = clone;
+    else mesh.material = clone;
+    clones.push({ mesh, index, original, clone });
+    return clone;
+  }
+
+  function boostMaterials(marker, spec, modelUses) {
+    const list = [];
+    if (!spec.emissive) return list;
+    const markerUses = countUses(marker);
+    const copies = new Map();
+
+    marker.traverse((o) => {
+      if (!o.isMesh) return;
+      const slots = Array.isArray(o.material) ? o.material : [o.material];
+      slots.forEach((m, index) => {
+        if (!m || !m.emissive || claimed.has(m)) return;
+        // Used outside the marker as well: glow on a copy only.
+        if ((modelUses.get(m) ?? 0) > markerUses.get(m)) m = ownCopy(o, index, copies);
+        if (claimed.has(m)) return;
+        const authored = { color: m.emissive.getHex(), intensity: m.emissiveIntensity };
+        claimed.set(m, authored);
+
+        // Glow in the light's color unless the material has its own (without
+        // one there is no glow of its own to keep either).
+        const glows = authored.color !== 0;
+        if (!glows) m.emissive.set(spec.color);
+        list.push({
+          material: m,
+          authored: glows ? authored.intensity : 0,
+          intensity: m.emissiveIntensity * spec.emissive,
+        });
+      });
+    });
+    return list;
+  }
+
+  /**
+   * Finds the light markers under `root` and gives them lights.
+   * @returns {number} number of lights added
+   */
+  function addFromObject(root) {
+    const modelUses = countUses(root);
+    const found = [];
+    root.traverse((o) => {
+      if (o.userData.localLight) return; // ours, or already taken
+      if (o.isPointLight || o.isSpotLight) {
+        found.push({ node: o, light: o, marker: readMarker(o) ?? {} });
+        return;
+      }
+      if (o.isLight) return;
+      const marker = readMarker(o);
+      if (marker) found.push({ node: o, light: null, marker });
+    });
+
+    for (const { node, light: own, marker } of found) {
+      const preset = marker.type ? presets[marker.type] : null;
+      if (marker.type && !preset) console.warn(`Unknown light type "${marker.type}" on "${node.name}".`);
+      // The file's own lights keep their color and strength unless the extras say otherwise.
+      const spec = own
+        ? { flicker: 0, emissive: 0, shadow: true, ...preset, color: own.color.getHex(), intensity: own.intensity, distance: own.distance, ...marker }
+        : { ...(preset ?? presets.lantern), ...marker };
+
+      const light = own ?? createLight(spec);
+      light.color.set(spec.color);
+      light.userData.localLight = true;
+      node.userData.localLight = true;
+      light.castShadow = false;
+      if (!own) {
+        light.name = `${node.name}_light`;
+        node.add(light);
+        if (light.isSpotLight) node.add(light.target);
+      }
+
+      entries.push({
+        light,
+        spec,
+        seeds: [Math.random() * 100, Math.random() * 100, Math.random() * 100],
+        materials: boostMaterials(node, spec, modelUses),
+        created: !own,
+        castsShadow: spec.shadow !== false,
+      });
+    }
+
+    sincePick = Infinity; // re-pick the shadow casters with the new lights
+    if (found.length) console.log(`Local lights: ${found.length} added (${entries.length} total).`);
+    return found.length;
+  }
+
+  // Gives the shadow budget to the lights nearest to the camera. The count
+  // of casters only depends on the budget and how many lights may cast.
+  function pickShadowCasters() {
+    camera.getWorldPosition(cameraPos);
+    const candidates = entries
+      .filter((e) => e.castsShadow)
+      .map((e) => ({ e, d: e.light.getWorldPosition(lightPos).distanceToSquared(cameraPos) }))
+      .sort((a, b) => a.d - b.d);
+    candidates.forEach(({ e }, i) => {
+      e.light.castShadow = i < shadowBudget;
+    });
+  }
+
+  function update(dt) {
+    time += dt;
+
+    sincePick += dt;
+    if (sincePick >= SHADOW_PICK_INTERVAL_S) {
+      pickShadowCasters();
+      sincePick = 0;
+    }
+
+    // Full at night, `dayIntensity` by day.
+    const night = timeOfDay ? 1 - THREE.MathUtils.smoothstep(timeOfDay.state.elevation, -4, 6) : 1;
+    const level = THREE.MathUtils.lerp(dayIntensity, 1, night);
+
+    for (const { light, spec, seeds, materials } of entries) {
+      const t = time * (spec.flickerSpeed ?? 1);
+      const wave =
+        Math.sin(t + seeds[0]) * 0.5 + Math.sin(t * 2.3 + seeds[1]) * 0.3 + Math.sin(t * 5.7 + seeds[2]) * 0.2;
+      const f = Math.max(0, 1 + (spec.flicker ?? 0) * wave) * level;
+      light.intensity = spec.intensity * f;
+      // Never dimmer than the material was made (by day `level` is low).
+      for (const m of materials) m.material.emissiveIntensity = Math.max(m.authored, m.intensity * f);
+    }
+  }
+
+  /**
+   * Removes the lights it made (the file's own stay, without shadows) and
+   * gives the marker meshes their materials back as they were.
+   */
+  function dispose() {
+    for (const e of entries) {
+      e.light.castShadow = false;
+      if (e.created) {
+        e.light.removeFromParent();
+        e.light.target?.removeFromParent();
+        e.light.dispose();
+      }
+    }
+    entries.length = 0;
+
+    for (const [material, { color, intensity }] of claimed) {
+      material.emissive.setHex(color);
+      material.emissiveIntensity = intensity;
+    }
+    claimed.clear();
+
+    for (const { mesh, index, original, clone } of clones) {
+      if (Array.isArray(mesh.material)) mesh.material[index] = original;
+      else mesh.material = original;
+      clone.dispose();
+    }
+    clones.length = 0;
+  }
+
+  return {
+    addFromObject,
+    update,
+    setShadowBudget: (budget) => {
+      shadowBudget = Math.max(0, Math.floor(budget));
+      sincePick = Infinity;
+    },
+    lights: entries,
+    dispose,
+  };
+}
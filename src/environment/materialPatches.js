@@ -0,0 +1,126 @@
+// src/environment/materialPatches.js
+// -----------------------------------------------------------------------------
+// Bookkeeping for systems that patch the materials of the whole scene through
+// onBeforeCompile (the sun cascades in shadows.js, the atmosphere):
+//  - the patch is chained onto any hook the material already has, and the
+//    program cache key gets a suffix, so patched and plain programs differ
+//  - scan(scene) patches new materials every SCAN_EVERY_UPDATES calls, so
+//    models and terrain tiles that stream in later are picked up by themselves
+//  - a material that is disposed (e.g. a terrain tile unloading) is dropped
+//    and gets its own hooks back, so nothing is kept alive for it and it is
+//    patched again if it is ever used again
+//  - dispose() un-patches everything
+//  - several patchers can chain on one material (shadows and atmosphere both
+//    do) and un-patch in any order: a patcher whose hook another one has
+//    wrapped since leaves it in place, turned into a pass-through
+// -----------------------------------------------------------------------------
+
+// The scene is scanned for new materials every this many scan() calls.
+const SCAN_EVERY_UPDATES = 30;
+
+/**
+ * Creates a material patcher.
+ *
+ * @param {object} opts
+ * @param {(material: THREE.Material) => boolean} opts.accepts  which materials qualify
+ * @param {(shader: object, renderer: THREE.WebGLRenderer, material: THREE.Material) => void} opts.patch
+ *        edits the shader, after the material's own onBeforeCompile
+ * @param {string} opts.cacheKey           appended to the program cache key
+ * @param {(material: THREE.Material) => void} [opts.unpatch]  extra cleanup when a material is un-patched
+ * @param {boolean} [opts.meshesOnly=false]  apply() only looks at meshes
+ * @returns {{
+ *   setupMaterial: (material: THREE.Material) => boolean,
+ *   apply: (object: THREE.Object3D) => number,
+ *   scan: (scene: THREE.Object3D) => void,
+ *   has: (material: THREE.Material) => boolean,
+ *   dispose: () => void
+ * }}
+ */
+export function createMaterialPatcher(opts) {
+  const { accepts, patch, cacheKey, unpatch = null, meshesOnly = false } = opts;
+
+  // Patched material -> { previous, previousKey, hook, key, onDispose, active }
+  // (its original hooks and the wrappers put in front of them).
+  const patched = new Map();
+  let scans = 0;
+
+  // Puts the original hooks back where the wrappers are still on top; where
+  // another patcher has wrapped them since, they stay and just pass through.
+  function restore(material, entry) {
+    entry.active = false;
+    if (material.onBeforeCompile === entry.hook) material.onBeforeCompile = entry.previous;
+    if (material.customProgramCacheKey === entry.key) material.customProgramCacheKey = entry.previousKey;
+    material.removeEventListener("dispose", entry.onDispose);
+    unpatch?.(material);
+  }
+
+  /**
+   * Patches a material (once). Only materials `accepts` agrees to qualify.
+   * @returns {boolean} true if the material is (now) patched
+   */
+  function setupMaterial(material) {
+    if (patched.has(material)) return true;
+    if (!material || !accepts(material)) return false;
+
+    const previous = material.onBeforeCompile;
+    const previousKey = material.customProgramCacheKey;
+    const entry = {
+      previous,
+      previousKey,
+      active: true,
+      hook: (shader, renderer) => {
+        previous?.call(material, shader, renderer);
+        if (entry.active) patch(shader, renderer, material);
+      },
+      key: () => (entry.active ? `${previousKey.call(material)}_${cacheKey}` : previousKey.call(material)),
+      onDispose: () => {
+        restore(material, entry);
+        patched.delete(material);
+      },
+    };
+    patched.set(material, entry);
+    material.addEventListener("dispose", entry.onDispose);
+
+    material.onBeforeCompile = entry.hook;
+    material.customProgramCacheKey = entry.key;
+    material.needsUpdate = true;
+    return true;
+  }
+
+  /**
+   * Patches every qualifying material under `object`.
+   * @returns {number} number of materials newly patched
+   */
+  function apply(object) {
+    let count = 0;
+    object.traverse((o) => {
+      if (!o.material || (meshesOnly && !o.isMesh)) return;
+      for (const m of Array.isArray(o.material) ? o.material : [o.material]) {
+        if (!patched.has(m) && setupMaterial(m)) count++;
+      }
+    });
+    return count;
+  }
+
+  /** Call once per frame: every SCAN_EVERY_UPDATES calls, apply(scene). */
+  function scan(scene) {
+    if (scans++ % SCAN_EVERY_UPDATES === 0) apply(scene);
+  }
+
+  /** Un-patches every material (their own shaders come back). */
+  function dispose() {
+    for (const [material, entry] of patched) {
+      restore(material, entry);
+      material.needsUpdate = true;
+    }
+    patched.clear();
+  }
+
+  return {
+    setupMaterial,
+    apply,
+    scan,
+    has: (material) => patched.has(material),
+    dispose,
+  };
+}
@@ -0,0 +1,595 @@
+// src/environment/nightSky.js
+// -----------------------------------------------------------------------------
+// Night sky over Abisko: stars, the moon and the northern lights.
+//
+// Everything is drawn on a sphere around the camera just inside the far plane
+// (behind the terrain, the horizon ring and the mountains), on top of
+// whatever the background is, and fades in as the sun goes down:
+//  - stars:  a fixed random sky turned by the real sidereal time, so it
+//            wheels around Polaris (68° up in the north) through the night
+//  - moon:   real position and phase for the date (getMoonPosition() in
+//            timeOfDay.js); the disc is lit from the sun's actual direction,
+//            so the terminator and the waxing / waning side come out right
+//  - aurora: curtains built from ribbons that fold and drift (vertex shader),
+//            with rays and pulsing from layered noise (fragment shader);
+//            green low down, a red / purple fringe on top when it's strong
+//
+// Activity (0..1) sets how many curtains there are, how bright, tall and
+// restless they are. Snowfall (weather) means clouds: the sky fades out.
+//
+// The aurora and the moon also light the scene a little: a hemisphere light
+// in the aurora's color and a soft moonlight (no shadows), both zero by day.
+// -----------------------------------------------------------------------------
+
+import * as THREE from "three";
+import { getLocalSiderealTime, getMoonPosition, skyDirection } from "./timeOfDay.js";
+
+const STAR_COUNT = 4500;
+const RIBBONS = 4;
+const RIBBON_SEGMENTS = 240;
+
+// Activity at which each ribbon starts to show (the first one always does).
+const RIBBON_THRESHOLDS = [-0.25, 0.15, 0.4, 0.6];
+
+// Apparent moon diameter (degrees) and the quad size around it (halo).
+const MOON_DIAMETER_DEG = 0.52;
+const MOON_QUAD = 3;
+
+// Share of the camera far plane the sky sphere sits at.
+const SKY_RADIUS = 0.95;
+
+// Seeded random numbers in [0, 1) (LCG, like weather.js).
+function createRandom(seed) {
+  let s = seed >>> 0 || 1;
+  return () => {
+    s = (Math.imul(s, 1664525) + 1013904223) >>> 0;
+    return s / 4294967296;
+  };
+}
+
+// ------------------------------------------------------------
+// Stars
+// ------------------------------------------------------------
+
+const STAR_VERTEX = /* glsl */ `
+attribute float brightness;
+attribute float twinkle;
+attribute vec3 starColor;
+uniform mat3 uSkyRotation;  // equatorial -> scene (sidereal time, latitude)
+uniform float uRadius;
+uniform float uOpacity;
+uniform float uTime;
+uniform float uPointScale;
+varying vec3 vColor;
+varying float vAlpha;
+
+void main() {
+  vec3 dir = normalize( uSkyRotation * position );
+  // Dimmer and twinklier through the thick air near the horizon.
+  float horizon = smoothstep( -0.02, 0.15, dir.y );
+  float shimmer = 1.0 + ( 0.15 + 0.35 * ( 1.0 - dir.y ) ) * sin( uTime * ( 2.0 + 6.0 * twinkle ) + twinkle * 50.0 );
+  vAlpha = uOpacity * brightness * horizon * shimmer;
+  vColor = starColor;
+  gl_Position = projectionMatrix * viewMatrix * vec4( cameraPosition + dir * uRadius, 1.0 );
+  gl_PointSize = ( 1.2 + 2.6 * brightness ) * uPointScale;
+}
+`;
+
+const STAR_FRAGMENT = /* glsl */ `
+varying vec3 vColor;
+varying float vAlpha;
+
+void main() {
+  float d = length( gl_PointCoord - 0.5 ) * 2.0;
+  float a = 1.0 - smoothstep( 0.0, 1.0, d );
+  gl_FragColor = vec4( vColor, vAlpha * a * a );
+  #include <tonemapping_fragment>
+  #include <colorspace_fragment>
+}
+`;
+
+function createStars(random) {
+  const dirs = new Float32Array(STAR_COUNT * 3);
+  const brightness = new Float32Array(STAR_COUNT);
+  const twinkle = new Float32Array(STAR_COUNT);
+  const colors = new Float32Array(STAR_COUNT * 3);
+  const palette = [
+    new THREE.Color(0.75, 0.82, 1.0),
+    new THREE.Color(1.0, 1.0, 1.0),
+    new THREE.Color(1.0, 0.93, 0.8),
+    new THREE.Color(1.0, 0.78, 0.6),
+  ];
+
+  for (let i = 0; i < STAR_COUNT; i++) {
+    // Uniform on the sphere, in equatorial axes (z = celestial pole).
+    const z = random() * 2 - 1;
+    const a = random() * Math.PI * 2;
+    const r = Math.sqrt(1 - z * z);
+    dirs.set([r * Math.cos(a), r * Math.sin(a), z], i * 3);
+
+    // Lots of faint stars, a few bright ones.
+    brightness[i] = 0.12 + 0.88 * random() ** 9;
+    twinkle[i] = random();
+    const c = palette[Math.min(palette.length - 1, Math.floor(random() ** 1.5 * palette.length))];
+    colors.set([c.r, c.g, c.b], i * 3);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(dirs, 3));
+  geometry.setAttribute("brightness", new THREE.BufferAttribute(brightness, 1));
+  geometry.setAttribute("twinkle", new THREE.BufferAttribute(twinkle, 1));
+  geometry.setAttribute("starColor", new THREE.BufferAttribute(colors, 3));
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      uSkyRotation: { value: new THREE.Matrix3() },
+      uRadius: { value: 1000 },
+      uOpacity: { value: 0 },
+      uTime: { value: 0 },
+      uPointScale: { value: 1 },
+    },
+    vertexShader: STAR_VERTEX,
+    fragmentShader: STAR_FRAGMENT,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+  });
+
+  const points = new THREE.Points(geometry, material);
+  points.name = "Stars";
+  points.frustumCulled = false; // drawn around the camera, not where the geometry is
+  points.renderOrder = -3;
+  return points;
+}
+
+// ------------------------------------------------------------
+// Moon
+// ------------------------------------------------------------
+
+const MOON_VERTEX = /* glsl */ `
+varying vec2 vUv;
+
+void main() {
+  vUv = uv;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+}
+`;
+
+const MOON_FRAGMENT = /* glsl */ `
+uniform vec3 uSunDir;     // world, towards the sun
+uniform vec3 uRight;      // disc axes in world space
+uniform vec3 uUp;
+uniform vec3 uToCamera;
+uniform vec3 uColor;
+uniform float uOpacity;
+uniform float uIllumination; // lit fraction 0..1 (halo strength)
+varying vec2 vUv;
+
+float moonHash( vec2 p ) {
+  return fract( sin( dot( p, vec2( 127.1, 311.7 ) ) ) * 43758.5453 );
+}
+
+float moonNoise( vec2 p ) {
+  vec2 i = floor( p );
+  vec2 f = fract( p );
+  f = f * f * ( 3.0 - 2.0 * f );
+  return mix( mix( moonHash( i ), moonHash( i + vec2( 1, 0 ) ), f.x ),
+              mix( moonHash( i + vec2( 0, 1 ) ), moonHash( i + vec2( 1, 1 ) ), f.x ), f.y );
+}
+
+void main() {
+  vec2 q = ( vUv - 0.5 ) * 2.0 * ${MOON_QUAD.toFixed(1)}; // disc radius 1
+  float r = length( q );
+  float disc = 1.0 - smoothstep( 0.96, 1.04, r );
+
+  // Sphere normal behind the disc, lit by the sun: the phase.
+  vec3 n = normalize( q.x * uRight + q.y * uUp + sqrt( max( 1.0 - r * r, 0.0 ) ) * uToCamera );
+  float lit = smoothstep( -0.03, 0.06, dot( n, uSunDir ) );
+
+  // Darker maria.
+  float m = moonNoise( q * 2.3 + 7.0 ) * 0.6 + moonNoise( q * 5.1 + 3.0 ) * 0.4;
+  float albedo = mix( 0.6, 1.0, smoothstep( 0.35, 0.65, m ) );
+
+  vec3 surface = uColor * albedo * ( lit + 0.02 ); // + a little earthshine
+  float halo = exp( -max( r - 1.0, 0.0 ) * 2.5 ) * ( 1.0 - disc ) * 0.15 * uIllumination;
+
+  // Premultiplied: the disc hides the stars behind it, the halo just adds.
+  gl_FragColor = vec4( ( surface * disc + uColor * halo ) * uOpacity, disc * uOpacity );
+  #include <tonemapping_fragment>
+  #include <colorspace_fragment>
+}
+`;
+
+function createMoon() {
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      uSunDir: { value: new THREE.Vector3(0, 1, 0) },
+      uRight: { value: new THREE.Vector3(1, 0, 0) },
+      uUp: { value: new THREE.Vector3(0, 1, 0) },
+      uToCamera: { value: new THREE.Vector3(0, 0, 1) },
+      uColor: { value: new THREE.Color() },
+      uOpacity: { value: 0 },
+      uIllumination: { value: 0 },
+    },
+    vertexShader: MOON_VERTEX,
+    fragmentShader: MOON_FRAGMENT,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.CustomBlending,
+    blendSrc: THREE.OneFactor,
+    blendDst: THREE.OneMinusSrcAlphaFactor,
+  });
+
+  const mesh = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), material);
+  mesh.name = "Moon";
+  mesh.frustumCulled = false;
+  mesh.renderOrder = -2;
+  return mesh;
+}
+
+// ------------------------------------------------------------
+// Aurora
+// ------------------------------------------------------------
+
+// Ribbons are laid out in a virtual space around the camera (meters, a flat
+// sky 1 km up) and then pushed out onto the sky sphere along the view ray,
+// so they keep their shape but stay behind everything.
+const AURORA_VERTEX = /* glsl */ `
+attribute vec4 ribbon;  // along 0..1, bottom 0 / top 1, seed, activity threshold
+attribute vec2 side;    // horizontal direction across the ribbon
+uniform float uTime;
+uniform float uActivity;
+uniform float uRadius;
+uniform float uBase;    // virtual height of the lower edge
+uniform float uHeight;  // virtual curtain height
+uniform float uFold;    // how far the curtain folds sideways
+varying vec2 vRibbon;
+varying float vSeed;
+varying float vWeight;
+
+void main() {
+  float a = ribbon.x;
+  float s = ribbon.z;
+  float restless = 0.5 + uActivity;
+
+  vec3 p = position;
+  float fold = sin( a * 17.0 + uTime * 0.23 * restless + s * 6.0 ) * 0.6
+             + sin( a * 41.0 - uTime * 0.41 * restless + s * 3.0 ) * 0.3
+             + sin( a * 97.0 + uTime * 0.9 * restless ) * 0.1;
+  p.xz += side * fold * uFold * restless;
+
+  float h = uHeight * ( 0.55 + 0.45 * sin( a * 23.0 + s * 11.0 + uTime * 0.05 ) ) * ( 0.6 + 0.6 * uActivity );
+  p.y = uBase + sin( a * 9.0 + s ) * 60.0 + ribbon.y * h;
+
+  gl_Position = projectionMatrix * viewMatrix * vec4( cameraPosition + normalize( p ) * uRadius, 1.0 );
+
+  vRibbon = ribbon.xy;
+  vSeed = s;
+  vWeight = smoothstep( ribbon.w, ribbon.w + 0.25, uActivity );
+}
+`;
+
+const AURORA_FRAGMENT = /* glsl */ `
+uniform float uTime;
+uniform float uActivity;
+uniform float uIntensity;
+uniform vec3 uColor;
+uniform vec3 uTopColor;
+varying vec2 vRibbon;
+varying float vSeed;
+varying float vWeight;
+
+float auroraHash( float n ) {
+  return fract( sin( n ) * 43758.5453 );
+}
+
+float auroraNoise( float x ) {
+  float i = floor( x );
+  float f = fract( x );
+  f = f * f * ( 3.0 - 2.0 * f );
+  return mix( auroraHash( i ), auroraHash( i + 1.0 ), f );
+}
+
+void main() {
+  float a = vRibbon.x;
+  float y = vRibbon.y;
+
+  // Vertical rays: noise along the ribbon only, drifting sideways.
+  float rays = auroraNoise( a * 180.0 + uTime * 0.6 + vSeed * 50.0 ) * 0.6
+             + auroraNoise( a * 530.0 - uTime * 1.3 ) * 0.4;
+  rays *= rays;
+
+  // Sharp lower edge, fading upwards (the rays reach higher).
+  float bottom = smoothstep( 0.0, 0.03 + 0.05 * rays, y );
+  float glow = bottom * exp( -y * ( 2.4 - 1.4 * rays ) ) * ( 0.35 + 0.9 * rays );
+
+  float pulse = 0.55 + 0.45 * auroraNoise( a * 6.0 + uTime * 0.25 + vSeed * 10.0 );
+  float ends = smoothstep( 0.0, 0.12, a ) * smoothstep( 1.0, 0.88, a );
+
+  vec3 color = mix( uColor, uTopColor, smoothstep( 0.35, 0.95, y ) * ( 0.4 + 0.6 * uActivity ) );
+  // Strong displays get a pink lower hem.
+  color = mix( color, vec3( 1.0, 0.45, 0.75 ), ( 1.0 - smoothstep( 0.0, 0.06, y ) ) * uActivity * 0.5 );
+
+  gl_FragColor = vec4( color, glow * pulse * ends * uIntensity * vWeight );
+  #include <tonemapping_fragment>
+  #include <colorspace_fragment>
+}
+`;
+
+function createAurora(random) {
+  const vertsPerRibbon = (RIBBON_SEGMENTS + 1) * 2;
+  const positions = new Float32Array(RIBBONS * vertsPerRibbon * 3);
+  const ribbonAttr = new Float32Array(RIBBONS * vertsPerRibbon * 4);
+  const sideAttr = new Float32Array(RIBBONS * vertsPerRibbon * 2);
+  const index = [];
+
+  for (let r = 0; r < RIBBONS; r++) {
+    // Roughly east-west arcs (along the auroral oval), spread north to south.
+    const seed = random();
+    const centerZ = THREE.MathUtils.lerp(-3500, 1000, r / (RIBBONS - 1)) + (random() - 0.5) * 600;
+    const centerX = (random() - 0.5) * 2000;
+    const angle = (random() - 0.5) * 0.7;
+    const length = 7000 + random() * 3000;
+    const bend = (random() - 0.5) * 1500;
+    const waveF = 1 + random() * 2;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    const point = (t, out) => {
+      const u = (t - 0.5) * length;
+      const v = bend * (1 - 4 * (t - 0.5) ** 2) + 300 * Math.sin(t * Math.PI * 2 * waveF + seed * 10);
+      return out.set(centerX + u * cos - v * sin, centerZ + u * sin + v * cos);
+    };
+
+    const p = new THREE.Vector2();
+    const q = new THREE.Vector2();
+    const back = new THREE.Vector2();
+    const base = r * vertsPerRibbon;
+    for (let i = 0; i <= RIBBON_SEGMENTS; i++) {
+      const t = i / RIBBON_SEGMENTS;
+      point(t, p);
+      // Tangent from a little ahead and a little behind (clamped at the ends).
+      point(Math.min(t + 1e-3, 1), q);
+      point(Math.max(t - 1e-3, 0), back);
+      const tx = q.x - back.x;
+      const tz = q.y - back.y;
+      const tl = Math.hypot(tx, tz) || 1;
+
+      for (let k = 0; k < 2; k++) {
+        const v = base + i * 2 + k;
+        positions.set([p.x, 0, p.y], v * 3);
+        ribbonAttr.set([t, k, seed, RIBBON_THRESHOLDS[r]], v * 4);
+        sideAttr.set([-tz / tl, tx / tl], v * 2);
+      }
+      if (i < RIBBON_SEGMENTS) {
+        const v = base + i * 2;
+        index.push(v, v + 1, v + 2, v + 1, v + 3, v + 2);
+      }
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute("ribbon", new THREE.BufferAttribute(ribbonAttr, 4));
+  geometry.setAttribute("side", new THREE.BufferAttribute(sideAttr, 2));
+  geometry.setIndex(index);
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      uTime: { value: 0 },
+      uActivity: { value: 0 },
+      uIntensity: { value: 0 },
+      uRadius: { value: 1000 },
+      uBase: { value: 1000 },
+      uHeight: { value: 1400 },
+      uFold: { value: 250 },
+      uColor: { value: new THREE.Color() },
+      uTopColor: { value: new THREE.Color() },
+    },
+    vertexShader: AURORA_VERTEX,
+    fragmentShader: AURORA_FRAGMENT,
+    transparent: true,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+    blending: THREE.AdditiveBlending,
+  });
+
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.name = "Aurora";
+  mesh.frustumCulled = false;
+  mesh.renderOrder = -1;
+  return mesh;
+}
+
+// ------------------------------------------------------------
+// Public API
+// ------------------------------------------------------------
+
+/**
+ * Creates the night sky. Call update(dt) once per frame, after the time of
+ * day and the weather.
+ *
+ * @param {object} opts
+ * @param {THREE.Scene} opts.scene
+ * @param {THREE.PerspectiveCamera} opts.camera
+ * @param {ReturnType<import("./timeOfDay.js").createTimeOfDay>} opts.timeOfDay  date, location, sun
+ * @param {ReturnType<import("./weather.js").createWeather>} [opts.weather]    snowfall hides the sky
+ * @param {THREE.WebGLRenderer} [opts.renderer]   star sizes follow its pixel ratio
+ * @param {number} [opts.activity=0.5]            aurora activity 0..1
+ * @param {THREE.ColorRepresentation} [opts.color=0x3dff8c]     aurora (lower, main) color
+ * @param {THREE.ColorRepresentation} [opts.topColor=0xb04dff]  aurora upper fringe
+ * @param {number} [opts.moonScale=2.5]           moon size relative to the real one
+ * @param {number} [opts.auroraLight=0.25]        aurora light intensity at full activity
+ * @param {number} [opts.moonLight=0.12]          moonlight intensity at full moon
+ * @param {number} [opts.seed=1]
+ * @returns {{
+ *   update: (dt: number) => void,
+ *   setActivity: (activity: number) => void,
+ *   getActivity: () => number,
+ *   setColors: (colors: { color?: THREE.ColorRepresentation, topColor?: THREE.ColorRepresentation }) => void,
+ *   state: object,
+ *   group: THREE.Group,
+ *   dispose: () => void
+ * }}
+ */
+export function createNightSky(opts) {
+  const {
+    scene,
+    camera,
+    timeOfDay,
+    weather = null,
+    renderer = null,
+    activity: initialActivity = 0.5,
+    color = 0x3dff8c,
+    topColor = 0xb04dff,
+    moonScale = 2.5,
+    auroraLight = 0.25,
+    moonLight = 0.12,
+    seed = 1,
+  } = opts;
+
+  const random = createRandom(seed);
+  const stars = createStars(random);
+  const moon = createMoon();
+  const aurora = createAurora(random);
+
+  const auroraColor = aurora.material.uniforms.uColor.value.set(color);
+  const auroraTopColor = aurora.material.uniforms.uTopColor.value.set(topColor);
+
+  // Light on the snow: aurora from above (nothing from below), the moon as a
+  // second directional light without shadows (the sun cascades stay first).
+  const auroraHemi = new THREE.HemisphereLight(0xffffff, 0x000000, 0);
+  auroraHemi.name = "AuroraLight";
+  const moonDirLight = new THREE.DirectionalLight(0x9fb4d8, 0);
+  moonDirLight.name = "MoonLight";
+
+  const group = new THREE.Group();
+  group.name = "NightSky";
+  group.add(stars, moon, aurora, auroraHemi, moonDirLight);
+  scene.add(group);
+
+  let activity = THREE.MathUtils.clamp(initialActivity, 0, 1);
+  let time = 0;
+
+  /** Live values after each update (read-only for callers). */
+  const state = {
+    night: 0, // 0 by day, 1 once it's properly dark
+    clarity: 1, // 0 when snowfall hides the sky
+    moonElevation: 0,
+    moonAzimuth: 0,
+    moonIllumination: 0, // lit fraction of the disc
+    auroraIntensity: 0,
+  };
+
+  const moonPos = {};
+  const moonDir = new THREE.Vector3();
+  const pole = new THREE.Vector3();
+  const meridian = new THREE.Vector3();
+  const west = new THREE.Vector3(-1, 0, 0);
+  const col0 = new THREE.Vector3();
+  const col1 = new THREE.Vector3();
+  const rotation = new THREE.Matrix4();
+  const lowMoon = new THREE.Color(1.0, 0.8, 0.55);
+  const highMoon = new THREE.Color(0.95, 0.97, 1.0);
+
+  // Slow swells of the display (0.75..1), on top of the set activity.
+  const swell = (t) => 0.875 + 0.0625 * (Math.sin(t * 0.031) + Math.sin(t * 0.017 + 1.3));
+
+  function update(dt) {
+    time += dt;
+    const tod = timeOfDay.state;
+    const { latitude, longitude } = timeOfDay;
+    const ms = tod.date.getTime();
+    const radius = camera.far * SKY_RADIUS;
+
+    state.night = THREE.MathUtils.smoothstep(-tod.elevation, 2, 12);
+    const auroraNight = THREE.MathUtils.smoothstep(-tod.elevation, 5, 11);
+    state.clarity = weather ? 1 - THREE.MathUtils.smoothstep(weather.params.snowIntensity, 0.05, 0.6) : 1;
+
+    // Stars: equatorial axes -> scene. The pole stands `latitude` above north;
+    // the equator crosses the meridian (south) at 90 - latitude.
+    const lat = THREE.MathUtils.degToRad(latitude);
+    const lst = THREE.MathUtils.degToRad(getLocalSiderealTime(ms, longitude));
+    pole.set(0, Math.sin(lat), -Math.cos(lat));
+    meridian.set(0, Math.cos(lat), Math.sin(lat));
+    col0.copy(meridian).multiplyScalar(Math.cos(lst)).addScaledVector(west, Math.sin(lst));
+    col1.copy(meridian).multiplyScalar(Math.sin(lst)).addScaledVector(west, -Math.cos(lst));
+    rotation.makeBasis(col0, col1, pole);
+
+    const su = stars.material.uniforms;
+    su.uSkyRotation.value.setFromMatrix4(rotation);
+    su.uRadius.value = radius;
+    su.uOpacity.value = state.night * state.clarity;
+    su.uTime.value = time;
+    su.uPointScale.value = renderer ? renderer.getPixelRatio() : 1;
+    stars.visible = su.uOpacity.value > 0;
+
+    // Moon: position, phase (angle to the sun), and a disc facing the camera.
+    getMoonPosition(ms, latitude, longitude, moonPos);
+    skyDirection(moonPos.elevation, moonPos.azimuth, moonDir);
+    state.moonElevation = moonPos.elevation;
+    state.moonAzimuth = moonPos.azimuth;
+    state.moonIllumination = (1 - moonDir.dot(tod.direction)) / 2;
+
+    const moonUp = THREE.MathUtils.smoothstep(moonPos.elevation, -1, 2);
+    const size = 2 * radius * Math.tan(THREE.MathUtils.degToRad(MOON_DIAMETER_DEG * moonScale) / 2);
+    moon.position.copy(camera.position).addScaledVector(moonDir, radius);
+    moon.scale.setScalar(size * MOON_QUAD);
+    moon.lookAt(camera.position);
+    moon.updateMatrixWorld();
+
+    const mu = moon.material.uniforms;
+    mu.uRight.value.setFromMatrixColumn(moon.matrixWorld, 0).normalize();
+    mu.uUp.value.setFromMatrixColumn(moon.matrixWorld, 1).normalize();
+    mu.uToCamera.value.setFromMatrixColumn(moon.matrixWorld, 2).normalize();
+    mu.uSunDir.value.copy(tod.direction);
+    mu.uColor.value.copy(lowMoon).lerp(highMoon, THREE.MathUtils.smoothstep(moonPos.elevation, 0, 20)).multiplyScalar(1.6);
+    mu.uOpacity.value = moonUp * THREE.MathUtils.lerp(0.35, 1, state.night) * state.clarity;
+    mu.uIllumination.value = state.moonIllumination;
+    moon.visible = mu.uOpacity.value > 0;
+
+    // Aurora.
+    const live = activity * swell(time);
+    state.auroraIntensity = (0.25 + 0.75 * live) * auroraNight * state.clarity;
+    const au = aurora.material.uniforms;
+    au.uTime.value = time;
+    au.uActivity.value = live;
+    au.uIntensity.value = state.auroraIntensity * 1.6;
+    au.uRadius.value = radius;
+    aurora.visible = state.auroraIntensity > 0 && activity > 0;
+
+    // Light on the ground.
+    auroraHemi.color.copy(auroraColor).lerp(auroraTopColor, 0.15 * live);
+    auroraHemi.intensity = aurora.visible ? auroraLight * live * state.auroraIntensity : 0;
+
+    moonDirLight.position.copy(moonDir).multiplyScalar(1000);
+    moonDirLight.intensity = moonLight * state.moonIllumination * moonUp * state.night * state.clarity;
+  }
+
+  function dispose() {
+    scene.remove(group);
+    for (const o of [stars, moon, aurora]) {
+      o.geometry.dispose();
+      o.material.dispose();
+    }
+    auroraHemi.dispose();
+    moonDirLight.dispose();
+  }
+
+  update(0);
+
+  return {
+    update,
+    setActivity: (v) => {
+      activity = THREE.MathUtils.clamp(v, 0, 1);
+    },
+    getActivity: () => activity,
+    setColors: ({ color: c, topColor: t } = {}) => {
+      if (c != null) auroraColor.set(c);
+      if (t != null) auroraTopColor.set(t);
+    },
+    state,
+    group,
+    dispose,
+  };
+}
@@ -0,0 +1,95 @@
+// src/environment/proceduralSky.js
+// -----------------------------------------------------------------------------
+// Procedural sky for image-based lighting: no files needed.
+//
+// The three.js Sky addon (Preetham daylight model) above the horizon and a
+// plain snow-colored ground below it, in a small scene of their own that
+// PMREMGenerator.fromScene() bakes into an environment map. The sun position
+// is an input, so the sky can be re-baked as the time of day moves it.
+//
+// Used as the fallback when the HDRI files are missing (they are not in git),
+// see environmentManager.js.
+// -----------------------------------------------------------------------------
+
+import * as THREE from "three";
+import { Sky } from "three/addons/objects/Sky.js";
+
+// Size of the bake scene (fromScene() renders it between near 0.1 and far 100).
+const SKY_SCALE = 10;
+const GROUND_RADIUS = 90;
+
+/**
+ * Creates the sky scene. Call bake(pmrem) to get a PMREM render target.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.turbidity=3]           haze (2 = crisp arctic air, 10 = murky)
+ * @param {number} [opts.rayleigh=1.5]          blue scattering
+ * @param {number} [opts.mieCoefficient=0.005]
+ * @param {number} [opts.mieDirectionalG=0.8]   how tight the glow around the sun is
+ * @param {THREE.ColorRepresentation} [opts.groundColor=0x9aa3ad]  snow below the horizon (sun high)
+ * @param {THREE.Vector3} [opts.sunDirection]   initial direction towards the sun
+ * @returns {{
+ *   scene: THREE.Scene,
+ *   sky: Sky,
+ *   setSunDirection: (direction: THREE.Vector3) => void,
+ *   getSunDirection: () => THREE.Vector3,
+ *   bake: (pmrem: THREE.PMREMGenerator) => THREE.WebGLRenderTarget,
+ *   dispose: () => void
+ * }}
+ */
+export function createProceduralSky(opts = {}) {
+  const {
+    turbidity = 3,
+    rayleigh = 1.5,
+    mieCoefficient = 0.005,
+    mieDirectionalG = 0.8,
+    groundColor = 0x9aa3ad,
+    sunDirection = new THREE.Vector3(0, 0.34, 0.94), // ~20° up, south
+  } = opts;
+
+  const scene = new THREE.Scene();
+
+  const sky = new Sky();
+  sky.scale.setScalar(SKY_SCALE);
+  const u = sky.material.uniforms;
+  u.turbidity.value = turbidity;
+  u.rayleigh.value = rayleigh;
+  u.mieCoefficient.value = mieCoefficient;
+  u.mieDirectionalG.value = mieDirectionalG;
+  scene.add(sky);
+
+  // The sky shader has no ground: snow reflecting the sky, dimmer as the sun
+  // goes down.
+  const groundBase = new THREE.Color(groundColor);
+  const ground = new THREE.Mesh(
+    new THREE.CircleGeometry(GROUND_RADIUS, 32).rotateX(-Math.PI / 2),
+    new THREE.MeshBasicMaterial({ color: groundBase.clone(), fog: false })
+  );
+  ground.position.y = -1;
+  scene.add(ground);
+
+  const sun = new THREE.Vector3();
+
+  function setSunDirection(direction) {
+    sun.copy(direction).normalize();
+    u.sunPosition.value.copy(sun);
+    ground.material.color.copy(groundBase).multiplyScalar(THREE.MathUtils.clamp(sun.y * 2 + 0.3, 0.03, 1));
+  }
+
+  setSunDirection(sunDirection);
+
+  return {
+    scene,
+    sky,
+    setSunDirection,
+    getSunDirection: () => sun,
+    /** Bakes the sky into a new PMREM render target (the caller owns it). */
+    bake: (pmrem) => pmrem.fromScene(scene, 0, 0.1, 100),
+    dispose: () => {
+      sky.geometry.dispose();
+      sky.material.dispose();
+      ground.geometry.dispose();
+      ground.material.dispose();
+    },
+  };
+}
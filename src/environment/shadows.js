@@ -1,7 +1,8 @@
 // src/environment/shadows.js
 // -----------------------------------------------------------------------------
 // Shadow utilities.
-// Implements a "follow-player" directional shadow frustum.
+// - createCascadedSunShadows(): cascaded shadow maps for the sun (used by main.js)
+// - createSunShadowFollower():  the older single "follow-player" frustum
 //
 // Why this helps:
 // - With a fixed orthographic shadow camera, you must choose between:
@@ -12,10 +13,30 @@
 // - Keep a *fixed-size* shadow box (good quality)
 // - Move that box so it stays centered on the player (no disappearing shadows)
 //
-// This is NOT cascaded shadows, just a single moving shadow frustum.
+// The follower is NOT cascaded shadows, just a single moving shadow frustum:
+// one 700 x 700 m box on a 2048 map is ~0.35 m per texel, blurry up close.
+//
+// Cascaded shadows split the camera's view range into slices (near ones
+// short, far ones long) and give every slice its own shadow map, fitted to it:
+// centimeter texels at your feet, meters far away.
+//  - Stable: every cascade is sized by the bounding sphere of its slice (the
+//    size doesn't change as the camera turns) and its center is snapped to
+//    whole shadow texels in light space, so shadow edges don't shimmer while
+//    you walk or look around.
+//  - Blended: each cascade reaches a little past its slice and the shader
+//    cross-fades into the next one there (and out to no shadow after the last).
+//
+// The sun from addLights() stays the light the rest of the code talks to
+// (weather, time of day set its direction, color, intensity). It is hidden
+// and one DirectionalLight per cascade takes over: only the LAST (largest)
+// carries the sun's light, the others are zero-intensity shadow casters. A
+// patched material picks the right shadow map by view depth; a material that
+// isn't patched (yet) still gets the correct light with the largest
+// cascade's shadow, so nothing can go double bright.
 // -----------------------------------------------------------------------------
 
 import * as THREE from "three";
+import { createMaterialPatcher } from "./materialPatches.js";
 
 /**
  * Creates a controller that keeps a directional light's shadow camera centered
@@ -104,3 +125,278 @@ export function createSunShadowFollower(sun, scene, opts = {}) {
 
   return { update };
 }
+
+// ------------------------------------------------------------
+// Cascaded shadow maps
+// ------------------------------------------------------------
+
+// Patched materials: the sun cascades are the first CSM_CASCADES directional
+// lights (shadow casters come first in three's light list). Pick / blend the
+// cascade shadows by view depth and light only with the carrier (the last).
+const CSM_DIRECTIONAL_LIGHTS = /* glsl */ `
+#if ( NUM_DIR_LIGHTS > 0 ) && defined( RE_Direct )
+
+	DirectionalLight directionalLight;
+	#if defined( USE_SHADOWMAP ) && NUM_DIR_LIGHT_SHADOWS > 0
+	DirectionalLightShadow directionalLightShadow;
+	#endif
+
+	// Sequential blend: each cascade takes what the nearer ones left over,
+	// fading out over its blend band; whatever is left past the last is lit.
+	float csmShadow = 0.0;
+	float csmLeft = 1.0;
+	#if defined( USE_SHADOWMAP ) && NUM_DIR_LIGHT_SHADOWS >= CSM_CASCADES
+	float csmDepth = vViewPosition.z;
+	#pragma unroll_loop_start
+	for ( int i = 0; i < NUM_DIR_LIGHT_SHADOWS; i ++ ) {
+		#if UNROLLED_LOOP_INDEX < CSM_CASCADES
+		if ( csmLeft > 0.0 ) {
+			float csmTake = csmLeft * ( 1.0 - clamp( ( csmDepth - uCsmCascades[ i ].x ) / uCsmCascades[ i ].y, 0.0, 1.0 ) );
+			if ( csmTake > 0.0 ) {
+				directionalLightShadow = directionalLightShadows[ i ];
+				csmShadow += csmTake * getShadow( directionalShadowMap[ i ], directionalLightShadow.shadowMapSize, directionalLightShadow.shadowIntensity, directionalLightShadow.shadowBias, directionalLightShadow.shadowRadius, vDirectionalShadowCoord[ i ] );
+				csmLeft -= csmTake;
+			}
+		}
+		#endif
+	}
+	#pragma unroll_loop_end
+	#endif
+	csmShadow += csmLeft;
+
+	#pragma unroll_loop_start
+	for ( int i = 0; i < NUM_DIR_LIGHTS; i ++ ) {
+
+		#if UNROLLED_LOOP_INDEX >= CSM_CASCADES - 1
+
+		directionalLight = directionalLights[ i ];
+
+		getDirectionalLightInfo( directionalLight, directLight );
+
+		#if UNROLLED_LOOP_INDEX == CSM_CASCADES - 1
+		directLight.color *= receiveShadow ? csmShadow : 1.0;
+		#elif defined( USE_SHADOWMAP ) && ( UNROLLED_LOOP_INDEX < NUM_DIR_LIGHT_SHADOWS )
+		directionalLightShadow = directionalLightShadows[ i ];
+		directLight.color *= ( directLight.visible && receiveShadow ) ? getShadow( directionalShadowMap[ i ], directionalLightShadow.shadowMapSize, directionalLightShadow.shadowIntensity, directionalLightShadow.shadowBias, directionalLightShadow.shadowRadius, vDirectionalShadowCoord[ i ] ) : 1.0;
+		#endif
+
+		RE_Direct( directLight, geometryPosition, geometryNormal, geometryViewDir, geometryClearcoatNormal, material, reflectedLight );
+
+		#endif
+
+	}
+	#pragma unroll_loop_end
+
+#endif
+`;
+
+// Start / end of the stock directional light block in lights_fragment_begin.
+const DIRECTIONAL_BLOCK = /#if \( NUM_DIR_LIGHTS > 0 \) && defined\( RE_Direct \)[\s\S]*?#pragma unroll_loop_end\s*#endif/;
+
+const isLit = (m) =>
+  m &&
+  (m.isMeshStandardMaterial || m.isMeshLambertMaterial || m.isMeshPhongMaterial || m.isMeshToonMaterial);
+
+/**
+ * Split distances between near and far: a blend of uniform and logarithmic
+ * spacing ("practical" split scheme). Returns cascades + 1 distances.
+ */
+function computeSplits(cascades, near, far, lambda, out) {
+  out.length = 0;
+  for (let i = 0; i <= cascades; i++) {
+    const f = i / cascades;
+    const log = near * (far / near) ** f;
+    const uniform = near + (far - near) * f;
+    out.push(uniform + (log - uniform) * lambda);
+  }
+  return out;
+}
+
+/**
+ * Cascaded shadow maps for the sun made by addLights().
+ * Call update() once per frame, after the camera and the sun have moved.
+ *
+ * The cascade lights must be the only shadow-casting directional lights in
+ * the scene (the sun itself stops casting).
+ *
+ * @param {THREE.DirectionalLight} sun    direction / color / intensity source (hidden)
+ * @param {THREE.Scene} scene
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {object} [opts]
+ * @param {number} [opts.cascades=4]
+ * @param {number} [opts.maxFar=1000]      meters of view distance that get shadows
+ * @param {number} [opts.lambda=0.75]      0 = uniform splits, 1 = logarithmic
+ * @param {number} [opts.blend=0.15]       blend band past each slice (share of the slice length)
+ * @param {number} [opts.mapSize]          per cascade (default: the sun's shadow map size)
+ * @param {number} [opts.casterMargin=600] meters towards the sun that still cast into a cascade
+ * @param {number} [opts.normalBias=1.5]   normal offset in shadow-map texels (scales per cascade)
+ * @param {boolean} [opts.autoSetup=true]  patch new lit materials in the scene by itself
+ * @returns {{
+ *   update: () => void,
+ *   setupMaterial: (material: THREE.Material) => boolean,
+ *   apply: (object: THREE.Object3D) => number,
+ *   lights: THREE.DirectionalLight[],
+ *   getSplits: () => number[],
+ *   dispose: () => void
+ * }}
+ */
+export function createCascadedSunShadows(sun, scene, camera, opts = {}) {
+  if (!sun || !sun.isDirectionalLight) {
+    throw new Error("createCascadedSunShadows: 'sun' must be a THREE.DirectionalLight.");
+  }
+
+  const {
+    cascades = 4,
+    maxFar = 1000,
+    lambda = 0.75,
+    blend = 0.15,
+    mapSize = sun.shadow.mapSize.x,
+    casterMargin = 600,
+    normalBias = 1.5,
+    autoSetup = true,
+  } = opts;
+
+  if (!(cascades >= 1)) throw new Error("createCascadedSunShadows: need at least one cascade.");
+
+  if (!sun.target.parent) scene.add(sun.target);
+
+  // The sun only steers; the cascades light and cast.
+  const sunWasCasting = sun.castShadow;
+  const sunWasVisible = sun.visible;
+  sun.castShadow = false;
+  sun.visible = false;
+
+  const group = new THREE.Group();
+  group.name = "SunShadowCascades";
+
+  const lights = [];
+  for (let i = 0; i < cascades; i++) {
+    const light = new THREE.DirectionalLight(0xffffff, 0);
+    light.name = `SunCascade${i}`;
+    light.castShadow = true;
+    light.shadow.mapSize.set(mapSize, mapSize);
+    light.shadow.bias = sun.shadow.bias;
+    light.shadow.radius = sun.shadow.radius;
+    group.add(light, light.target);
+    lights.push(light);
+  }
+  scene.add(group);
+
+  // Per cascade: x = view depth where it starts fading out, y = blend band.
+  const uniforms = {
+    uCsmCascades: { value: Array.from({ length: cascades }, () => new THREE.Vector2()) },
+  };
+
+  const splits = [];
+  const sunPos = new THREE.Vector3();
+  const targetPos = new THREE.Vector3();
+  const lightDir = new THREE.Vector3();
+  const lightRot = new THREE.Matrix4();
+  const lightRotInv = new THREE.Matrix4();
+  const center = new THREE.Vector3();
+  const origin = new THREE.Vector3();
+
+  // Lets lit mesh materials pick their shadow from the cascades.
+  const patcher = createMaterialPatcher({
+    accepts: isLit,
+    meshesOnly: true,
+    cacheKey: `csm${cascades}`,
+    unpatch: (material) => {
+      delete material.defines?.CSM_CASCADES;
+    },
+    patch: (shader) => {
+      shader.uniforms.uCsmCascades = uniforms.uCsmCascades;
+      shader.defines ??= {};
+      shader.defines.CSM_CASCADES = cascades;
+
+      const lightsChunk = THREE.ShaderChunk.lights_fragment_begin.replace(
+        DIRECTIONAL_BLOCK,
+        CSM_DIRECTIONAL_LIGHTS
+      );
+      shader.fragmentShader = shader.fragmentShader
+        .replace("#include <common>", `#include <common>\nuniform vec2 uCsmCascades[ ${cascades} ];`)
+        .replace("#include <lights_fragment_begin>", lightsChunk);
+    },
+  });
+
+  function update() {
+    if (autoSetup) patcher.scan(scene);
+
+    // Direction, color and intensity come from the (hidden) sun.
+    sun.updateMatrixWorld();
+    sun.target.updateMatrixWorld();
+    sunPos.setFromMatrixPosition(sun.matrixWorld);
+    targetPos.setFromMatrixPosition(sun.target.matrixWorld);
+    lightDir.subVectors(targetPos, sunPos).normalize();
+    if (lightDir.lengthSq() === 0) lightDir.set(0, -1, 0);
+
+    const carrier = lights[cascades - 1];
+    carrier.color.copy(sun.color);
+    carrier.intensity = sun.intensity;
+
+    // Light space: the same orientation the shadow cameras get from lookAt().
+    lightRot.lookAt(origin, lightDir, THREE.Object3D.DEFAULT_UP);
+    lightRotInv.copy(lightRot).invert();
+
+    // Slice bounding spheres depend on the camera's field of view only.
+    const tanY = Math.tan(THREE.MathUtils.degToRad(camera.fov * 0.5)) / camera.zoom;
+    const tanX = tanY * camera.aspect;
+    const k = tanX * tanX + tanY * tanY; // (corner distance from the axis / depth)^2
+    computeSplits(cascades, camera.near, Math.min(maxFar, camera.far), lambda, splits);
+    camera.updateMatrixWorld();
+
+    for (let i = 0; i < cascades; i++) {
+      const near = splits[i];
+      const far = splits[i + 1];
+      const band = (far - near) * blend;
+      uniforms.uCsmCascades.value[i].set(far, Math.max(band, 1e-3));
+
+      // Smallest sphere around the slice [near, far + band]: its center sits
+      // on the view axis where the near and far corners are equally far.
+      const end = far + band;
+      const c = Math.min(end, ((near + end) * (1 + k)) / 2);
+      const radius = Math.sqrt(Math.max((c - near) ** 2 + near * near * k, (end - c) ** 2 + end * end * k));
+
+      const light = lights[i];
+      const cam = light.shadow.camera;
+      if (cam.right !== radius) {
+        cam.left = cam.bottom = -radius;
+        cam.right = cam.top = radius;
+        cam.near = 0;
+        cam.far = 2 * radius + casterMargin;
+        cam.updateProjectionMatrix();
+      }
+
+      // Snap the center to whole texels across the light's view.
+      const texel = (2 * radius) / mapSize;
+      center.set(0, 0, -c).applyMatrix4(camera.matrixWorld).applyMatrix4(lightRotInv);
+      center.x = Math.round(center.x / texel) * texel;
+      center.y = Math.round(center.y / texel) * texel;
+      center.applyMatrix4(lightRot);
+
+      light.target.position.copy(center);
+      light.position.copy(center).addScaledVector(lightDir, -(radius + casterMargin));
+      light.shadow.normalBias = normalBias * texel;
+    }
+  }
+
+  /** Removes the cascades, un-patches the materials and gives the sun its own shadow back. */
+  function dispose() {
+    patcher.dispose();
+    scene.remove(group);
+    for (const light of lights) light.dispose();
+    sun.castShadow = sunWasCasting;
+    sun.visible = sunWasVisible;
+  }
+
+  update();
+
+  return {
+    update,
+    setupMaterial: patcher.setupMaterial,
+    apply: patcher.apply,
+    lights,
+    getSplits: () => splits.slice(),
+    dispose,
+  };
+}
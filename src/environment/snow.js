@@ -1,6 +1,100 @@
 import * as THREE from 'three';
 
+// GPU mode: per-flake speeds are multiples of 1/SPEED_STEPS and wobble
+// frequencies multiples of 1/8 rad/s, so the accumulated fall / drift / time
+// uniforms can wrap around (see update()) without any flake jumping.
+const SPEED_STEPS = 40;
+const WOBBLE_PERIOD = 16 * Math.PI;
+
+// Ground grid (GPU mode with setGround()): terrain heights sampled around the
+// volume, GROUND_RES x GROUND_RES, re-sampled as the volume moves.
+const GROUND_RES = 64;
+const NO_GROUND = -1e6;
+
+// follow(): share of the volume height below the target (flakes have to reach
+// the ground down-slope, too).
+const FOLLOW_BELOW = 0.35;
+
+// Vertex shader additions for mode: 'gpu'. Everything a flake does is a
+// function of its seeds and a few uniforms; the CPU never touches the buffers.
+const GPU_VERTEX_PARS = /* glsl */ `
+attribute vec4 flake;   // fall speed, drift factor, wobble frequency, wobble phase
+uniform vec3 uArea;     // size of the snow volume
+uniform vec3 uVolumeMin; // its lowest corner (world)
+uniform float uFall;    // accumulated fall distance (speed * time)
+uniform vec3 uDrift;    // accumulated wind drift (wind * time)
+uniform float uTime;
+uniform float uTurbulence; // wobble radius (meters)
+
+// Ground contact (setGround()): heights on a grid, manual bilinear because
+// float textures can't be filtered everywhere.
+uniform sampler2D uGround;
+uniform vec4 uGroundRect;  // min x, min z, cell size x, cell size z
+uniform float uGroundOn;
+uniform float uSettleTime; // seconds a landed flake stays before it is gone
+uniform float uSpeed;
+uniform vec3 uWind;
+
+varying float vFlakeAlpha;
+
+float snowGroundHeight(vec2 xz) {
+  vec2 g = clamp((xz - uGroundRect.xy) / uGroundRect.zw, vec2(0.0), vec2(${GROUND_RES - 1}.0 - 1e-3));
+  ivec2 i = ivec2(floor(g));
+  vec2 f = g - vec2(i);
+  float h00 = texelFetch(uGround, i, 0).r;
+  float h10 = texelFetch(uGround, i + ivec2(1, 0), 0).r;
+  float h01 = texelFetch(uGround, i + ivec2(0, 1), 0).r;
+  float h11 = texelFetch(uGround, i + ivec2(1, 1), 0).r;
+  return mix(mix(h00, h10, f.x), mix(h01, h11, f.x), f.y);
+}
+`;
+
+const GPU_BEGIN_VERTEX = /* glsl */ `
+// position holds the flake's seed in 0..1. Flakes live in world space and are
+// wrapped into the volume box, so they stay put while the box moves along.
+vec3 transformed = position * uArea;
+transformed.y -= uFall * flake.x;
+transformed += uDrift * flake.y;
+
+float wobble = uTime * flake.z + flake.w;
+transformed.x += sin(wobble) * uTurbulence;
+transformed.z += cos(wobble * 2.0 + flake.w) * uTurbulence; // integer ratio: wraps with uTime
+
+// Wrap around the volume: out at the bottom, back in at the top
+transformed = uVolumeMin + mod(transformed - uVolumeMin, uArea);
+
+// Fade in under the top and towards the sides, where flakes wrap around
+vec3 rel = (transformed - uVolumeMin) / uArea;
+vec2 edge = abs(rel.xz - 0.5) * 2.0;
+vFlakeAlpha = (1.0 - smoothstep(0.9, 1.0, rel.y)) * (1.0 - smoothstep(0.8, 1.0, max(edge.x, edge.y)));
+
+if (uGroundOn > 0.5) {
+  float below = snowGroundHeight(transformed.xz) - transformed.y;
+  if (below > 0.0) {
+    // Landed this many seconds ago: lie still where it touched down, then fade.
+    float t = below / max(uSpeed * flake.x, 1e-3);
+    if (t < uSettleTime) {
+      transformed.xz -= uWind.xz * flake.y * t;
+      transformed.y = snowGroundHeight(transformed.xz) + 0.02;
+      vFlakeAlpha *= 1.0 - t / uSettleTime;
+    } else {
+      vFlakeAlpha = 0.0;
+    }
+  }
+}
+`;
+
+const GPU_VERTEX_END = /* glsl */ `
+#include <fog_vertex>
+if (vFlakeAlpha <= 0.0) gl_Position = vec4(2.0, 2.0, 2.0, 1.0); // outside the clip volume
+`;
+
 export default class Snow {
+  // options.mode: 'cpu' (default) moves every flake in JS each frame;
+  // 'gpu' animates them in the vertex shader (fall, wind drift, turbulence,
+  // wrap-around), so even 100k+ flakes cost no CPU time.
+  // options.settleTime (GPU mode, with setGround()): seconds a flake lies on
+  // the ground before it fades; 0 = gone on contact.
   constructor(scene, options = {}) {
     this.scene = scene;
     const {
@@ -11,6 +105,10 @@ export default class Snow {
       texturePath = null,
       wind = new THREE.Vector3(0, 0, 0),
       color = 0xffffff,
+      intensity = 1,
+      mode = 'cpu',
+      turbulence = 0.6,
+      settleTime = 0,
     } = options;
 
     this.count = count;
@@ -18,20 +116,25 @@ export default class Snow {
     this.speed = speed;
     this.wind = wind;
     this.enabled = true;
+    this.gpu = mode === 'gpu';
+    this.ground = null;
 
-    const geometry = new THREE.BufferGeometry();
-    const positions = new Float32Array(count * 3);
-    const velocities = new Float32Array(count);
+    const geometry = this.gpu ? this._createGpuGeometry() : new THREE.BufferGeometry();
 
-    for (let i = 0; i < count; i++) {
-      positions[i * 3 + 0] = (Math.random() - 0.5) * area.x;
-      positions[i * 3 + 1] = Math.random() * area.y;
-      positions[i * 3 + 2] = (Math.random() - 0.5) * area.z;
-      velocities[i] = 0.2 + Math.random() * 1.0; // fall speed multiplier
-    }
+    if (!this.gpu) {
+      const positions = new Float32Array(count * 3);
+      const velocities = new Float32Array(count);
+
+      for (let i = 0; i < count; i++) {
+        positions[i * 3 + 0] = (Math.random() - 0.5) * area.x;
+        positions[i * 3 + 1] = Math.random() * area.y;
+        positions[i * 3 + 2] = (Math.random() - 0.5) * area.z;
+        velocities[i] = 0.2 + Math.random() * 1.0; // fall speed multiplier
+      }
 
-    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    geometry.setAttribute('velocity', new THREE.BufferAttribute(velocities, 1));
+      geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+      geometry.setAttribute('velocity', new THREE.BufferAttribute(velocities, 1));
+    }
 
     const material = new THREE.PointsMaterial({
       color: color,
@@ -42,6 +145,8 @@ export default class Snow {
       sizeAttenuation: true,
     });
 
+    if (this.gpu) this._injectGpuShader(material, turbulence, settleTime);
+
     this.geometry = geometry;
     this.material = material;
     this.points = new THREE.Points(geometry, material);
@@ -57,10 +162,82 @@ export default class Snow {
     }
 
     scene.add(this.points);
+    this.setIntensity(intensity);
+  }
+
+  // GPU mode: unit seeds (the shader scales them by the area) + per-flake speeds.
+  _createGpuGeometry() {
+    const count = this.count;
+    const seeds = new Float32Array(count * 3);
+    const flakes = new Float32Array(count * 4);
+
+    for (let i = 0; i < count; i++) {
+      seeds[i * 3 + 0] = Math.random();
+      seeds[i * 3 + 1] = Math.random();
+      seeds[i * 3 + 2] = Math.random();
+
+      // Same ranges as the CPU mode: fall 0.2..1.2, drift 0.2 + 0.8 * fall.
+      const fall = Math.round((0.2 + Math.random()) * SPEED_STEPS) / SPEED_STEPS;
+      flakes[i * 4 + 0] = fall;
+      flakes[i * 4 + 1] = Math.round((0.2 + fall * 0.8) * SPEED_STEPS) / SPEED_STEPS;
+      flakes[i * 4 + 2] = (4 + Math.floor(Math.random() * 9)) / 8; // 0.5..1.5 rad/s
+      flakes[i * 4 + 3] = Math.random() * Math.PI * 2;
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(seeds, 3));
+    geometry.setAttribute('flake', new THREE.BufferAttribute(flakes, 4));
+    return geometry;
+  }
+
+  _injectGpuShader(material, turbulence, settleTime) {
+    this.groundTexture = new THREE.DataTexture(
+      new Float32Array(GROUND_RES * GROUND_RES).fill(NO_GROUND),
+      GROUND_RES,
+      GROUND_RES,
+      THREE.RedFormat,
+      THREE.FloatType
+    );
+    this.groundTexture.needsUpdate = true;
+    this._groundKey = null;
+
+    this.uniforms = {
+      uArea: { value: new THREE.Vector3(this.area.x, this.area.y, this.area.z) },
+      uVolumeMin: { value: new THREE.Vector3(-this.area.x / 2, 0, -this.area.z / 2) },
+      uFall: { value: 0 },
+      uDrift: { value: new THREE.Vector3() },
+      uTime: { value: 0 },
+      uTurbulence: { value: turbulence },
+      uGround: { value: this.groundTexture },
+      uGroundRect: { value: new THREE.Vector4() },
+      uGroundOn: { value: 0 },
+      uSettleTime: { value: settleTime },
+      uSpeed: { value: this.speed },
+      uWind: { value: this.wind },
+    };
+
+    material.onBeforeCompile = (shader) => {
+      Object.assign(shader.uniforms, this.uniforms);
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>\n${GPU_VERTEX_PARS}`)
+        .replace('#include <begin_vertex>', GPU_BEGIN_VERTEX)
+        .replace('#include <fog_vertex>', GPU_VERTEX_END);
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', '#include <common>\nvarying float vFlakeAlpha;')
+        .replace('#include <color_fragment>', '#include <color_fragment>\ndiffuseColor.a *= vFlakeAlpha;');
+    };
+    material.customProgramCacheKey = () => 'snowGpu';
   }
 
   // Regenerate particle positions to match current area
   _regeneratePositions() {
+    if (this.gpu) {
+      // Seeds are relative to the volume: only its size changes.
+      this.uniforms.uArea.value.set(this.area.x, this.area.y, this.area.z);
+      this._groundKey = null;
+      return;
+    }
+
     const positions = this.geometry.attributes.position.array;
     const velocities = this.geometry.attributes.velocity.array;
     const ax = this.area.x;
@@ -82,14 +259,79 @@ export default class Snow {
   // area: {x,y,z}, center: THREE.Vector3 (world coords), groundY: world y considered "ground"
   setArea(area, center = new THREE.Vector3(0, 0, 0), groundY = 0) {
     this.area = area;
-    // position the Points object so particles' local coordinates map to world space
-    this.points.position.set(center.x, groundY, center.z);
     this.groundY = groundY;
     this._regeneratePositions();
+    this._placeVolume(center.x, groundY, center.z);
+  }
+
+  // Keep the volume around a moving point (the player / camera), e.g. every
+  // frame: x/z centered, most of the height above it. In GPU mode flakes stay
+  // where they are in the world and just wrap around the edges; in CPU mode
+  // the whole cloud moves along.
+  follow(position) {
+    this._placeVolume(position.x, position.y - this.area.y * FOLLOW_BELOW, position.z);
+  }
+
+  // Volume with its bottom at y and x/z centered on (x, z).
+  _placeVolume(x, y, z) {
+    if (!this.gpu) {
+      // position the Points object so particles' local coordinates map to world space
+      this.points.position.set(x, y, z);
+      return;
+    }
+    this.uniforms.uVolumeMin.value.set(x - this.area.x / 2, y, z - this.area.z / 2);
+    this._sampleGround();
+  }
+
+  // Ground the flakes land on: (x, z) => world y, or null where there is none
+  // (e.g. terrain.userData.getHeightAt). null turns ground contact off.
+  // GPU mode samples it on a grid around the volume; CPU mode per flake.
+  setGround(sampleHeight) {
+    this.ground = sampleHeight;
+    if (this.gpu) {
+      this.uniforms.uGroundOn.value = sampleHeight ? 1 : 0;
+      this.refreshGround();
+    }
+  }
+
+  // Re-sample the ground now (after terrain tiles streamed in or were edited).
+  refreshGround() {
+    if (!this.gpu) return;
+    this._groundKey = null;
+    this._sampleGround();
+  }
+
+  // Grid snapped to whole cells in the world, so moving the volume only
+  // re-samples when it crosses a cell (and heights never swim).
+  _sampleGround() {
+    if (!this.ground) return;
+    const min = this.uniforms.uVolumeMin.value;
+    const cellX = (this.area.x * 1.1) / (GROUND_RES - 2);
+    const cellZ = (this.area.z * 1.1) / (GROUND_RES - 2);
+    const x0 = Math.floor((min.x - this.area.x * 0.05) / cellX) * cellX;
+    const z0 = Math.floor((min.z - this.area.z * 0.05) / cellZ) * cellZ;
+
+    const key = `${x0},${z0}`;
+    if (key === this._groundKey) return;
+    this._groundKey = key;
+
+    const data = this.groundTexture.image.data;
+    for (let j = 0; j < GROUND_RES; j++) {
+      for (let i = 0; i < GROUND_RES; i++) {
+        data[j * GROUND_RES + i] = this.ground(x0 + i * cellX, z0 + j * cellZ) ?? NO_GROUND;
+      }
+    }
+    this.groundTexture.needsUpdate = true;
+    this.uniforms.uGroundRect.value.set(x0, z0, cellX, cellZ);
   }
 
   update(delta) {
     if (!this.enabled) return;
+    if (this.gpu) {
+      this._updateGpu(delta);
+      return;
+    }
+    const count = this.geometry.drawRange.count;
     const positions = this.geometry.attributes.position.array;
     const velocities = this.geometry.attributes.velocity.array;
     const ax = this.area.x;
@@ -98,7 +340,7 @@ export default class Snow {
     const wind = this.wind;
     const groundY = this.groundY != null ? this.groundY : 0;
 
-    for (let i = 0; i < this.count; i++) {
+    for (let i = 0; i < count; i++) {
       const idx3 = i * 3;
       // fall
       positions[idx3 + 1] -= velocities[i] * this.speed * delta;
@@ -106,9 +348,12 @@ export default class Snow {
       positions[idx3 + 0] += wind.x * delta * (0.2 + velocities[i] * 0.8);
       positions[idx3 + 2] += wind.z * delta * (0.2 + velocities[i] * 0.8);
 
-      // respawn at top when below ground (world Y < groundY)
+      // respawn at top when below ground (world Y < groundY, or the terrain under it)
       const worldY = positions[idx3 + 1] + this.points.position.y;
-      if (worldY < groundY) {
+      const floorY = this.ground
+        ? this.ground(positions[idx3] + this.points.position.x, positions[idx3 + 2] + this.points.position.z) ?? groundY
+        : groundY;
+      if (worldY < floorY) {
         positions[idx3 + 1] = ay * (0.6 + Math.random() * 0.4);
         positions[idx3 + 0] = (Math.random() - 0.5) * ax;
         positions[idx3 + 2] = (Math.random() - 0.5) * az;
@@ -118,6 +363,35 @@ export default class Snow {
     this.geometry.attributes.position.needsUpdate = true;
   }
 
+  // GPU mode: integrate speed and wind here (so changing them never makes
+  // flakes jump), wrapped by a period every flake's multiplier divides evenly.
+  _updateGpu(delta) {
+    const u = this.uniforms;
+    const area = u.uArea.value;
+    const wind = this.wind;
+
+    u.uFall.value = (u.uFall.value + this.speed * delta) % (area.y * SPEED_STEPS);
+    u.uDrift.value.set(
+      (u.uDrift.value.x + wind.x * delta) % (area.x * SPEED_STEPS),
+      (u.uDrift.value.y + wind.y * delta) % (area.y * SPEED_STEPS),
+      (u.uDrift.value.z + wind.z * delta) % (area.z * SPEED_STEPS)
+    );
+    u.uTime.value = (u.uTime.value + delta) % WOBBLE_PERIOD;
+    u.uSpeed.value = this.speed;
+  }
+
+  // How hard it snows, 0..1: the share of flakes drawn (and simulated).
+  // Other systems read it too (e.g. snow trails fill in while it snows).
+  setIntensity(value) {
+    this.intensity = THREE.MathUtils.clamp(value, 0, 1);
+    this.geometry.setDrawRange(0, Math.round(this.count * this.intensity));
+  }
+
+  // Snowfall actually happening right now (0 while disabled).
+  getSnowfall() {
+    return this.enabled ? this.intensity : 0;
+  }
+
   setWind(vec3) {
     this.wind.copy(vec3);
   }
@@ -129,6 +403,7 @@ export default class Snow {
 
   dispose() {
     this.geometry.dispose();
+    this.groundTexture?.dispose();
     this.material.dispose();
     if (this.points && this.points.parent) this.points.parent.remove(this.points);
   }
@@ -0,0 +1,238 @@
+// src/environment/snowCover.js
+// -----------------------------------------------------------------------------
+// Snow lying on models: roofs, tents, branches, crates...
+//
+// apply(object) patches the lit materials under an object (Standard / Physical,
+// Lambert, Phong) with a snow layer on top of their own shading:
+//  - coverage from the WORLD-space normal (after normal maps): flat, up-facing
+//    surfaces first, steeper ones as the snow piles up; walls and undersides
+//    stay clear
+//  - world-space noise breaks the edge up into patches, so it doesn't look
+//    like a painted-on gradient
+//  - under snow the surface turns snow-colored, rough and smooth (the snow
+//    hides the normal map), and stops glowing
+//
+// One accumulation amount (0..1) drives every patched material. update(dt)
+// grows it while it snows (Snow.getSnowfall()) and lets it slowly go away in
+// clear weather, so the models get whiter the longer a storm lasts.
+//
+// Materials are patched in place (onBeforeCompile, chained with any existing
+// hook), so materials shared between meshes get the snow everywhere they are
+// used. Per material, `scale` makes something hold less (or more) snow.
+// -----------------------------------------------------------------------------
+
+import * as THREE from "three";
+
+// Seconds of full snowfall (intensity 1) from bare to fully covered, and of
+// clear weather from fully covered to bare.
+const DEFAULT_BUILD_UP_S = 300;
+const DEFAULT_MELT_S = 1800;
+
+const VERTEX_PARS = /* glsl */ `
+varying vec3 vSnowWorldPos;
+`;
+
+// After project_vertex `transformed` is final (skinning / morphs applied).
+const VERTEX_WORLDPOS = /* glsl */ `
+vec4 snowWorldPos = vec4( transformed, 1.0 );
+#ifdef USE_BATCHING
+  snowWorldPos = batchingMatrix * snowWorldPos;
+#endif
+#ifdef USE_INSTANCING
+  snowWorldPos = instanceMatrix * snowWorldPos;
+#endif
+vSnowWorldPos = ( modelMatrix * snowWorldPos ).xyz;
+`;
+
+const FRAGMENT_PARS = /* glsl */ `
+varying vec3 vSnowWorldPos;
+uniform float uSnowAmount;    // global accumulation 0..1
+uniform float uSnowScale;     // per material
+uniform vec3 uSnowColor;
+uniform float uSnowRoughness;
+uniform float uSnowMinUp;     // steepest surface (world normal y) covered at full amount
+uniform float uSnowSoftness;  // width of the snow edge (in normal y)
+uniform float uSnowBreakup;   // noise strength along the edge
+uniform float uSnowNoiseScale; // noise frequency (1 / meters)
+
+float snowHash( vec3 p ) {
+  p = fract( p * 0.3183099 + 0.1 );
+  p *= 17.0;
+  return fract( p.x * p.y * p.z * ( p.x + p.y + p.z ) );
+}
+
+float snowNoise( vec3 p ) {
+  vec3 i = floor( p );
+  vec3 f = fract( p );
+  f = f * f * ( 3.0 - 2.0 * f );
+  return mix(
+    mix( mix( snowHash( i ), snowHash( i + vec3( 1, 0, 0 ) ), f.x ),
+         mix( snowHash( i + vec3( 0, 1, 0 ) ), snowHash( i + vec3( 1, 1, 0 ) ), f.x ), f.y ),
+    mix( mix( snowHash( i + vec3( 0, 0, 1 ) ), snowHash( i + vec3( 1, 0, 1 ) ), f.x ),
+         mix( snowHash( i + vec3( 0, 1, 1 ) ), snowHash( i + vec3( 1, 1, 1 ) ), f.x ), f.y ),
+    f.z );
+}
+
+// 0..1 snow on this fragment, from its world-space normal.
+float snowCoverage( vec3 worldNormal ) {
+  float amount = clamp( uSnowAmount * uSnowScale, 0.0, 1.0 );
+  vec3 p = vSnowWorldPos * uSnowNoiseScale;
+  float n = snowNoise( p ) * 0.65 + snowNoise( p * 3.7 + 17.0 ) * 0.35;
+
+  float up = worldNormal.y + ( n - 0.5 ) * uSnowBreakup;
+  // No snow: the limit sits above anything up + noise can reach.
+  float limit = mix( 1.0 + uSnowBreakup + uSnowSoftness, uSnowMinUp, amount );
+  return smoothstep( limit, limit + uSnowSoftness, up );
+}
+`;
+
+// After emissivemap_fragment: color, roughness, normal and emission are all
+// known, the lighting hasn't run yet.
+const FRAGMENT_APPLY = /* glsl */ `
+{
+  float snowCover = snowCoverage( inverseTransformDirection( normal, viewMatrix ) );
+  diffuseColor.rgb = mix( diffuseColor.rgb, uSnowColor, snowCover );
+  totalEmissiveRadiance *= 1.0 - snowCover;
+  // A layer of snow is smooth at this scale: flatten the normal map under it.
+  vec3 snowUp = normalize( ( viewMatrix * vec4( 0.0, 1.0, 0.0, 0.0 ) ).xyz );
+  normal = normalize( mix( normal, snowUp, snowCover * 0.6 ) );
+  #ifdef SNOW_COVER_PBR
+    roughnessFactor = mix( roughnessFactor, uSnowRoughness, snowCover );
+    metalnessFactor *= 1.0 - snowCover;
+  #endif
+}
+`;
+
+const isSnowable = (m) =>
+  m && (m.isMeshStandardMaterial || m.isMeshLambertMaterial || m.isMeshPhongMaterial);
+
+/**
+ * Creates the snow cover controller. Call update(dt) once per frame.
+ *
+ * @param {object} [opts]
+ * @param {import("./snow.js").default} [opts.snow]  snowfall source (getSnowfall())
+ * @param {number} [opts.amount=0]        starting accumulation 0..1
+ * @param {number} [opts.buildUpTime=300] seconds of full snowfall from bare to covered
+ * @param {number} [opts.meltTime=1800]   seconds without snowfall from covered to bare (Infinity = never)
+ * @param {THREE.ColorRepresentation} [opts.color=0xeef2f8]
+ * @param {number} [opts.roughness=0.85]
+ * @param {number} [opts.minUp=0.3]       world normal y of the steepest surface snow reaches (0.3 ~ 72 deg)
+ * @param {number} [opts.softness=0.15]
+ * @param {number} [opts.breakup=0.5]
+ * @param {number} [opts.noiseScale=0.8]  1 / meters
+ * @returns {{
+ *   apply: (object: THREE.Object3D, opts?: { scale?: number, filter?: (mesh: THREE.Mesh, material: THREE.Material) => boolean }) => number,
+ *   update: (dt: number) => void,
+ *   setAmount: (amount: number) => void,
+ *   getAmount: () => number,
+ *   uniforms: Record<string, { value: any }>
+ * }}
+ */
+export function createSnowCover(opts = {}) {
+  const {
+    snow = null,
+    amount = 0,
+    buildUpTime = DEFAULT_BUILD_UP_S,
+    meltTime = DEFAULT_MELT_S,
+    color = 0xeef2f8,
+    roughness = 0.85,
+    minUp = 0.3,
+    softness = 0.15,
+    breakup = 0.5,
+    noiseScale = 0.8,
+  } = opts;
+
+  // Shared by every patched material: changing a value here changes them all.
+  const uniforms = {
+    uSnowAmount: { value: THREE.MathUtils.clamp(amount, 0, 1) },
+    uSnowColor: { value: new THREE.Color(color) },
+    uSnowRoughness: { value: roughness },
+    uSnowMinUp: { value: minUp },
+    uSnowSoftness: { value: softness },
+    uSnowBreakup: { value: breakup },
+    uSnowNoiseScale: { value: noiseScale },
+  };
+
+  function patchMaterial(material, scale) {
+    // Already patched: only the scale changes.
+    if (material.userData.snowCover) {
+      material.userData.snowCover.uSnowScale.value = scale;
+      return;
+    }
+
+    const uSnowScale = { value: scale };
+    material.userData.snowCover = { uSnowScale };
+
+    const previous = material.onBeforeCompile;
+    const previousKey = material.customProgramCacheKey;
+
+    material.onBeforeCompile = (shader, renderer) => {
+      previous?.call(material, shader, renderer);
+
+      Object.assign(shader.uniforms, uniforms, { uSnowScale });
+      if (material.isMeshStandardMaterial) {
+        shader.defines ??= {};
+        shader.defines.SNOW_COVER_PBR = "";
+      }
+
+      shader.vertexShader = shader.vertexShader
+        .replace("#include <common>", `#include <common>\n${VERTEX_PARS}`)
+        .replace("#include <project_vertex>", `#include <project_vertex>\n${VERTEX_WORLDPOS}`);
+
+      shader.fragmentShader = shader.fragmentShader
+        .replace("#include <common>", `#include <common>\n${FRAGMENT_PARS}`)
+        .replace("#include <emissivemap_fragment>", `#include <emissivemap_fragment>\n${FRAGMENT_APPLY}`);
+    };
+
+    material.customProgramCacheKey = () => `${previousKey.call(material)}_snowCover`;
+    material.needsUpdate = true;
+  }
+
+  /**
+   * Puts the snow layer on every lit mesh material under `object`.
+   *
+   * @param {THREE.Object3D} object
+   * @param {object} [opts]
+   * @param {number} [opts.scale=1]  how much snow this holds relative to the
+   *        global amount (e.g. 0.5 for something sheltered)
+   * @param {(mesh: THREE.Mesh, material: THREE.Material) => boolean} [opts.filter]
+   *        return false to leave a mesh / material bare
+   * @returns {number} number of materials patched
+   */
+  function apply(object, { scale = 1, filter = null } = {}) {
+    const seen = new Set();
+    object.traverse((o) => {
+      if (!o.isMesh || o.userData.snowCover === false) return;
+      const materials = Array.isArray(o.material) ? o.material : [o.material];
+      for (const m of materials) {
+        if (seen.has(m) || !isSnowable(m)) continue;
+        if (filter && !filter(o, m)) continue;
+        seen.add(m);
+        patchMaterial(m, scale);
+      }
+    });
+    return seen.size;
+  }
+
+  /**
+   * Grows the cover while it snows and lets it go in clear weather.
+   *
+   * @param {number} dt  seconds
+   */
+  function update(dt) {
+    const snowfall = snow ? snow.getSnowfall() : 0;
+    const u = uniforms.uSnowAmount;
+    if (snowfall > 0) u.value = Math.min(1, u.value + (snowfall * dt) / buildUpTime);
+    else if (meltTime > 0) u.value = Math.max(0, u.value - dt / meltTime);
+  }
+
+  return {
+    apply,
+    update,
+    setAmount: (v) => {
+      uniforms.uSnowAmount.value = THREE.MathUtils.clamp(v, 0, 1);
+    },
+    getAmount: () => uniforms.uSnowAmount.value,
+    uniforms,
+  };
+}
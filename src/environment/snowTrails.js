@@ -0,0 +1,202 @@
+// src/environment/snowTrails.js
+// -----------------------------------------------------------------------------
+// Snow deformation layer: where the player (or any actor) has walked.
+//
+// One RG8 data texture per terrain tile, in the terrain's UV space (v = 1 is
+// the north edge, like the slope / hillshade maps):
+//  - R: footprint dents, the latest step wins (max)
+//  - G: packed snow, grows a little with every step, so a path walked often
+//       turns into a trail
+// The terrain shader reads it (TERRAIN_TRAILS, see abiskoTerrain.fragHeader.glsl)
+// for the dent normals and the duller color of packed snow.
+//
+// Trails persist until new snow falls: update() fills dents and trails back in
+// at a rate driven by the snowfall intensity (0 = clear sky, nothing fades).
+// Only blocks that hold something are faded, so the cost follows the trail
+// length, not the tile size.
+// -----------------------------------------------------------------------------
+
+import * as THREE from "three";
+
+// Texels per meter (a 1 km tile -> 2000 x 2000). Dents are a texel or two wide.
+export const TRAIL_TEXELS_PER_M = 2;
+const TRAIL_MAX_SIZE = 4096;
+
+// Seconds of full snowfall (intensity 1) to fill a dent / a packed trail back in.
+export const TRAIL_DENT_FILL_S = 120;
+export const TRAIL_PACK_FILL_S = 480;
+
+// Fading works in square blocks of texels; only touched blocks are visited.
+const BLOCK = 32;
+
+// Uploading the whole texture costs a few ms: stamps and fades are batched to
+// at most one upload per interval.
+const UPLOAD_INTERVAL_S = 0.1;
+
+let emptyTexture = null;
+
+/**
+ * 1x1 "no trails" texture for tiles that haven't been walked on yet (shared,
+ * never disposed), so the shader always has something bound.
+ */
+export function getEmptyTrailTexture() {
+  emptyTexture ??= createTrailTexture(new Uint8Array(2), 1, 1);
+  return emptyTexture;
+}
+
+function createTrailTexture(data, width, height) {
+  const tex = new THREE.DataTexture(data, width, height, THREE.RGFormat);
+  tex.unpackAlignment = 1; // rows are width * 2 bytes, not padded to 4
+  tex.colorSpace = THREE.NoColorSpace;
+  tex.wrapS = tex.wrapT = THREE.ClampToEdgeWrapping;
+  tex.minFilter = tex.magFilter = THREE.LinearFilter;
+  tex.needsUpdate = true;
+  return tex;
+}
+
+/**
+ * Deformation map covering one terrain tile (local meters, centered like the
+ * heightfield: x in [-sizeX/2..sizeX/2], z in [-sizeZ/2..sizeZ/2]).
+ *
+ * @param {object} opts
+ * @param {number} opts.sizeX
+ * @param {number} opts.sizeZ
+ * @param {number} [opts.texelsPerM=TRAIL_TEXELS_PER_M]
+ */
+export function createSnowTrailMap({ sizeX, sizeZ, texelsPerM = TRAIL_TEXELS_PER_M }) {
+  const width = THREE.MathUtils.clamp(Math.ceil(sizeX * texelsPerM), 1, TRAIL_MAX_SIZE);
+  const height = THREE.MathUtils.clamp(Math.ceil(sizeZ * texelsPerM), 1, TRAIL_MAX_SIZE);
+  const data = new Uint8Array(width * height * 2);
+  const texture = createTrailTexture(data, width, height);
+
+  const blocksX = Math.ceil(width / BLOCK);
+  const active = new Set(); // block indices that hold non-zero texels
+
+  // Fractional fade (in byte steps) not applied yet, per channel.
+  const pending = [0, 0];
+  let dirty = false;
+  let sinceUpload = Infinity;
+
+  /**
+   * Presses a round footprint into the snow.
+   *
+   * @param {number} x       local meters
+   * @param {number} z       local meters
+   * @param {number} radius  local meters
+   * @param {{ dent?: number, pack?: number }} [opts]
+   *        dent: depth 0..1 of this print; pack: how much it adds to the packed trail
+   * @returns {boolean} true if the print touched the map
+   */
+  function stamp(x, z, radius, { dent = 1, pack = 0.25 } = {}) {
+    // Texel space: column = u * width, row = v * height (row 0 = south edge).
+    const cx = (x / sizeX + 0.5) * width - 0.5;
+    const cy = (0.5 - z / sizeZ) * height - 0.5;
+    // Never smaller than a texel and a half: bilinear filtering would wash it out.
+    const r = Math.max(radius * (width / sizeX), 1.5);
+
+    const x0 = Math.max(0, Math.floor(cx - r));
+    const x1 = Math.min(width - 1, Math.ceil(cx + r));
+    const y0 = Math.max(0, Math.floor(cy - r));
+    const y1 = Math.min(height - 1, Math.ceil(cy + r));
+    if (x0 > x1 || y0 > y1) return false;
+
+    for (let ty = y0; ty <= y1; ty++) {
+      for (let tx = x0; tx <= x1; tx++) {
+        const d2 = ((tx - cx) ** 2 + (ty - cy) ** 2) / (r * r);
+        if (d2 >= 1) continue;
+        const f = (1 - d2) * (1 - d2); // soft rim
+
+        const i = (ty * width + tx) * 2;
+        data[i] = Math.max(data[i], Math.round(dent * f * 255));
+        data[i + 1] = Math.min(255, data[i + 1] + Math.round(pack * f * 255));
+        active.add(Math.floor(ty / BLOCK) * blocksX + Math.floor(tx / BLOCK));
+      }
+    }
+
+    dirty = true;
+    return true;
+  }
+
+  // Subtracts `steps` (bytes) from one channel in every active block.
+  function fadeChannel(channel, steps) {
+    for (const b of active) {
+      const bx0 = (b % blocksX) * BLOCK;
+      const by0 = Math.floor(b / blocksX) * BLOCK;
+      const bx1 = Math.min(bx0 + BLOCK, width);
+      const by1 = Math.min(by0 + BLOCK, height);
+      for (let ty = by0; ty < by1; ty++) {
+        for (let i = (ty * width + bx0) * 2 + channel, end = (ty * width + bx1) * 2; i < end; i += 2) {
+          data[i] = data[i] > steps ? data[i] - steps : 0;
+        }
+      }
+    }
+  }
+
+  function blockIsEmpty(b) {
+    const bx0 = (b % blocksX) * BLOCK;
+    const by0 = Math.floor(b / blocksX) * BLOCK;
+    const bx1 = Math.min(bx0 + BLOCK, width);
+    const by1 = Math.min(by0 + BLOCK, height);
+    for (let ty = by0; ty < by1; ty++) {
+      for (let i = (ty * width + bx0) * 2, end = (ty * width + bx1) * 2; i < end; i++) {
+        if (data[i] !== 0) return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Fills trails back in while it snows and uploads pending changes.
+   * Call once per frame.
+   *
+   * @param {number} dt        seconds
+   * @param {number} snowfall  snowfall intensity 0..1
+   */
+  function update(dt, snowfall) {
+    if (active.size && snowfall > 0) {
+      pending[0] += (snowfall * dt * 255) / TRAIL_DENT_FILL_S;
+      pending[1] += (snowfall * dt * 255) / TRAIL_PACK_FILL_S;
+
+      let faded = false;
+      for (let c = 0; c < 2; c++) {
+        const steps = Math.floor(pending[c]);
+        if (steps < 1) continue;
+        pending[c] -= steps;
+        fadeChannel(c, steps);
+        faded = true;
+      }
+
+      if (faded) {
+        for (const b of active) if (blockIsEmpty(b)) active.delete(b);
+        dirty = true;
+      }
+    }
+    if (!active.size) pending[0] = pending[1] = 0;
+
+    sinceUpload += dt;
+    if (dirty && sinceUpload >= UPLOAD_INTERVAL_S) {
+      texture.needsUpdate = true;
+      dirty = false;
+      sinceUpload = 0;
+    }
+  }
+
+  /** Fresh snow everywhere (uploaded on the next update()). */
+  function clear() {
+    data.fill(0);
+    active.clear();
+    dirty = true;
+  }
+
+  return {
+    texture,
+    width,
+    height,
+    stamp,
+    update,
+    clear,
+    /** True while any dent or trail is left. */
+    hasTrails: () => active.size > 0,
+    dispose: () => texture.dispose(),
+  };
+}
@@ -0,0 +1,245 @@
+// src/environment/terrainBuild.js
+// -----------------------------------------------------------------------------
+// The heavy part of building a terrain, kept off the main thread.
+//
+// buildTerrainData() does everything that loops over the whole DEM:
+//  - download + decode the heightmap
+//  - full-res height array (shifted meters)
+//  - per-sample normals
+//  - computed slope / hillshade bytes (when the tile has no baked PNGs)
+//  - vertex buffers for the coarse LOD chunks, so the terrain can be drawn
+//    without generating geometry on the main thread
+//
+// buildTerrainDataInWorker() runs it in terrainBuild.worker.js and gets every
+// array back as a transferable buffer (moved, not copied). The main thread only
+// wraps them in textures / BufferGeometry. Progress is reported as it goes.
+//
+// Like heightfield.js, this module is loaded by the worker: no "three" and no
+// other bare specifiers here.
+// -----------------------------------------------------------------------------
+
+import { loadDem, resolveFormat, isCustomHeightFormat, setGeoTiffModuleUrl } from "./demLoader.js";
+import {
+  computeHeightfieldNormals,
+  writeSlopeBytes,
+  writeHillshadeBytes,
+  quadtreeDepth,
+  buildChunkIndex,
+  buildChunkVertices,
+  chunkKey,
+} from "./heightfield.js";
+
+// Share of the overall progress per stage (download dominates on real networks).
+const STAGES = [
+  ["download", 0.6],
+  ["decode", 0.15],
+  ["normals", 0.1],
+  ["maps", 0.05],
+  ["geometry", 0.1],
+];
+
+function createProgress(onProgress) {
+  return (stage, fraction = 1) => {
+    if (!onProgress) return;
+    let done = 0;
+    for (const [name, weight] of STAGES) {
+      if (name === stage) {
+        onProgress({ stage, progress: Math.min(1, done + weight * fraction) });
+        return;
+      }
+      done += weight;
+    }
+  };
+}
+
+/**
+ * @typedef {object} TerrainBuildParams
+ * @property {string} url                DEM url (absolute, so it resolves the same in a worker).
+ * @property {string} [format="auto"]    loadDem() format.
+ * @property {object} [decodeOpts]       Extra loadDem() options (sizeM, elevMinM, ...).
+ * @property {number|null} [elevBaseM]   Elevation mapped to local y = 0 (default: DEM min).
+ * @property {boolean} [computeSlope]    Fill slope bytes from the normals.
+ * @property {{x:number,y:number,z:number}|null} [hillshadeLight]  Fill hillshade bytes (local light dir).
+ * @property {number} [chunkSegments=32] Must match createChunkedTerrain().
+ * @property {number} [prebuildLevels=2] Quadtree levels (from the root) to prebuild.
+ */
+
+/**
+ * Builds heights, normals, maps and coarse chunk buffers for one DEM.
+ *
+ * @param {TerrainBuildParams} params
+ * @param {(p: { stage: string, progress: number }) => void} [onProgress]
+ */
+export async function buildTerrainData(params, onProgress) {
+  const {
+    url,
+    format = "auto",
+    decodeOpts = {},
+    elevBaseM = null,
+    computeSlope = false,
+    hillshadeLight = null,
+    chunkSegments = 32,
+    prebuildLevels = 2,
+  } = params;
+
+  const report = createProgress(onProgress);
+
+  report("download", 0);
+  const dem = await loadDem(url, {
+    ...decodeOpts,
+    format,
+    onProgress: (loaded, total) => report("download", loaded / total),
+  });
+  report("decode");
+
+  // Real-world footprint of the raster (pixel-is-area: width * pixel size).
+  const width = dem.width;
+  const height = dem.height;
+  const sizeX = width * dem.pixelSizeM.x;
+  const sizeZ = height * dem.pixelSizeM.y;
+  const baseM = elevBaseM ?? dem.elevMinM;
+
+  // Full-resolution heights in "shifted meters": 0.0 == baseM, positive upward.
+  const heights = new Float32Array(width * height);
+  for (let i = 0; i < heights.length; i++) {
+    heights[i] = dem.elevations[i] - baseM;
+  }
+
+  const normals = computeHeightfieldNormals(heights, width, height, sizeX / (width - 1), sizeZ / (height - 1));
+  report("normals");
+
+  const hf = { heights, normals, width, height, sizeX, sizeZ };
+
+  let slope = null;
+  if (computeSlope) {
+    slope = new Uint8Array(width * height);
+    writeSlopeBytes(slope, hf);
+  }
+
+  let hillshade = null;
+  if (hillshadeLight) {
+    hillshade = new Uint8Array(width * height);
+    writeHillshadeBytes(hillshade, hf, hillshadeLight);
+  }
+  report("maps");
+
+  // Coarse chunks: the root and a few levels below cover the whole tile, so
+  // every LOD selection can start from them. Finer chunks stay lazy.
+  const depth = quadtreeDepth(width, height, chunkSegments);
+  const indexCache = new Map();
+  const getIndex = (cols, rows) => {
+    const key = `${cols}x${rows}`;
+    if (!indexCache.has(key)) indexCache.set(key, buildChunkIndex(cols, rows));
+    return indexCache.get(key);
+  };
+
+  const chunks = [];
+  const levels = Math.min(depth, prebuildLevels);
+  for (let level = 0; level <= levels; level++) {
+    const stride = 2 ** (depth - level);
+    const span = chunkSegments * stride;
+    for (let gy0 = 0; gy0 < height - 1; gy0 += span) {
+      for (let gx0 = 0; gx0 < width - 1; gx0 += span) {
+        const node = { gx0, gy0, span, stride };
+        chunks.push({
+          key: chunkKey(level, gx0, gy0),
+          gx0,
+          gy0,
+          gx1: Math.min(gx0 + span, width - 1),
+          gy1: Math.min(gy0 + span, height - 1),
+          ...buildChunkVertices(hf, node, getIndex),
+        });
+      }
+    }
+    report("geometry", (level + 1) / (levels + 1));
+  }
+
+  // Everything but the raw elevations (heights replace them).
+  const { elevations, ...meta } = dem;
+
+  return { dem: meta, baseM, sizeX, sizeZ, heights, normals, slope, hillshade, chunks };
+}
+
+/**
+ * Buffers of a buildTerrainData() result, for postMessage's transfer list.
+ */
+export function transferablesOf(data) {
+  const list = [data.heights.buffer, data.normals.buffer];
+  if (data.slope) list.push(data.slope.buffer);
+  if (data.hillshade) list.push(data.hillshade.buffer);
+  for (const c of data.chunks) list.push(c.position.buffer, c.normal.buffer, c.uv.buffer);
+  return list;
+}
+
+/**
+ * Runs buildTerrainData() in a module worker.
+ *
+ * Falls back to the main thread when workers are unavailable, when the DEM
+ * format was registered on this thread only (registerHeightDecoder), or when
+ * the worker can't start (e.g. a browser without module workers). Errors of
+ * the build itself (missing file, bad data) are rethrown as-is.
+ *
+ * @param {TerrainBuildParams} params
+ * @param {(p: { stage: string, progress: number }) => void} [onProgress]
+ * @returns {ReturnType<typeof buildTerrainData>}
+ */
+export async function buildTerrainDataInWorker(params, onProgress) {
+  // Workers resolve urls against their own script, so make it absolute here.
+  const url = globalThis.location ? new URL(params.url, globalThis.location.href).href : params.url;
+  const job = { ...params, url };
+
+  if (typeof Worker === "undefined" || isCustomHeightFormat(resolveFormat(url, params.format))) {
+    return buildTerrainData(job, onProgress);
+  }
+
+  try {
+    return await runWorker(job, onProgress);
+  } catch (err) {
+    // The job itself failed (404, bad file...): the main thread would fail too.
+    if (err.name === "TerrainBuildError") throw err;
+    console.warn("Terrain build worker failed, building on the main thread:", err);
+    return buildTerrainData(job, onProgress);
+  }
+}
+
+function runWorker(job, onProgress) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./terrainBuild.worker.js", import.meta.url), { type: "module" });
+
+    const finish = (fn, value) => {
+      worker.terminate();
+      fn(value);
+    };
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === "progress") onProgress?.(data.progress);
+      else if (data.type === "done") finish(resolve, data.result);
+      else if (data.type === "error") finish(reject, Object.assign(new Error(data.message), { name: "TerrainBuildError" }));
+    };
+    worker.onerror = (e) => {
+      e.preventDefault?.();
+      finish(reject, new Error(e.message || "terrain build worker failed to start"));
+    };
+
+    // geotiff comes from the page's import map, which the worker can't see.
+    worker.postMessage({ job, geotiffUrl: import.meta.resolve("geotiff") });
+  });
+}
+
+/**
+ * Worker side of buildTerrainDataInWorker() (see terrainBuild.worker.js).
+ * @param {DedicatedWorkerGlobalScope} scope
+ */
+export function serveTerrainBuild(scope) {
+  scope.onmessage = async ({ data }) => {
+    try {
+      setGeoTiffModuleUrl(data.geotiffUrl);
+      const result = await buildTerrainData(data.job, (progress) => {
+        scope.postMessage({ type: "progress", progress });
+      });
+      scope.postMessage({ type: "done", result }, transferablesOf(result));
+    } catch (err) {
+      scope.postMessage({ type: "error", message: err?.message ?? String(err) });
+    }
+  };
+}
@@ -0,0 +1,9 @@
+// src/environment/terrainBuild.worker.js
+// -----------------------------------------------------------------------------
+// Module worker entry for terrain builds (see terrainBuild.js).
+// Started by buildTerrainDataInWorker(); one job per worker.
+// -----------------------------------------------------------------------------
+
+import { serveTerrainBuild } from "./terrainBuild.js";
+
+serveTerrainBuild(self);
@@ -0,0 +1,261 @@
+// src/environment/terrainChunks.js
+// -----------------------------------------------------------------------------
+// Chunked quadtree LOD for heightfield terrain.
+//
+// How it works:
+// - The heightfield is covered by a quadtree. Every node is drawn with the same
+//   number of segments (chunkSegments), so a node one level up covers 4x the
+//   area at half the sample density. Leaves use every DEM sample (full res).
+// - Each frame we walk the tree from the root and split a node while the camera
+//   is closer than lodFactor * nodeSize. The nodes where we stop are drawn.
+// - Neighbouring nodes at different levels don't share edge vertices, so every
+//   chunk has a "skirt": a strip hanging down from its border that hides the
+//   small cracks between LODs.
+// - Normals come from the full-res heightfield (not per-chunk), so lighting is
+//   continuous across chunk borders and LOD changes.
+//
+// Chunk geometry is built lazily the first time a node is selected and then
+// cached, so loading stays fast and revisiting an area costs nothing. The
+// terrain build worker can hand over buffers for the coarse levels up front
+// (opts.prebuilt); the array math itself lives in heightfield.js.
+// -----------------------------------------------------------------------------
+
+import * as THREE from "three";
+import {
+  computeHeightfieldNormals,
+  updateHeightfieldNormals,
+  quadtreeDepth,
+  buildChunkIndex,
+  buildChunkVertices,
+  chunkKey,
+} from "./heightfield.js";
+
+/**
+ * Creates a quadtree-LOD terrain from a heightfield.
+ *
+ * @param {object} opts
+ * @param {Float32Array} opts.heights     Row-major heights (local Y, meters).
+ * @param {number} opts.width             Samples per row.
+ * @param {number} opts.height            Rows.
+ * @param {number} opts.sizeX             Local X extent (meters), centered on 0.
+ * @param {number} opts.sizeZ             Local Z extent (meters), centered on 0.
+ * @param {THREE.Material} opts.material  Shared by all chunks.
+ * @param {number} [opts.chunkSegments=32] Segments per chunk side (every level).
+ * @param {number} [opts.lodFactor=2.0]   Split while distance < lodFactor * chunk size.
+ * @param {string} [opts.name="Terrain"]
+ * @param {Float32Array} [opts.normals]   Precomputed normals (e.g. from the build worker).
+ * @param {Map<string, object>} [opts.prebuilt] Chunk vertex buffers built elsewhere,
+ *        keyed by chunkKey(level, gx0, gy0) (see buildChunkVertices()); used once.
+ * @returns {{ root: THREE.Group, normals: Float32Array,
+ *             update: (cameraWorldPos: THREE.Vector3) => void,
+ *             invalidate: (x0: number, y0: number, x1: number, y1: number, opts?: { normals?: boolean }) => void,
+ *             getStats: () => { chunks: number, triangles: number },
+ *             dispose: () => void }}
+ */
+export function createChunkedTerrain(opts) {
+  const {
+    heights,
+    width,
+    height,
+    sizeX,
+    sizeZ,
+    material,
+    chunkSegments = 32,
+    lodFactor = 2.0,
+    name = "Terrain",
+    prebuilt = new Map(),
+  } = opts;
+
+  const cellX = sizeX / (width - 1);
+  const cellZ = sizeZ / (height - 1);
+
+  const normals = opts.normals ?? computeHeightfieldNormals(heights, width, height, cellX, cellZ);
+  const hf = { heights, normals, width, height, sizeX, sizeZ };
+
+  // Number of levels below the root so that leaves have stride 1.
+  const depth = quadtreeDepth(width, height, chunkSegments);
+
+  const root = new THREE.Group();
+  root.name = name;
+
+  // Index buffers only depend on the vertex grid shape, so they are shared.
+  const indexCache = new Map();
+
+  function buildIndex(cols, rows) {
+    const key = `${cols}x${rows}`;
+    let entry = indexCache.get(key);
+    if (!entry) {
+      entry = buildChunkIndex(cols, rows);
+      indexCache.set(key, entry);
+    }
+    return entry;
+  }
+
+  function createNode(level, gx0, gy0) {
+    const stride = 2 ** (depth - level);
+    const span = chunkSegments * stride;
+
+    const node = {
+      level,
+      gx0,
+      gy0,
+      gx1: Math.min(gx0 + span, width - 1),
+      gy1: Math.min(gy0 + span, height - 1),
+      stride,
+      span,
+      box: new THREE.Box3(),
+      sizeM: span * Math.max(cellX, cellZ),
+      children: null,
+      mesh: null,
+    };
+    computeNodeBox(node);
+    return node;
+  }
+
+  // Height range of the node (full res scan) for LOD distance + culling.
+  function computeNodeBox(node) {
+    let minH = Infinity;
+    let maxH = -Infinity;
+    for (let y = node.gy0; y <= node.gy1; y++) {
+      for (let x = node.gx0; x <= node.gx1; x++) {
+        const h = heights[y * width + x];
+        if (h < minH) minH = h;
+        if (h > maxH) maxH = h;
+      }
+    }
+
+    node.box.min.set(-sizeX * 0.5 + node.gx0 * cellX, minH, -sizeZ * 0.5 + node.gy0 * cellZ);
+    node.box.max.set(-sizeX * 0.5 + node.gx1 * cellX, maxH, -sizeZ * 0.5 + node.gy1 * cellZ);
+  }
+
+  function getChildren(node) {
+    if (node.children) return node.children;
+
+    const half = node.span / 2;
+    node.children = [];
+    for (const [ox, oy] of [[0, 0], [half, 0], [0, half], [half, half]]) {
+      const gx = node.gx0 + ox;
+      const gy = node.gy0 + oy;
+      // Skip quadrants that fall completely outside a non power-of-two grid.
+      if (gx >= width - 1 || gy >= height - 1) continue;
+      node.children.push(createNode(node.level + 1, gx, gy));
+    }
+    return node.children;
+  }
+
+  function buildMesh(node) {
+    const key = chunkKey(node.level, node.gx0, node.gy0);
+    const verts = prebuilt.get(key) ?? buildChunkVertices(hf, node, buildIndex);
+    prebuilt.delete(key);
+
+    const { index } = buildIndex(verts.cols, verts.rows);
+
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute("position", new THREE.BufferAttribute(verts.position, 3));
+    geom.setAttribute("normal", new THREE.BufferAttribute(verts.normal, 3));
+    geom.setAttribute("uv", new THREE.BufferAttribute(verts.uv, 2));
+    // Shares the CPU array; each geometry still gets its own GPU buffer.
+    geom.setIndex(new THREE.BufferAttribute(index, 1));
+    geom.computeBoundingBox();
+    geom.computeBoundingSphere();
+
+    const mesh = new THREE.Mesh(geom, material);
+    mesh.name = `${name}_L${node.level}_${node.gx0}_${node.gy0}`;
+    mesh.receiveShadow = true;
+    mesh.castShadow = false;
+    mesh.visible = false;
+    mesh.userData.lodLevel = node.level;
+
+    root.add(mesh);
+    return mesh;
+  }
+
+  const rootNode = createNode(0, 0, 0);
+
+  // Currently drawn nodes (swapped every update).
+  let selected = [];
+  let nextSelected = [];
+
+  const camLocal = new THREE.Vector3();
+
+  function select(node) {
+    const canSplit = node.level < depth;
+    if (canSplit && node.box.distanceToPoint(camLocal) < lodFactor * node.sizeM) {
+      for (const child of getChildren(node)) select(child);
+      return;
+    }
+    nextSelected.push(node);
+  }
+
+  /**
+   * Re-selects visible chunks for the current camera position.
+   * Call once per frame (cheap: only walks the few nodes near the camera).
+   */
+  function update(cameraWorldPos) {
+    root.updateWorldMatrix(true, false);
+    camLocal.copy(cameraWorldPos);
+    root.worldToLocal(camLocal);
+
+    nextSelected.length = 0;
+    select(rootNode);
+
+    for (const node of selected) if (node.mesh) node.mesh.visible = false;
+    for (const node of nextSelected) {
+      if (!node.mesh) node.mesh = buildMesh(node);
+      node.mesh.visible = true;
+    }
+
+    [selected, nextSelected] = [nextSelected, selected];
+  }
+
+  /**
+   * Heights in samples [x0..x1] x [y0..y1] changed: refresh normals, node bounds
+   * and every cached chunk that touches the region. Drawn chunks are rebuilt
+   * right away; hidden ones are dropped and rebuilt when selected again.
+   * With { normals: false } the normals were written directly (tile seams) and
+   * are kept as they are.
+   */
+  function invalidate(x0, y0, x1, y1, { normals: recompute = true } = {}) {
+    // Normals read one sample around each point, so widen the region by 1.
+    if (recompute) {
+      updateHeightfieldNormals(normals, heights, width, height, cellX, cellZ, x0 - 1, y0 - 1, x1 + 1, y1 + 1);
+    }
+
+    // Prebuilt buffers of nodes that were never drawn are stale now too.
+    for (const [key, p] of prebuilt) {
+      if (p.gx1 < x0 - 1 || p.gx0 > x1 + 1 || p.gy1 < y0 - 1 || p.gy0 > y1 + 1) continue;
+      prebuilt.delete(key);
+    }
+
+    const walk = (node) => {
+      if (node.gx1 < x0 - 1 || node.gx0 > x1 + 1 || node.gy1 < y0 - 1 || node.gy0 > y1 + 1) return;
+
+      computeNodeBox(node);
+
+      if (node.mesh) {
+        const wasVisible = node.mesh.visible;
+        root.remove(node.mesh);
+        node.mesh.geometry.dispose();
+        node.mesh = wasVisible ? buildMesh(node) : null;
+        if (node.mesh) node.mesh.visible = true;
+      }
+
+      if (node.children) node.children.forEach(walk);
+    };
+    walk(rootNode);
+  }
+
+  function getStats() {
+    let triangles = 0;
+    for (const node of selected) triangles += node.mesh.geometry.index.count / 3;
+    return { chunks: selected.length, triangles };
+  }
+
+  function dispose() {
+    root.traverse((o) => {
+      if (o.isMesh) o.geometry.dispose();
+    });
+  }
+
+  return { root, normals, update, invalidate, getStats, dispose };
+}
@@ -0,0 +1,263 @@
+// src/environment/terrainDetailTextures.js
+// -----------------------------------------------------------------------------
+// Close-up detail textures for the terrain shader: rock, gravel and snow, each
+// an albedo + a tangent-space normal map, tiled in world meters (triplanar, see
+// abiskoTerrain.fragHeader.glsl).
+//
+// Real photo-scanned textures can be plugged in by url (e.g. CC0 sets from
+// ambientCG / Poly Haven). Anything not given is generated here: small seamless
+// procedural maps (periodic noise), so the terrain never depends on large
+// binary assets.
+//
+// The shader uses each albedo as VARIATION around the texture's own average
+// color (read from its last mip), multiplied onto COLOR_ROCK / COLOR_GRAVEL /
+// COLOR_SNOW. So any texture set keeps the terrain's overall colors, and the
+// far-distance look stays exactly what it was without detail.
+//
+// Textures are shared by every terrain tile that asks for the same urls; they
+// live as long as the page (tiles don't dispose them).
+// -----------------------------------------------------------------------------
+
+import * as THREE from "three";
+
+export const DETAIL_LAYERS = Object.freeze(["rock", "gravel", "snow"]);
+
+// ------------------------------------------------------------
+// Seamless noise (everything wraps with the given period)
+// ------------------------------------------------------------
+
+function hash2(ix, iy, seed) {
+  let h = Math.imul(ix, 374761393) ^ Math.imul(iy, 668265263) ^ Math.imul(seed, 2246822519);
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967295;
+}
+
+const wrap = (i, period) => ((i % period) + period) % period;
+
+// Value noise on a `period` x `period` lattice over u, v in [0..1).
+function periodicNoise(u, v, period, seed) {
+  const x = u * period;
+  const y = v * period;
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const fx = x - ix;
+  const fy = y - iy;
+  const sx = fx * fx * (3 - 2 * fx);
+  const sy = fy * fy * (3 - 2 * fy);
+
+  const x0 = wrap(ix, period);
+  const x1 = wrap(ix + 1, period);
+  const y0 = wrap(iy, period);
+  const y1 = wrap(iy + 1, period);
+
+  const a = hash2(x0, y0, seed);
+  const b = hash2(x1, y0, seed);
+  const c = hash2(x0, y1, seed);
+  const d = hash2(x1, y1, seed);
+  return a + (b - a) * sx + (c - a) * sy + (a - b - c + d) * sx * sy;
+}
+
+// fBm in [0..1]; `ridged` folds each octave into sharp crests (rock cracks).
+function periodicFbm(u, v, period, octaves, seed, ridged = false) {
+  let sum = 0;
+  let amp = 0.5;
+  let norm = 0;
+  for (let o = 0; o < octaves; o++) {
+    let n = periodicNoise(u, v, period << o, seed + o);
+    if (ridged) n = 1 - Math.abs(2 * n - 1);
+    sum += n * amp;
+    norm += amp;
+    amp *= 0.5;
+  }
+  return sum / norm;
+}
+
+// Nearest jittered cell point (Worley F1) on a `cells` x `cells` wrapping grid.
+function periodicCells(u, v, cells, seed) {
+  const x = u * cells;
+  const y = v * cells;
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+
+  let best = Infinity;
+  let id = 0;
+  for (let oy = -1; oy <= 1; oy++) {
+    for (let ox = -1; ox <= 1; ox++) {
+      const cx = wrap(ix + ox, cells);
+      const cy = wrap(iy + oy, cells);
+      const px = ix + ox + 0.15 + 0.7 * hash2(cx, cy, seed);
+      const py = iy + oy + 0.15 + 0.7 * hash2(cx, cy, seed + 101);
+      const d = Math.hypot(px - x, py - y);
+      if (d < best) {
+        best = d;
+        id = hash2(cx, cy, seed + 202);
+      }
+    }
+  }
+  return { dist: best, id };
+}
+
+// ------------------------------------------------------------
+// Procedural layers: height (for the normal map) + albedo per texel
+// ------------------------------------------------------------
+
+const GENERATORS = {
+  // Fractured rock: broad fBm + ridged cracks, darker in the cracks.
+  rock(u, v, out) {
+    const broad = periodicFbm(u, v, 4, 6, 11);
+    const cracks = periodicFbm(u, v, 6, 4, 23, true);
+    out.height = broad * 0.6 + cracks * 0.4;
+
+    const shade = 0.6 + 1.1 * (broad - 0.35) - 0.6 * Math.pow(1 - cracks, 3);
+    const tint = periodicNoise(u, v, 3, 37) - 0.5; // lichen / iron staining
+    out.r = shade * (1 + 0.06 * tint);
+    out.g = shade;
+    out.b = shade * (1 - 0.05 * tint);
+  },
+
+  // Pebbles on dark soil: one rounded stone per cell, random brightness.
+  gravel(u, v, out) {
+    const { dist, id } = periodicCells(u, v, 24, 5);
+    const r = 0.42 + 0.12 * id;
+    const stone = dist < r ? Math.sqrt(1 - (dist / r) ** 2) : 0;
+    const grain = periodicNoise(u, v, 64, 9);
+    out.height = stone * 0.8 + grain * 0.2;
+
+    const shade = stone > 0 ? 0.75 + 0.5 * id + 0.15 * stone : 0.45 + 0.2 * grain;
+    out.r = shade * (1.02 + 0.05 * id);
+    out.g = shade;
+    out.b = shade * (0.96 - 0.04 * id);
+  },
+
+  // Wind-packed snow: soft undulation, a touch of blue in the hollows.
+  snow(u, v, out) {
+    const h = periodicFbm(u, v, 4, 5, 41);
+    out.height = h;
+    const shade = 0.9 + 0.2 * h;
+    out.r = shade * (0.97 + 0.03 * h);
+    out.g = shade * (0.985 + 0.015 * h);
+    out.b = shade;
+  },
+};
+
+// Normal map bumpiness per layer (height units per texel -> slope).
+const BUMP = { rock: 12, gravel: 1.5, snow: 12 };
+
+function finishTexture(tex, colorSpace) {
+  tex.colorSpace = colorSpace;
+  tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
+  tex.minFilter = THREE.LinearMipmapLinearFilter;
+  tex.magFilter = THREE.LinearFilter;
+  tex.generateMipmaps = true;
+  tex.anisotropy = 8; // clamped to what the GPU supports
+  tex.needsUpdate = true;
+  return tex;
+}
+
+/**
+ * Generates one seamless layer (albedo in sRGB, normal map in linear).
+ *
+ * @param {"rock"|"gravel"|"snow"} layer
+ * @param {number} [size=256]
+ * @returns {{ albedo: THREE.DataTexture, normal: THREE.DataTexture }}
+ */
+export function createProceduralDetailLayer(layer, size = 256) {
+  const generate = GENERATORS[layer];
+  if (!generate) throw new Error(`Unknown terrain detail layer "${layer}".`);
+
+  const heights = new Float32Array(size * size);
+  const albedo = new Uint8Array(size * size * 4);
+  const texel = {};
+  const c = new THREE.Color();
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const i = y * size + x;
+      generate(x / size, y / size, texel);
+      heights[i] = texel.height;
+
+      c.setRGB(texel.r * 0.5, texel.g * 0.5, texel.b * 0.5).convertLinearToSRGB(); // mid-gray centered
+      albedo[i * 4] = Math.round(THREE.MathUtils.clamp(c.r, 0, 1) * 255);
+      albedo[i * 4 + 1] = Math.round(THREE.MathUtils.clamp(c.g, 0, 1) * 255);
+      albedo[i * 4 + 2] = Math.round(THREE.MathUtils.clamp(c.b, 0, 1) * 255);
+      albedo[i * 4 + 3] = 255;
+    }
+  }
+
+  // Tangent-space normals (OpenGL convention: +x = +u, +y = +v) from wrapped
+  // central differences of the height.
+  const normal = new Uint8Array(size * size * 4);
+  const bump = BUMP[layer];
+  const n = new THREE.Vector3();
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const hx = heights[y * size + wrap(x + 1, size)] - heights[y * size + wrap(x - 1, size)];
+      const hy = heights[wrap(y + 1, size) * size + x] - heights[wrap(y - 1, size) * size + x];
+      n.set(-hx * bump, -hy * bump, 1).normalize();
+
+      const i = (y * size + x) * 4;
+      normal[i] = Math.round((n.x * 0.5 + 0.5) * 255);
+      normal[i + 1] = Math.round((n.y * 0.5 + 0.5) * 255);
+      normal[i + 2] = Math.round((n.z * 0.5 + 0.5) * 255);
+      normal[i + 3] = 255;
+    }
+  }
+
+  return {
+    albedo: finishTexture(new THREE.DataTexture(albedo, size, size), THREE.SRGBColorSpace),
+    normal: finishTexture(new THREE.DataTexture(normal, size, size), THREE.NoColorSpace),
+  };
+}
+
+// ------------------------------------------------------------
+// Public API
+// ------------------------------------------------------------
+
+const shared = new Map();
+
+/**
+ * Detail textures for the terrain shader, shared per url set.
+ *
+ * @param {object} [urls]  Optional per-layer overrides, e.g.
+ *        { rock: { albedo: "/assets/textures/rock_albedo.jpg", normal: "/assets/textures/rock_normal.jpg" } }
+ *        Normal maps must use the OpenGL (+Y) convention. Missing entries are procedural.
+ * @param {object} [opts]
+ * @param {number} [opts.size=256]  Resolution of the procedural maps.
+ * @returns {Promise<Record<"rock"|"gravel"|"snow", { albedo: THREE.Texture, normal: THREE.Texture }>>}
+ */
+export function getTerrainDetailTextures(urls = {}, { size = 256 } = {}) {
+  const key = JSON.stringify({ urls, size });
+  if (!shared.has(key)) {
+    const promise = loadDetailTextures(urls, size);
+    // A failed load must not stick in the cache: the next tile retries.
+    promise.catch(() => shared.delete(key));
+    shared.set(key, promise);
+  }
+  return shared.get(key);
+}
+
+async function loadDetailTextures(urls, size) {
+  const loader = new THREE.TextureLoader();
+  const load = (url, colorSpace) =>
+    new Promise((resolve, reject) => loader.load(url, resolve, undefined, reject)).then((tex) =>
+      finishTexture(tex, colorSpace)
+    );
+
+  const set = {};
+  for (const layer of DETAIL_LAYERS) {
+    const u = urls[layer] ?? {};
+    const procedural = !u.albedo || !u.normal ? createProceduralDetailLayer(layer, size) : null;
+
+    const [albedo, normal] = await Promise.all([
+      u.albedo ? load(u.albedo, THREE.SRGBColorSpace) : procedural.albedo,
+      u.normal ? load(u.normal, THREE.NoColorSpace) : procedural.normal,
+    ]);
+
+    // Drop the procedural half we didn't need.
+    if (procedural && u.albedo) procedural.albedo.dispose();
+    if (procedural && u.normal) procedural.normal.dispose();
+
+    set[layer] = { albedo, normal };
+  }
+  return set;
+}
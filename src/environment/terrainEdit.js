@@ -0,0 +1,303 @@
+// src/environment/terrainEdit.js
+// -----------------------------------------------------------------------------
+// Heightfield edits: flatten / raise / smooth inside a circle or polygon.
+//
+// Works on the same heightfield as terrainQueries.js, in the terrain's LOCAL
+// space ({ heights, width, height, sizeX, sizeZ }). The terrain converts world
+// coordinates before calling in, and refreshes chunks/normals/maps afterwards
+// (see userData.flatten/raise/smooth/flattenUnder in abiskoTerrain.js).
+//
+// Every edit is weighted by a mask: 1 inside the shape, fading to 0 over
+// `falloff` meters outside it, so pads and mounds blend into the slope instead
+// of ending in a step.
+// -----------------------------------------------------------------------------
+
+import * as THREE from "three";
+
+/**
+ * @typedef {object} EditShape
+ * @property {{ x: number, z: number }} [center]  Circle center (with radius).
+ * @property {number} [radius]
+ * @property {{ x: number, z: number }[]} [polygon]  Closed outline (any winding).
+ * @property {number} [falloff=0]  Blend distance outside the shape (meters).
+ */
+
+// Distance from p to segment ab (2D, x/z).
+function distToSegment(px, pz, ax, az, bx, bz) {
+  const abx = bx - ax;
+  const abz = bz - az;
+  const len2 = abx * abx + abz * abz;
+  const t = len2 > 0 ? THREE.MathUtils.clamp(((px - ax) * abx + (pz - az) * abz) / len2, 0, 1) : 0;
+  const dx = px - (ax + abx * t);
+  const dz = pz - (az + abz * t);
+  return Math.sqrt(dx * dx + dz * dz);
+}
+
+// Even-odd point in polygon test.
+function insidePolygon(px, pz, pts) {
+  let inside = false;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const a = pts[i];
+    const b = pts[j];
+    if (a.z > pz !== b.z > pz && px < ((b.x - a.x) * (pz - a.z)) / (b.z - a.z) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Mask for an edit shape: weight(x, z) in 0..1 plus the local XZ rectangle it touches.
+ *
+ * @param {EditShape} shape  local coordinates
+ * @returns {{ weight: (x: number, z: number) => number,
+ *             bounds: { minX: number, maxX: number, minZ: number, maxZ: number } }}
+ */
+export function createEditMask(shape) {
+  const falloff = Math.max(0, shape.falloff ?? 0);
+
+  // Signed-ish distance outside the shape (0 inside) -> weight.
+  const fade = (d) => (d <= 0 ? 1 : falloff > 0 ? 1 - THREE.MathUtils.smoothstep(d, 0, falloff) : 0);
+
+  if (shape.polygon) {
+    const pts = shape.polygon;
+    if (pts.length < 3) throw new Error("Terrain edit polygon needs at least 3 points.");
+
+    const bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+    for (const p of pts) {
+      bounds.minX = Math.min(bounds.minX, p.x - falloff);
+      bounds.maxX = Math.max(bounds.maxX, p.x + falloff);
+      bounds.minZ = Math.min(bounds.minZ, p.z - falloff);
+      bounds.maxZ = Math.max(bounds.maxZ, p.z + falloff);
+    }
+
+    const weight = (x, z) => {
+      if (insidePolygon(x, z, pts)) return 1;
+      let d = Infinity;
+      for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+        d = Math.min(d, distToSegment(x, z, pts[j].x, pts[j].z, pts[i].x, pts[i].z));
+      }
+      return fade(d);
+    };
+    return { weight, bounds };
+  }
+
+  if (!shape.center || !(shape.radius >= 0)) {
+    throw new Error("Terrain edit needs either { center, radius } or { polygon }.");
+  }
+
+  const { x: cx, z: cz } = shape.center;
+  const r = shape.radius + falloff;
+  return {
+    weight: (x, z) => fade(Math.hypot(x - cx, z - cz) - shape.radius),
+    bounds: { minX: cx - r, maxX: cx + r, minZ: cz - r, maxZ: cz + r },
+  };
+}
+
+// Grid sample range covered by a local XZ rectangle (clamped), or null.
+function gridRange(hf, b) {
+  const cellX = hf.sizeX / (hf.width - 1);
+  const cellZ = hf.sizeZ / (hf.height - 1);
+  const x0 = Math.max(0, Math.ceil((b.minX + hf.sizeX * 0.5) / cellX));
+  const x1 = Math.min(hf.width - 1, Math.floor((b.maxX + hf.sizeX * 0.5) / cellX));
+  const y0 = Math.max(0, Math.ceil((b.minZ + hf.sizeZ * 0.5) / cellZ));
+  const y1 = Math.min(hf.height - 1, Math.floor((b.maxZ + hf.sizeZ * 0.5) / cellZ));
+  if (x0 > x1 || y0 > y1) return null;
+  return { x0, y0, x1, y1, cellX, cellZ };
+}
+
+/**
+ * Sum and count of the heights of the samples fully inside the mask (weight 1),
+ * or null if there are none. Their average is the default target for flatten
+ * (cuts and fills about the same amount); sums let an average over several
+ * tiles weigh each tile by how much of the shape it holds.
+ * @returns {{ sum: number, count: number }|null}
+ */
+export function sumHeightsInMask(hf, mask) {
+  const g = gridRange(hf, mask.bounds);
+  if (!g) return null;
+
+  let sum = 0;
+  let count = 0;
+  for (let y = g.y0; y <= g.y1; y++) {
+    const z = -hf.sizeZ * 0.5 + y * g.cellZ;
+    for (let x = g.x0; x <= g.x1; x++) {
+      if (mask.weight(-hf.sizeX * 0.5 + x * g.cellX, z) < 1) continue;
+      sum += hf.heights[y * hf.width + x];
+      count++;
+    }
+  }
+  return count ? { sum, count } : null;
+}
+
+/**
+ * Applies one edit to the heights in place.
+ *
+ * Modes:
+ *  - flatten: move towards `height`
+ *  - raise:   add `amount` (negative lowers)
+ *  - smooth:  move towards the 3x3 average by `strength` (0..1), `iterations` times.
+ *             Border samples stay put so seams with neighbouring tiles stay closed.
+ *
+ * @param {{ heights: Float32Array, width: number, height: number, sizeX: number, sizeZ: number }} hf
+ * @param {{ weight: Function, bounds: object }} mask  from createEditMask()
+ * @param {{ mode: "flatten", height: number } | { mode: "raise", amount: number }
+ *       | { mode: "smooth", strength?: number, iterations?: number }} op
+ * @returns {{ x0: number, y0: number, x1: number, y1: number }|null} changed samples
+ */
+export function applyHeightEdit(hf, mask, op) {
+  const g = gridRange(hf, mask.bounds);
+  if (!g) return null;
+
+  const { heights, width, height } = hf;
+  const w = new Float32Array((g.x1 - g.x0 + 1) * (g.y1 - g.y0 + 1));
+
+  // Weights once per edit (polygon distance tests aren't free).
+  let any = false;
+  for (let y = g.y0; y <= g.y1; y++) {
+    const z = -hf.sizeZ * 0.5 + y * g.cellZ;
+    for (let x = g.x0; x <= g.x1; x++) {
+      const k = (y - g.y0) * (g.x1 - g.x0 + 1) + (x - g.x0);
+      w[k] = mask.weight(-hf.sizeX * 0.5 + x * g.cellX, z);
+      if (w[k] > 0) any = true;
+    }
+  }
+  if (!any) return null;
+
+  const rowW = g.x1 - g.x0 + 1;
+
+  if (op.mode === "flatten" || op.mode === "raise") {
+    for (let y = g.y0; y <= g.y1; y++) {
+      for (let x = g.x0; x <= g.x1; x++) {
+        const wk = w[(y - g.y0) * rowW + (x - g.x0)];
+        if (wk <= 0) continue;
+        const i = y * width + x;
+        heights[i] = op.mode === "flatten" ? THREE.MathUtils.lerp(heights[i], op.height, wk) : heights[i] + op.amount * wk;
+      }
+    }
+  } else if (op.mode === "smooth") {
+    const strength = THREE.MathUtils.clamp(op.strength ?? 0.5, 0, 1);
+    const iterations = Math.max(1, op.iterations ?? 1);
+    const src = new Float32Array(w.length);
+
+    for (let it = 0; it < iterations; it++) {
+      // Snapshot the region so every sample averages the same (pre-pass) values.
+      for (let y = g.y0; y <= g.y1; y++) {
+        src.set(heights.subarray(y * width + g.x0, y * width + g.x1 + 1), (y - g.y0) * rowW);
+      }
+      const at = (x, y) =>
+        x >= g.x0 && x <= g.x1 && y >= g.y0 && y <= g.y1
+          ? src[(y - g.y0) * rowW + (x - g.x0)]
+          : heights[y * width + x];
+
+      for (let y = Math.max(1, g.y0); y <= Math.min(height - 2, g.y1); y++) {
+        for (let x = Math.max(1, g.x0); x <= Math.min(width - 2, g.x1); x++) {
+          const wk = w[(y - g.y0) * rowW + (x - g.x0)] * strength;
+          if (wk <= 0) continue;
+
+          let sum = 0;
+          for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) sum += at(x + dx, y + dy);
+          }
+          heights[y * width + x] = THREE.MathUtils.lerp(at(x, y), sum / 9, wk);
+        }
+      }
+    }
+  } else {
+    throw new Error(`Unknown terrain edit mode "${op.mode}".`);
+  }
+
+  return { x0: g.x0, y0: g.y0, x1: g.x1, y1: g.y1 };
+}
+
+// ------------------------------------------------------------
+// Pads under objects
+// ------------------------------------------------------------
+
+const _inv = new THREE.Matrix4();
+const _m = new THREE.Matrix4();
+const _box = new THREE.Box3();
+const _v = new THREE.Vector3();
+
+/**
+ * World XZ outline of an object's footprint: its bounding box in the object's
+ * OWN frame (so a rotated cabin gets a rotated rectangle, not a bloated AABB),
+ * grown by `padding` meters on every side.
+ *
+ * @param {THREE.Object3D} object
+ * @param {number} [padding=0]
+ * @returns {{ x: number, z: number }[]|null} 4 corners, or null for an empty object
+ */
+export function objectFootprintXZ(object, padding = 0) {
+  object.updateWorldMatrix(true, true);
+  _inv.copy(object.matrixWorld).invert();
+
+  const local = new THREE.Box3();
+  object.traverse((o) => {
+    if (!o.isMesh || !o.geometry) return;
+    if (!o.geometry.boundingBox) o.geometry.computeBoundingBox();
+    _box.copy(o.geometry.boundingBox).applyMatrix4(_m.multiplyMatrices(_inv, o.matrixWorld));
+    local.union(_box);
+  });
+  if (local.isEmpty()) return null;
+
+  const corners = [
+    [local.min.x, local.min.z],
+    [local.max.x, local.min.z],
+    [local.max.x, local.max.z],
+    [local.min.x, local.max.z],
+  ].map(([x, z]) => {
+    _v.set(x, local.min.y, z).applyMatrix4(object.matrixWorld);
+    return { x: _v.x, z: _v.z };
+  });
+
+  if (padding > 0) {
+    // Push every corner out along the rectangle's own edge directions.
+    const ex = new THREE.Vector2(corners[1].x - corners[0].x, corners[1].z - corners[0].z).normalize();
+    const ez = new THREE.Vector2(corners[3].x - corners[0].x, corners[3].z - corners[0].z).normalize();
+    const signs = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+    corners.forEach((c, i) => {
+      c.x += (ex.x * signs[i][0] + ez.x * signs[i][1]) * padding;
+      c.z += (ex.y * signs[i][0] + ez.y * signs[i][1]) * padding;
+    });
+  }
+  return corners;
+}
+
+/**
+ * Flattens a pad under an object and (by default) sets the object down on it,
+ * so a cabin on a slope neither floats on one side nor sinks on the other.
+ *
+ * Works with anything exposing the terrain edit API (a single terrain or the
+ * tile manager root): userData.flatten() + userData.getAverageHeightIn().
+ *
+ * @param {object} terrainApi  terrain.userData
+ * @param {THREE.Object3D} object
+ * @param {object} [opts]
+ * @param {number} [opts.padding=1]     Flat margin around the footprint (meters).
+ * @param {number} [opts.falloff=4]     Blend back into the slope over this distance.
+ * @param {number} [opts.height]        Pad height (world y); default: average ground under the footprint.
+ * @param {boolean} [opts.place=true]   Move the object so its bounding box bottom sits on the pad.
+ * @param {number} [opts.sink=0]        Sink the object this far into the pad (hides gaps under walls).
+ * @returns {number|null} pad height (world y), or null if the object is not over the terrain
+ */
+export function flattenUnder(terrainApi, object, opts = {}) {
+  const { padding = 1, falloff = 4, place = true, sink = 0 } = opts;
+
+  const polygon = objectFootprintXZ(object, padding);
+  if (!polygon) return null;
+
+  const height = opts.height ?? terrainApi.getAverageHeightIn({ polygon });
+  if (height == null) return null;
+
+  terrainApi.flatten({ polygon, falloff, height });
+
+  if (place) {
+    _box.setFromObject(object);
+    _v.setFromMatrixPosition(object.matrixWorld);
+    _v.y += height - sink - _box.min.y;
+    if (object.parent) object.parent.worldToLocal(_v);
+    object.position.copy(_v);
+    object.updateMatrixWorld(true);
+  }
+
+  return height;
+}
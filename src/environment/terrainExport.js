@@ -0,0 +1,354 @@
+// src/environment/terrainExport.js
+// -----------------------------------------------------------------------------
+// Terrain export to glTF/GLB and OBJ (e.g. to model buildings in Blender on
+// the exact ground).
+//
+// The exported mesh is NOT the LOD chunk set the renderer draws: it is one
+// plain grid built straight from the heightfield, at full DEM resolution (or
+// every `stride`-th sample), without skirts. It includes the current edits.
+//
+//  - Positions: terrain-local meters; y is the real elevation above sea level
+//    by default (realElevation: false keeps the shifted scene heights)
+//  - UVs: same convention as the terrain (v = 1 on the north edge), so the
+//    slope/hillshade maps and any drape texture line up in the DCC tool
+//  - Vertex colors (optional): the shader's snow/rock mix, or slope as gray
+//  - Tiled terrains export one mesh per loaded tile, placed as in the scene
+//
+// Works in the browser and headless in Node (see scripts/exportTerrain.mjs,
+// which also provides the two browser globals Node lacks: fetch for file
+// urls and FileReader for GLTFExporter).
+// -----------------------------------------------------------------------------
+
+import * as THREE from "three";
+import { GLTFExporter } from "three/addons/exporters/GLTFExporter.js";
+
+import { computeHeightfieldNormals, buildChunkIndex } from "./heightfield.js";
+import { snowCoverFactor } from "./terrainQueries.js";
+import {
+  DEFAULT_SNOW_COVER,
+  COLOR_SNOW,
+  COLOR_ROCK,
+  COLOR_GRAVEL,
+  GRAVEL_SLOPE_FULL,
+  GRAVEL_SLOPE_NONE,
+} from "./abiskoTerrain.js";
+
+export const TERRAIN_EXPORT_FORMATS = Object.freeze(["glb", "gltf", "obj"]);
+
+const MIME_TYPES = {
+  glb: "model/gltf-binary",
+  gltf: "model/gltf+json",
+  obj: "text/plain",
+};
+
+/**
+ * @typedef {object} ExportHeightfield
+ * @property {Float32Array} heights   row-major, row 0 = north, shifted meters
+ * @property {number} width
+ * @property {number} height
+ * @property {number} sizeX           meters
+ * @property {number} sizeZ           meters
+ * @property {number} elevBaseM       elevation of y = 0
+ * @property {object|null} [crs]
+ * @property {object|null} [bbox]
+ */
+
+/**
+ * Heightfield of a terrain built by createAbiskoTerrain(), in the shape the
+ * exporter (and the headless script) works with.
+ *
+ * @param {THREE.Object3D} terrain
+ * @returns {ExportHeightfield}
+ */
+export function heightfieldOfTerrain(terrain) {
+  const ud = terrain.userData;
+  return {
+    heights: ud.heightfield.heights,
+    width: ud.heightfield.width,
+    height: ud.heightfield.height,
+    sizeX: ud.terrainSizeXM,
+    sizeZ: ud.terrainSizeZM,
+    elevBaseM: ud.elevBaseM,
+    crs: ud.crs ?? null,
+    bbox: ud.bbox ?? null,
+  };
+}
+
+// Sample indices along one axis: every `stride`-th, always including the last.
+function gridSamples(count, stride) {
+  const out = [];
+  for (let g = 0; g < count - 1; g += stride) out.push(g);
+  out.push(count - 1);
+  return out;
+}
+
+/**
+ * Vertex grid of an export at `stride` (what the file will hold).
+ * @returns {{ columns: number, rows: number }}
+ */
+export function getExportGridSize(width, height, stride = 1) {
+  const s = Math.max(1, Math.floor(stride));
+  return { columns: gridSamples(width, s).length, rows: gridSamples(height, s).length };
+}
+
+/**
+ * Builds a single export mesh from a heightfield.
+ *
+ * @param {ExportHeightfield} hf
+ * @param {object} [opts]
+ * @param {number} [opts.stride=1]              1 = full DEM resolution
+ * @param {boolean} [opts.realElevation=true]   y in meters above sea level (else shifted)
+ * @param {"snow"|"slope"|null} [opts.vertexColors=null]
+ *        snow:  rock/gravel/snow base colors mixed like the terrain shader does
+ *        slope: gray, 0..1 == 0..90 degrees (linear values)
+ * @param {object} [opts.snowCover]  snow model for "snow" (default: the terrain's
+ *        current setting, or DEFAULT_SNOW_COVER for a plain heightfield)
+ * @param {string} [opts.name="AbiskoTerrain"]
+ * @returns {THREE.Mesh}
+ */
+export function createTerrainExportMesh(hf, opts = {}) {
+  const {
+    stride = 1,
+    realElevation = true,
+    vertexColors = null,
+    snowCover = DEFAULT_SNOW_COVER,
+    name = "AbiskoTerrain",
+  } = opts;
+  if (vertexColors != null && vertexColors !== "snow" && vertexColors !== "slope") {
+    throw new Error(`createTerrainExportMesh: unknown vertexColors "${vertexColors}" (use "snow" or "slope").`);
+  }
+
+  const { heights, width, height, sizeX, sizeZ } = hf;
+  const cellX = sizeX / (width - 1);
+  const cellZ = sizeZ / (height - 1);
+  const yOffset = realElevation ? hf.elevBaseM : 0;
+
+  // Normals from the full-res heights, even when exporting a coarser grid.
+  const normals = computeHeightfieldNormals(heights, width, height, cellX, cellZ);
+
+  const xs = gridSamples(width, Math.max(1, Math.floor(stride)));
+  const ys = gridSamples(height, Math.max(1, Math.floor(stride)));
+  const cols = xs.length;
+  const rows = ys.length;
+  const vertCount = cols * rows;
+
+  const position = new Float32Array(vertCount * 3);
+  const normal = new Float32Array(vertCount * 3);
+  const uv = new Float32Array(vertCount * 2);
+  const color = vertexColors ? new Float32Array(vertCount * 3) : null;
+  const tmpColor = new THREE.Color();
+
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < cols; i++) {
+      const gx = xs[i];
+      const gy = ys[j];
+      const s = gy * width + gx;
+      const v = j * cols + i;
+
+      position[v * 3] = -sizeX * 0.5 + gx * cellX;
+      position[v * 3 + 1] = heights[s] + yOffset;
+      position[v * 3 + 2] = -sizeZ * 0.5 + gy * cellZ;
+
+      normal[v * 3] = normals[s * 3];
+      normal[v * 3 + 1] = normals[s * 3 + 1];
+      normal[v * 3 + 2] = normals[s * 3 + 2];
+
+      uv[v * 2] = gx / (width - 1);
+      uv[v * 2 + 1] = 1 - gy / (height - 1);
+
+      if (color) {
+        const slopeDeg = THREE.MathUtils.radToDeg(Math.acos(THREE.MathUtils.clamp(normals[s * 3 + 1], -1, 1)));
+        if (vertexColors === "slope") {
+          tmpColor.setScalar(slopeDeg / 90);
+        } else {
+          const snow = snowCoverFactor(slopeDeg, heights[s] + hf.elevBaseM, normals[s * 3 + 2], snowCover);
+          const gravel = 1 - THREE.MathUtils.smoothstep(slopeDeg, GRAVEL_SLOPE_FULL, GRAVEL_SLOPE_NONE);
+          tmpColor.copy(COLOR_ROCK).lerp(COLOR_GRAVEL, gravel).lerp(COLOR_SNOW, snow);
+        }
+        tmpColor.toArray(color, v * 3);
+      }
+    }
+  }
+
+  // Same triangles as a terrain chunk, minus the skirt (which comes after the grid).
+  const { index } = buildChunkIndex(cols, rows);
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(position, 3));
+  geometry.setAttribute("normal", new THREE.BufferAttribute(normal, 3));
+  geometry.setAttribute("uv", new THREE.BufferAttribute(uv, 2));
+  if (color) geometry.setAttribute("color", new THREE.BufferAttribute(color, 3));
+  geometry.setIndex(new THREE.BufferAttribute(index.slice(0, (cols - 1) * (rows - 1) * 6), 1));
+  geometry.computeBoundingBox();
+
+  const material = new THREE.MeshStandardMaterial({
+    name: `${name}_Material`,
+    color: color ? 0xffffff : COLOR_SNOW,
+    vertexColors: !!color,
+    roughness: 0.9,
+  });
+
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.name = name;
+  // Written as glTF "extras": enough to georeference the mesh again.
+  mesh.userData = {
+    crs: hf.crs ?? null,
+    bbox: hf.bbox ?? null,
+    elevationOfY0M: realElevation ? 0 : hf.elevBaseM,
+  };
+  return mesh;
+}
+
+/**
+ * Export scene for a terrain: one mesh for a single terrain (at the origin),
+ * one per loaded tile for a tile manager root (positioned like in the scene).
+ */
+function buildExportScene(source, meshOpts) {
+  if (!source.isObject3D) {
+    return createTerrainExportMesh(source, meshOpts);
+  }
+
+  const terrains = [];
+  source.traverse((o) => {
+    if (o.userData.heightfield) terrains.push(o);
+  });
+  if (!terrains.length) throw new Error(`exportTerrain: "${source.name}" has no terrain heightfield to export.`);
+
+  if (terrains.length === 1 && terrains[0] === source) {
+    return createTerrainExportMesh(heightfieldOfTerrain(source), {
+      name: source.name || undefined,
+      snowCover: source.userData.getSnowCover?.(),
+      ...meshOpts,
+    });
+  }
+
+  const group = new THREE.Group();
+  group.name = source.name || "Terrain";
+  source.updateWorldMatrix(true, true);
+  const toSource = source.matrixWorld.clone().invert();
+
+  for (const t of terrains) {
+    const mesh = createTerrainExportMesh(heightfieldOfTerrain(t), {
+      snowCover: t.userData.getSnowCover?.(),
+      ...meshOpts,
+      name: t.name || undefined,
+    });
+    toSource.clone().multiply(t.matrixWorld).decompose(mesh.position, mesh.quaternion, mesh.scale);
+    group.add(mesh);
+  }
+  return group;
+}
+
+/**
+ * Wavefront OBJ text for every mesh under `object` (world transforms applied).
+ *
+ * Written here rather than with three's OBJExporter, which drops vertex colors
+ * on meshes. Colors use the common "v x y z r g b" extension (sRGB), which
+ * Blender and MeshLab import.
+ */
+function writeObj(object) {
+  object.updateMatrixWorld(true);
+  const lines = ["# Abisko terrain export"];
+  const p = new THREE.Vector3();
+  const n = new THREE.Vector3();
+  const c = new THREE.Color();
+  const normalMatrix = new THREE.Matrix3();
+  let base = 1; // OBJ indices are 1-based and global to the file
+
+  object.traverse((mesh) => {
+    if (!mesh.isMesh) return;
+    const { position, normal, uv, color } = mesh.geometry.attributes;
+    const index = mesh.geometry.index.array;
+    normalMatrix.getNormalMatrix(mesh.matrixWorld);
+
+    lines.push(`o ${mesh.name}`);
+    for (let i = 0; i < position.count; i++) {
+      p.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+      let line = `v ${p.x.toFixed(3)} ${p.y.toFixed(3)} ${p.z.toFixed(3)}`;
+      if (color) {
+        c.fromBufferAttribute(color, i);
+        THREE.ColorManagement.fromWorkingColorSpace(c, THREE.SRGBColorSpace);
+        line += ` ${c.r.toFixed(4)} ${c.g.toFixed(4)} ${c.b.toFixed(4)}`;
+      }
+      lines.push(line);
+    }
+    for (let i = 0; i < uv.count; i++) {
+      lines.push(`vt ${uv.getX(i).toFixed(6)} ${uv.getY(i).toFixed(6)}`);
+    }
+    for (let i = 0; i < normal.count; i++) {
+      n.fromBufferAttribute(normal, i).applyMatrix3(normalMatrix).normalize();
+      lines.push(`vn ${n.x.toFixed(4)} ${n.y.toFixed(4)} ${n.z.toFixed(4)}`);
+    }
+    // Position, uv and normal share one index per vertex.
+    for (let i = 0; i < index.length; i += 3) {
+      const a = index[i] + base;
+      const b = index[i + 1] + base;
+      const d = index[i + 2] + base;
+      lines.push(`f ${a}/${a}/${a} ${b}/${b}/${b} ${d}/${d}/${d}`);
+    }
+    base += position.count;
+  });
+
+  lines.push("");
+  return lines.join("\n");
+}
+
+function disposeExportScene(object) {
+  object.traverse((o) => {
+    if (o.isMesh) {
+      o.geometry.dispose();
+      o.material.dispose();
+    }
+  });
+}
+
+/**
+ * Exports a terrain as GLB, glTF or OBJ.
+ *
+ * @param {THREE.Object3D|ExportHeightfield} source
+ *        terrain from createAbiskoTerrain(), a tile manager's root, or a plain
+ *        heightfield (e.g. from buildTerrainData() in a headless script)
+ * @param {object} [opts]
+ * @param {"glb"|"gltf"|"obj"} [opts.format="glb"]
+ * @param {number} [opts.stride]  see createTerrainExportMesh()
+ * @param {boolean} [opts.realElevation]
+ * @param {"snow"|"slope"|null} [opts.vertexColors]
+ * @returns {Promise<ArrayBuffer|string>} ArrayBuffer for glb, text otherwise
+ */
+export async function exportTerrain(source, opts = {}) {
+  const { format = "glb", ...meshOpts } = opts;
+  if (!TERRAIN_EXPORT_FORMATS.includes(format)) {
+    throw new Error(`exportTerrain: unknown format "${format}" (use ${TERRAIN_EXPORT_FORMATS.join(", ")}).`);
+  }
+
+  const scene = buildExportScene(source, meshOpts);
+  try {
+    if (format === "obj") return writeObj(scene);
+
+    const result = await new GLTFExporter().parseAsync(scene, { binary: format === "glb" });
+    return format === "glb" ? result : JSON.stringify(result);
+  } finally {
+    disposeExportScene(scene);
+  }
+}
+
+/**
+ * Browser helper: exports the terrain and saves it as a file download.
+ *
+ * @param {THREE.Object3D} terrain
+ * @param {object} [opts]  exportTerrain() options, plus:
+ * @param {string} [opts.filename]  default: "<terrain name>.<format>"
+ */
+export async function downloadTerrainExport(terrain, opts = {}) {
+  const { filename, ...exportOpts } = opts;
+  const format = exportOpts.format ?? "glb";
+  const data = await exportTerrain(terrain, exportOpts);
+
+  const url = URL.createObjectURL(new Blob([data], { type: MIME_TYPES[format] }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename ?? `${terrain.name || "terrain"}.${format}`;
+  a.click();
+  // Give the browser a moment to start the download before revoking.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
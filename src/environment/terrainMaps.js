@@ -0,0 +1,70 @@
+// src/environment/terrainMaps.js
+// -----------------------------------------------------------------------------
+// Slope + hillshade textures computed from the heightfield at load time.
+//
+// Same encoding as the GDAL-baked PNGs the terrain shader was written for:
+//  - slope:     R8, 0..255 == 0..90 degrees
+//  - hillshade: R8, 0..255 == Lambert term of the surface vs a light direction
+//
+// Computing them here means a new crop needs no GDAL step, and the hillshade
+// light can follow the actual sun instead of GDAL's default (315 deg / 45 deg).
+//
+// Texture rows are flipped (north row last) so that they line up with the
+// terrain UVs, where v = 1 is the north edge (same as a PNG with flipY).
+// -----------------------------------------------------------------------------
+
+import * as THREE from "three";
+import { writeSlopeBytes, writeHillshadeBytes } from "./heightfield.js";
+
+// GDAL hillshade defaults (light from the north-west, 45 degrees up).
+export const DEFAULT_HILLSHADE_AZIMUTH_DEG = 315;
+export const DEFAULT_HILLSHADE_ALTITUDE_DEG = 45;
+
+/**
+ * Single-channel 8-bit data texture sized like the heightfield.
+ * @param {Uint8Array} [data]  existing bytes (e.g. computed by the build worker)
+ */
+export function createTerrainMapTexture(width, height, data = new Uint8Array(width * height)) {
+  const tex = new THREE.DataTexture(data, width, height, THREE.RedFormat);
+  tex.unpackAlignment = 1; // rows are width bytes, not padded to 4
+  tex.colorSpace = THREE.NoColorSpace;
+  tex.wrapS = tex.wrapT = THREE.ClampToEdgeWrapping;
+  tex.minFilter = tex.magFilter = THREE.LinearFilter;
+  tex.needsUpdate = true;
+  return tex;
+}
+
+/**
+ * Light direction in terrain-local space (pointing TO the light) from a
+ * compass azimuth (degrees clockwise from north, north = -Z) and altitude.
+ */
+export function lightDirFromAzimuthAltitude(azimuthDeg, altitudeDeg, out = new THREE.Vector3()) {
+  const az = THREE.MathUtils.degToRad(azimuthDeg);
+  const alt = THREE.MathUtils.degToRad(altitudeDeg);
+  return out.set(Math.sin(az) * Math.cos(alt), Math.sin(alt), -Math.cos(az) * Math.cos(alt));
+}
+
+/**
+ * Writes slope (from the heightfield normals) into an R8 texture.
+ *
+ * @param {THREE.DataTexture} tex
+ * @param {{ normals: Float32Array, width: number, height: number }} hf
+ * @param {{ x0: number, y0: number, x1: number, y1: number }} [region] samples to refresh
+ */
+export function writeSlopeMap(tex, hf, region) {
+  writeSlopeBytes(tex.image.data, hf, region);
+  tex.needsUpdate = true;
+}
+
+/**
+ * Writes a Lambert hillshade into an R8 texture.
+ *
+ * @param {THREE.DataTexture} tex
+ * @param {{ normals: Float32Array, width: number, height: number }} hf
+ * @param {THREE.Vector3} lightDirLocal  normalized, pointing to the light
+ * @param {{ x0: number, y0: number, x1: number, y1: number }} [region]
+ */
+export function writeHillshadeMap(tex, hf, lightDirLocal, region) {
+  writeHillshadeBytes(tex.image.data, hf, lightDirLocal, region);
+  tex.needsUpdate = true;
+}
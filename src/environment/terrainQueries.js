@@ -0,0 +1,315 @@
+// src/environment/terrainQueries.js
+// -----------------------------------------------------------------------------
+// CPU queries against a heightfield, shared by every system that needs to know
+// "what is the ground like here?" (player, model placement, picking, AI...).
+//
+// All functions work in the terrain's LOCAL space:
+//  - x in [-sizeX/2..+sizeX/2], z in [-sizeZ/2..+sizeZ/2], y = height
+//  - row 0 of the heightfield is the north edge (-Z)
+//
+// A heightfield here is:
+//   { heights, normals, width, height, sizeX, sizeZ }
+// (normals = xyz per sample, see computeHeightfieldNormals() in heightfield.js)
+// -----------------------------------------------------------------------------
+
+import * as THREE from "three";
+
+/**
+ * Grid coordinates for a local position, or null if outside the heightfield.
+ * Shared by the samplers below so they agree on edges and rounding.
+ */
+function toGrid(hf, x, z) {
+  const u = (x + hf.sizeX * 0.5) / hf.sizeX;
+  const v = (z + hf.sizeZ * 0.5) / hf.sizeZ;
+  if (u < 0 || u > 1 || v < 0 || v > 1) return null;
+
+  const fx = u * (hf.width - 1);
+  const fy = v * (hf.height - 1);
+  const x0 = Math.min(Math.floor(fx), hf.width - 2);
+  const y0 = Math.min(Math.floor(fy), hf.height - 2);
+
+  return { x0, y0, tx: fx - x0, ty: fy - y0 };
+}
+
+/**
+ * Bilinear height at local (x, z), or null outside the heightfield.
+ */
+export function sampleHeight(hf, x, z) {
+  const g = toGrid(hf, x, z);
+  if (!g) return null;
+
+  const { heights, width } = hf;
+  const i = g.y0 * width + g.x0;
+
+  const hx0 = heights[i] * (1 - g.tx) + heights[i + 1] * g.tx;
+  const hx1 = heights[i + width] * (1 - g.tx) + heights[i + width + 1] * g.tx;
+  return hx0 * (1 - g.ty) + hx1 * g.ty;
+}
+
+/**
+ * Bilinear (renormalized) surface normal at local (x, z), or null outside.
+ * @param {THREE.Vector3} [out]
+ */
+export function sampleNormal(hf, x, z, out = new THREE.Vector3()) {
+  const g = toGrid(hf, x, z);
+  if (!g) return null;
+
+  const { normals, width } = hf;
+  const w00 = (1 - g.tx) * (1 - g.ty);
+  const w10 = g.tx * (1 - g.ty);
+  const w01 = (1 - g.tx) * g.ty;
+  const w11 = g.tx * g.ty;
+
+  const i00 = 3 * (g.y0 * width + g.x0);
+  const i10 = i00 + 3;
+  const i01 = i00 + 3 * width;
+  const i11 = i01 + 3;
+
+  out.set(
+    normals[i00] * w00 + normals[i10] * w10 + normals[i01] * w01 + normals[i11] * w11,
+    normals[i00 + 1] * w00 + normals[i10 + 1] * w10 + normals[i01 + 1] * w01 + normals[i11 + 1] * w11,
+    normals[i00 + 2] * w00 + normals[i10 + 2] * w10 + normals[i01 + 2] * w01 + normals[i11 + 2] * w11
+  );
+  return out.normalize();
+}
+
+/**
+ * Slope in degrees (0 = flat, 90 = vertical) from an up-facing normal.
+ */
+export function slopeDegFromNormal(n) {
+  return THREE.MathUtils.radToDeg(Math.acos(THREE.MathUtils.clamp(n.y, -1, 1)));
+}
+
+/**
+ * Snow coverage 0..1 from slope, same formula as the terrain GLSL chunks:
+ *   snow = 1 - smoothstep(uSnowSlopeFull, uSnowSlopeNone, slopeDeg)
+ */
+export function snowFactorFromSlope(slopeDeg, slopeFull, slopeNone) {
+  return 1 - THREE.MathUtils.smoothstep(slopeDeg, slopeFull, slopeNone);
+}
+
+/**
+ * Real elevation of the snow line for a snow-cover setting: moves from the
+ * winter line to the summer line as the season/melt goes 0 -> 1.
+ */
+export function snowLineM(cover) {
+  return THREE.MathUtils.lerp(cover.snowLineWinterM, cover.snowLineSummerM, THREE.MathUtils.clamp(cover.season, 0, 1));
+}
+
+/**
+ * Seasonal snow cover 0..1, same model as terrainSnowCover() in the terrain
+ * fragment header (minus the small noise that breaks up the snow line there):
+ *  - slope: snow doesn't hold on steep faces (slopeFullDeg..slopeNoneDeg)
+ *  - elevation: no snow below the snow line, blended over snowLineBlendM
+ *  - aspect: sun-facing (south, +Z) slopes melt first, so their line sits
+ *    aspectBiasM * normal.z higher (and lower on north faces)
+ *
+ * @param {number} slopeDeg
+ * @param {number} elevM      real elevation (meters, same datum as the DEM)
+ * @param {number} southness  local normal z: + facing south, 0 on flat ground
+ * @param {object} cover      see DEFAULT_SNOW_COVER in abiskoTerrain.js
+ */
+export function snowCoverFactor(slopeDeg, elevM, southness, cover) {
+  const line = snowLineM(cover) + cover.aspectBiasM * southness;
+  const half = Math.max(cover.snowLineBlendM * 0.5, 1e-3);
+  const elevSnow = THREE.MathUtils.smoothstep(elevM, line - half, line + half);
+  return snowFactorFromSlope(slopeDeg, cover.slopeFullDeg, cover.slopeNoneDeg) * elevSnow;
+}
+
+/**
+ * Smallest root of A t^2 + B t + C = 0 inside [t0, t1], or null.
+ */
+function firstRootInRange(A, B, C, t0, t1) {
+  const eps = 1e-9;
+  let r0;
+  let r1;
+
+  if (Math.abs(A) < eps) {
+    if (Math.abs(B) < eps) return null;
+    r0 = r1 = -C / B;
+  } else {
+    const disc = B * B - 4 * A * C;
+    if (disc < 0) return null;
+    const sq = Math.sqrt(disc);
+    r0 = (-B - sq) / (2 * A);
+    r1 = (-B + sq) / (2 * A);
+    if (r0 > r1) [r0, r1] = [r1, r0];
+  }
+
+  const slack = 1e-6;
+  if (r0 >= t0 - slack && r0 <= t1 + slack) return r0;
+  if (r1 >= t0 - slack && r1 <= t1 + slack) return r1;
+  return null;
+}
+
+// Lowest and highest sample of a heightfield.
+function heightRangeOf(hf) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < hf.heights.length; i++) {
+    if (hf.heights[i] < min) min = hf.heights[i];
+    if (hf.heights[i] > max) max = hf.heights[i];
+  }
+  return { min, max };
+}
+
+/**
+ * Ray vs heightfield (local space), exact against the bilinear surface that
+ * getHeightAt samples.
+ *
+ * Walks the grid cells under the ray (2D DDA) and, per cell, solves the
+ * quadratic "ray height == bilinear height" directly. Cost grows with the
+ * number of cells crossed, not with the triangle count, so it is far cheaper
+ * than THREE.Raycaster against the chunk meshes.
+ *
+ * The ray is first clipped to the tile's box (grid rectangle x height range).
+ * A ray that comes in through a side wall below the surface hits the wall,
+ * like it would hit the skirt drawn there.
+ *
+ * @param {object} hf
+ * @param {THREE.Vector3} origin  local
+ * @param {THREE.Vector3} dir     local, normalized
+ * @param {number} [maxDistance=Infinity]
+ * @param {{ min: number, max: number }} [range]  height range of hf (scanned if omitted)
+ * @returns {{ distance: number, point: THREE.Vector3 }|null}
+ */
+export function raycastHeightfield(hf, origin, dir, maxDistance = Infinity, range = heightRangeOf(hf)) {
+  const { heights, width, height } = hf;
+  const cellX = hf.sizeX / (width - 1);
+  const cellZ = hf.sizeZ / (height - 1);
+
+  // Ray in grid units: g(t) = g0 + gd * t (t stays in local meters).
+  const gx0 = (origin.x + hf.sizeX * 0.5) / cellX;
+  const gz0 = (origin.z + hf.sizeZ * 0.5) / cellZ;
+  const gdx = dir.x / cellX;
+  const gdz = dir.z / cellZ;
+
+  // Clip the ray to the tile's box (slab test per axis): grid rectangle, and
+  // the height range, which also bounds vertical rays.
+  let tMin = 0;
+  let tMax = maxDistance;
+  const slabs = [
+    [gx0, gdx, 0, width - 1],
+    [gz0, gdz, 0, height - 1],
+    [origin.y, dir.y, range.min, range.max],
+  ];
+  for (const [p, d, lo, hi] of slabs) {
+    if (d === 0) {
+      if (p < lo || p > hi) return null;
+      continue;
+    }
+    const ta = (lo - p) / d;
+    const tb = (hi - p) / d;
+    tMin = Math.max(tMin, Math.min(ta, tb));
+    tMax = Math.min(tMax, Math.max(ta, tb));
+  }
+  if (tMin > tMax) return null;
+
+  // Came in through a side wall (not down through the top) already below the
+  // surface: the wall is the hit.
+  if (tMin > 0) {
+    const entry = new THREE.Vector3().copy(origin).addScaledVector(dir, tMin);
+    entry.x = THREE.MathUtils.clamp(entry.x, -hf.sizeX * 0.5, hf.sizeX * 0.5);
+    entry.z = THREE.MathUtils.clamp(entry.z, -hf.sizeZ * 0.5, hf.sizeZ * 0.5);
+    const ground = sampleHeight(hf, entry.x, entry.z);
+    if (ground != null && entry.y < ground) return { distance: tMin, point: entry };
+  }
+
+  let i = THREE.MathUtils.clamp(Math.floor(gx0 + gdx * tMin), 0, width - 2);
+  let j = THREE.MathUtils.clamp(Math.floor(gz0 + gdz * tMin), 0, height - 2);
+
+  const stepI = Math.sign(gdx);
+  const stepJ = Math.sign(gdz);
+  const tDeltaX = gdx !== 0 ? Math.abs(1 / gdx) : Infinity;
+  const tDeltaZ = gdz !== 0 ? Math.abs(1 / gdz) : Infinity;
+  let tNextX = gdx > 0 ? (i + 1 - gx0) / gdx : gdx < 0 ? (i - gx0) / gdx : Infinity;
+  let tNextZ = gdz > 0 ? (j + 1 - gz0) / gdz : gdz < 0 ? (j - gz0) / gdz : Infinity;
+
+  let t = tMin;
+
+  for (;;) {
+    const tEnd = Math.min(tNextX, tNextZ, tMax);
+
+    // Bilinear patch of this cell, as a function of t along the ray.
+    const k = j * width + i;
+    const h00 = heights[k];
+    const a = heights[k + 1] - h00;
+    const b = heights[k + width] - h00;
+    const c = h00 - heights[k + 1] - heights[k + width] + heights[k + width + 1];
+
+    const u0 = gx0 - i;
+    const v0 = gz0 - j;
+
+    // f(t) = (oy + dy t) - h(u0 + gdx t, v0 + gdz t)
+    const A = -c * gdx * gdz;
+    const B = dir.y - (a * gdx + b * gdz + c * (u0 * gdz + v0 * gdx));
+    const C = origin.y - (h00 + a * u0 + b * v0 + c * u0 * v0);
+
+    const hitT = firstRootInRange(A, B, C, t, tEnd);
+    if (hitT != null) {
+      const distance = Math.max(0, hitT);
+      return {
+        distance,
+        point: new THREE.Vector3().copy(origin).addScaledVector(dir, distance),
+      };
+    }
+
+    if (tEnd >= tMax) return null;
+
+    if (tNextX < tNextZ) {
+      i += stepI;
+      t = tNextX;
+      tNextX += tDeltaX;
+    } else {
+      j += stepJ;
+      t = tNextZ;
+      tNextZ += tDeltaZ;
+    }
+
+    if (i < 0 || i > width - 2 || j < 0 || j > height - 2) return null;
+  }
+}
+
+/**
+ * Caches an object's world matrix, its inverse and normal matrix, recomputing
+ * them only when the matrix actually changed. Lets the world-space queries
+ * honour scale, rotation and parent transforms without inverting a matrix on
+ * every height lookup.
+ *
+ * `upright` is true while local +Y still points along world +Y (no tilt), in
+ * which case a vertical world line stays vertical in local space and height
+ * lookups don't need a ray cast.
+ *
+ * @param {THREE.Object3D} object
+ */
+export function createWorldTransform(object) {
+  const xf = {
+    matrix: new THREE.Matrix4(),
+    inverse: new THREE.Matrix4(),
+    linearInverse: new THREE.Matrix3(),
+    normalMatrix: new THREE.Matrix3(),
+    upright: true,
+    sync,
+  };
+
+  const up = new THREE.Vector3();
+  let first = true;
+
+  function sync() {
+    object.updateWorldMatrix(true, false);
+    if (!first && xf.matrix.equals(object.matrixWorld)) return false;
+    first = false;
+
+    xf.matrix.copy(object.matrixWorld);
+    xf.inverse.copy(xf.matrix).invert();
+    xf.linearInverse.setFromMatrix4(xf.inverse);
+    xf.normalMatrix.getNormalMatrix(xf.matrix);
+
+    // World up seen from local space: vertical lines stay vertical if it has no x/z.
+    up.set(0, 1, 0).transformDirection(xf.inverse);
+    xf.upright = Math.abs(up.x) < 1e-6 && Math.abs(up.z) < 1e-6 && up.y > 0;
+    return true;
+  }
+
+  return xf;
+}
@@ -0,0 +1,661 @@
+// src/environment/terrainTiles.js
+// -----------------------------------------------------------------------------
+// Multi-tile terrain streaming.
+//
+// Reads a tile index (JSON) describing a grid of DEM tiles and keeps the tiles
+// around the player loaded:
+//  - tiles within `loadRadius` (in tiles, square ring) are queued for loading,
+//    nearest first, one at a time so a load never stalls several frames at once
+//  - tiles further than `unloadRadius` are removed and their GPU memory freed
+//  - a freshly loaded tile snaps its border samples to already loaded neighbours,
+//    so independently cropped DEMs meet without cracks, and both tiles share
+//    the normals along the seam, so the lighting meets without a crease
+//
+// Tile index format (assets/terrain/tiles.json):
+// {
+//   "tileSizeM": 1000,          // footprint of one tile (meters)
+//   "elevBaseM": 470,           // optional shared datum (local y = 0); default: first tile's min
+//   "detailTextures": {         // optional close-up textures (procedural if omitted)
+//     "rock": { "albedo": "...", "normal": "..." }, "gravel": {...}, "snow": {...} },
+//   "tiles": [
+//     { "x": 0, "z": 0,         // grid coords; +x = east, +z = south (row 0 of a DEM is north)
+//       "heightUrl": "...", "heightFormat": "auto", "heightOptions": {},
+//       "slopeUrl": "...", "hillshadeUrl": "..." }   // optional: computed from the DEM if omitted
+//   ]
+// }
+//
+// The manager's `root` group carries the same userData API as a single terrain
+// (getHeightAt, getNormalAt, getSlopeAt, getSnowFactorAt, raycast, updateLod,
+// setHillshadeLight, setHillshadeFromSun, setDebugView, setContourInterval,
+// setSnowCover, stampFootprint, updateTrails, clearTrails, flatten, raise,
+// smooth, flattenUnder), so main.js can treat it like one big terrain.
+// Footprints live on their tile and go when it unloads.
+// -----------------------------------------------------------------------------
+
+import * as THREE from "three";
+import { createAbiskoTerrain, DEFAULT_SNOW_COVER } from "./abiskoTerrain.js";
+import { flattenUnder as flattenUnderObject } from "./terrainEdit.js";
+import { sampleNormal } from "./terrainQueries.js";
+
+/**
+ * @param {string} url
+ * @returns {Promise<object>} parsed tile index
+ */
+export async function loadTileIndex(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Failed to fetch tile index ${url}: ${res.status} ${res.statusText}`);
+  const index = await res.json();
+
+  if (!Number.isFinite(index.tileSizeM) || !Array.isArray(index.tiles)) {
+    throw new Error(`Tile index ${url} needs "tileSizeM" and a "tiles" array.`);
+  }
+  return index;
+}
+
+const tileKey = (x, z) => `${x},${z}`;
+
+// Neighbour direction -> which edge of the new tile touches it.
+const NEIGHBOURS = [
+  { dx: 1, dz: 0 },
+  { dx: -1, dz: 0 },
+  { dx: 0, dz: 1 },
+  { dx: 0, dz: -1 },
+];
+
+/**
+ * Makes `tile`'s border samples on the side facing `neighbour` match the
+ * neighbour's surface (bilinear along the shared edge), then blends the normals
+ * on both sides of it.
+ */
+function stitchEdge(tile, neighbour, dx, dz) {
+  const { heights, width, height } = tile.userData.heightfield;
+  const sizeX = tile.userData.terrainSizeXM;
+  const sizeZ = tile.userData.terrainSizeZM;
+  const nSizeX = neighbour.userData.terrainSizeXM;
+  const nSizeZ = neighbour.userData.terrainSizeZM;
+  const sampleN = neighbour.userData.getHeightAtLocalXZ;
+
+  // Both tiles are local y = 0 at the same datum, but keep their offsets honest.
+  const yOffset = neighbour.position.y - tile.position.y;
+
+  if (dx !== 0) {
+    const gx = dx > 0 ? width - 1 : 0;
+    const nx = dx > 0 ? -nSizeX * 0.5 : nSizeX * 0.5;
+
+    for (let gy = 0; gy < height; gy++) {
+      const z = THREE.MathUtils.clamp(-sizeZ * 0.5 + (gy / (height - 1)) * sizeZ, -nSizeZ * 0.5, nSizeZ * 0.5);
+      const h = sampleN(nx, z);
+      if (h != null) heights[gy * width + gx] = h + yOffset;
+    }
+    tile.userData.refreshHeights(gx, 0, gx, height - 1);
+  } else {
+    const gy = dz > 0 ? height - 1 : 0;
+    const nz = dz > 0 ? -nSizeZ * 0.5 : nSizeZ * 0.5;
+
+    for (let gx = 0; gx < width; gx++) {
+      const x = THREE.MathUtils.clamp(-sizeX * 0.5 + (gx / (width - 1)) * sizeX, -nSizeX * 0.5, nSizeX * 0.5);
+      const h = sampleN(x, nz);
+      if (h != null) heights[gy * width + gx] = h + yOffset;
+    }
+    tile.userData.refreshHeights(0, gy, width - 1, gy);
+  }
+
+  blendSeamNormals(tile, neighbour, dx, dz);
+}
+
+// Normals for `tile`'s edge samples facing `other`: the tile's own (one-sided,
+// it can't see across the edge) averaged with the other tile's at the same
+// point, which together make the normal across the seam.
+// Returns [sampleIndex, x, y, z, ...], not written yet.
+function seamNormals(tile, other, dx, dz) {
+  const hf = tile.userData.heightfield;
+  const otherHf = other.userData.heightfield;
+  const n = new THREE.Vector3();
+  const out = [];
+
+  const count = dx !== 0 ? hf.height : hf.width;
+  for (let k = 0; k < count; k++) {
+    const gx = dx !== 0 ? (dx > 0 ? hf.width - 1 : 0) : k;
+    const gy = dx !== 0 ? k : dz > 0 ? hf.height - 1 : 0;
+
+    // Same point in the other tile's local space (on its facing edge).
+    const x =
+      dx !== 0
+        ? -dx * otherHf.sizeX * 0.5
+        : THREE.MathUtils.clamp(-hf.sizeX * 0.5 + (gx / (hf.width - 1)) * hf.sizeX, -otherHf.sizeX * 0.5, otherHf.sizeX * 0.5);
+    const z =
+      dz !== 0
+        ? -dz * otherHf.sizeZ * 0.5
+        : THREE.MathUtils.clamp(-hf.sizeZ * 0.5 + (gy / (hf.height - 1)) * hf.sizeZ, -otherHf.sizeZ * 0.5, otherHf.sizeZ * 0.5);
+    if (!sampleNormal(otherHf, x, z, n)) continue;
+
+    const i = gy * hf.width + gx;
+    n.x += hf.normals[3 * i];
+    n.y += hf.normals[3 * i + 1];
+    n.z += hf.normals[3 * i + 2];
+    n.normalize();
+    out.push(i, n.x, n.y, n.z);
+  }
+  return out;
+}
+
+/**
+ * Gives both tiles the same normals along their shared edge, so the lighting
+ * has no crease at the seam. Both sides are worked out before either is
+ * written, so each averages the other's original normals.
+ */
+function blendSeamNormals(tile, neighbour, dx, dz) {
+  const sides = [
+    [tile, seamNormals(tile, neighbour, dx, dz), dx, dz],
+    [neighbour, seamNormals(neighbour, tile, -dx, -dz), -dx, -dz],
+  ];
+
+  for (const [t, list, sx, sz] of sides) {
+    const { normals, width, height } = t.userData.heightfield;
+    for (let k = 0; k < list.length; k += 4) {
+      normals.set([list[k + 1], list[k + 2], list[k + 3]], 3 * list[k]);
+    }
+    if (sx !== 0) {
+      const gx = sx > 0 ? width - 1 : 0;
+      t.userData.refreshNormals(gx, 0, gx, height - 1);
+    } else {
+      const gy = sz > 0 ? height - 1 : 0;
+      t.userData.refreshNormals(0, gy, width - 1, gy);
+    }
+  }
+}
+
+/**
+ * Creates a streaming terrain made of DEM tiles.
+ *
+ * @param {object} opts
+ * @param {object} [opts.index]            Parsed tile index (or use indexUrl).
+ * @param {string} [opts.indexUrl]         URL of the tile index JSON.
+ * @param {number} [opts.loadRadius=1]     Load tiles up to this many tiles away.
+ * @param {number} [opts.unloadRadius]    Unload tiles further than this (default loadRadius + 1).
+ * @param {Function} [opts.createTile=createAbiskoTerrain] Tile factory (same options).
+ * @param {(tile: { x: number, z: number }, p: { stage: string, progress: number }) => void} [opts.onProgress]
+ *        Load progress of each tile as it streams in (built in a worker, see terrainBuild.js).
+ * @returns {{
+ *   root: THREE.Group,
+ *   loadAround: (worldPos: THREE.Vector3) => Promise<void>,
+ *   update: (worldPos: THREE.Vector3) => void,
+ *   getHeightAt: (x: number, z: number) => number|null,
+ *   getNormalAt: (x: number, z: number, out?: THREE.Vector3) => THREE.Vector3|null,
+ *   getSlopeAt: (x: number, z: number) => number|null,
+ *   getSnowFactorAt: (x: number, z: number) => number|null,
+ *   raycast: (origin: THREE.Vector3, direction: THREE.Vector3, maxDistance?: number) => object|null,
+ *   getBoundsXZ: () => { minX: number, maxX: number, minZ: number, maxZ: number }|null,
+ *   setHillshadeLight: (light: { azimuthDeg: number, altitudeDeg: number }) => void,
+ *   setHillshadeFromSun: (sunDirWorld: THREE.Vector3) => void,
+ *   setDebugView: (view: string|number) => void,
+ *   setContourInterval: (meters: number) => void,
+ *   setSnowCover: (settings: object) => void,
+ *   getSnowCover: () => object,
+ *   stampFootprint: (position: THREE.Vector3, opts?: object) => boolean,
+ *   updateTrails: (dt: number, snowfall: number) => void,
+ *   clearTrails: () => void,
+ *   flatten: (shape: object) => number|null,
+ *   raise: (shape: object) => boolean,
+ *   smooth: (shape: object) => boolean,
+ *   flattenUnder: (object: THREE.Object3D, opts?: object) => number|null,
+ *   getLoadedTiles: () => THREE.Object3D[],
+ *   dispose: () => void
+ * }}
+ */
+export function createTerrainTileManager(opts = {}) {
+  const {
+    loadRadius = 1,
+    unloadRadius = loadRadius + 1,
+    createTile = createAbiskoTerrain,
+    onProgress = null,
+  } = opts;
+
+  const root = new THREE.Group();
+  root.name = "TerrainTiles";
+
+  // key -> { entry, state: "queued" | "loading" | "ready" | "failed", terrain }
+  const tiles = new Map();
+  let index = null;
+  let indexPromise = opts.index ? Promise.resolve(opts.index) : loadTileIndex(opts.indexUrl);
+  let entries = new Map();
+  let elevBaseM = null;
+
+  let loading = false;
+  let disposed = false;
+
+  // Last hillshade light / debug view / snow cover set on the manager;
+  // re-applied to tiles as they stream in.
+  let hillshade = null;
+  let debugView = null;
+  let contourInterval = null;
+  let snowCover = null;
+  const center = { x: 0, z: 0 };
+  const local = new THREE.Vector3();
+
+  indexPromise = indexPromise.then((idx) => {
+    index = idx;
+    entries = new Map(idx.tiles.map((t) => [tileKey(t.x, t.z), t]));
+    elevBaseM = idx.elevBaseM ?? null;
+    return idx;
+  });
+
+  function toTileCoords(worldPos) {
+    root.updateWorldMatrix(true, false);
+    local.copy(worldPos);
+    root.worldToLocal(local);
+    return {
+      x: Math.round(local.x / index.tileSizeM),
+      z: Math.round(local.z / index.tileSizeM),
+    };
+  }
+
+  const ringDistance = (t) => Math.max(Math.abs(t.entry.x - center.x), Math.abs(t.entry.z - center.z));
+
+  function unloadTile(key) {
+    const t = tiles.get(key);
+    if (!t) return;
+    tiles.delete(key);
+    if (t.terrain) {
+      root.remove(t.terrain);
+      t.terrain.userData.dispose?.();
+    }
+  }
+
+  async function loadTile(t) {
+    t.state = "loading";
+    const e = t.entry;
+
+    try {
+      const terrain = await createTile({
+        demUrl: e.heightUrl,
+        demFormat: e.heightFormat ?? "auto",
+        demOptions: { sizeM: index.tileSizeM, ...(e.heightOptions || {}) },
+        // null (not undefined) = compute from the DEM instead of the baked defaults
+        slopeUrl: e.slopeUrl ?? null,
+        hillshadeUrl: e.hillshadeUrl ?? null,
+        elevBaseM,
+        detailTextures: index.detailTextures ?? {},
+        onProgress: onProgress && ((p) => onProgress({ x: e.x, z: e.z }, p)),
+      });
+
+      // Whoever loads first fixes the shared datum for all later tiles.
+      if (elevBaseM == null) elevBaseM = terrain.userData.elevBaseM;
+
+      // The player may have walked away while we were loading.
+      if (disposed || tiles.get(tileKey(e.x, e.z)) !== t) {
+        terrain.userData.dispose?.();
+        return;
+      }
+
+      terrain.name = `TerrainTile_${e.x}_${e.z}`;
+      terrain.position.set(e.x * index.tileSizeM, 0, e.z * index.tileSizeM);
+      root.add(terrain);
+
+      for (const { dx, dz } of NEIGHBOURS) {
+        const n = tiles.get(tileKey(e.x + dx, e.z + dz));
+        if (n && n.state === "ready") stitchEdge(terrain, n.terrain, dx, dz);
+      }
+
+      applyHillshade(terrain);
+      if (debugView != null) terrain.userData.setDebugView?.(debugView);
+      if (contourInterval != null) terrain.userData.setContourInterval?.(contourInterval);
+      if (snowCover) terrain.userData.setSnowCover?.(snowCover);
+
+      t.terrain = terrain;
+      t.state = "ready";
+    } catch (err) {
+      t.state = "failed";
+      console.error(`Failed to load terrain tile ${e.x},${e.z}:`, err);
+    }
+  }
+
+  // Loads queued tiles one by one, nearest to the player first.
+  async function pump() {
+    if (loading) return;
+    loading = true;
+
+    try {
+      for (;;) {
+        let next = null;
+        for (const t of tiles.values()) {
+          if (t.state !== "queued") continue;
+          if (!next || ringDistance(t) < ringDistance(next)) next = t;
+        }
+        if (!next || disposed) break;
+        await loadTile(next);
+      }
+    } finally {
+      loading = false;
+    }
+  }
+
+  function refreshWanted() {
+    // Queue everything inside the load ring that exists in the index.
+    for (let z = center.z - loadRadius; z <= center.z + loadRadius; z++) {
+      for (let x = center.x - loadRadius; x <= center.x + loadRadius; x++) {
+        const key = tileKey(x, z);
+        const entry = entries.get(key);
+        if (entry && !tiles.has(key)) tiles.set(key, { entry, state: "queued", terrain: null });
+      }
+    }
+
+    // Drop whatever is outside the unload ring (queued tiles are simply forgotten).
+    for (const [key, t] of tiles) {
+      if (ringDistance(t) > unloadRadius) unloadTile(key);
+    }
+
+    pump();
+  }
+
+  /**
+   * Loads the tile under worldPos (resolves once it is in the scene) and queues
+   * its neighbours. Use this once at startup before spawning the player.
+   */
+  async function loadAround(worldPos) {
+    await indexPromise;
+    Object.assign(center, toTileCoords(worldPos));
+    refreshWanted();
+
+    const t = tiles.get(tileKey(center.x, center.z));
+    if (!t) throw new Error(`No terrain tile at ${center.x},${center.z} in the tile index.`);
+
+    while (t.state === "queued" || t.state === "loading") {
+      await new Promise((resolve) => setTimeout(resolve, 16));
+    }
+    if (t.state === "failed") throw new Error(`Terrain tile ${center.x},${center.z} failed to load.`);
+  }
+
+  /**
+   * Per-frame: stream tiles when the player crosses into another tile,
+   * then update chunk LOD on every loaded tile.
+   */
+  function update(worldPos) {
+    if (!index) return;
+
+    const c = toTileCoords(worldPos);
+    if (c.x !== center.x || c.z !== center.z) {
+      Object.assign(center, c);
+      refreshWanted();
+    }
+
+    for (const t of tiles.values()) {
+      if (t.state === "ready") t.terrain.userData.updateLod(worldPos);
+    }
+  }
+
+  // Tile that answered the last query: consecutive queries (player, placement)
+  // almost always hit the same tile, so try it first.
+  let lastTile = null;
+
+  /**
+   * Runs a world-space query on whichever loaded tile covers (x, z).
+   * Tiles honour their full world matrix, so the root may be moved, rotated
+   * or scaled freely.
+   */
+  function queryTiles(fn) {
+    if (lastTile && lastTile.parent === root) {
+      const r = fn(lastTile);
+      if (r != null) return r;
+    }
+    for (const t of tiles.values()) {
+      if (t.state !== "ready" || t.terrain === lastTile) continue;
+      const r = fn(t.terrain);
+      if (r != null) {
+        lastTile = t.terrain;
+        return r;
+      }
+    }
+    return null;
+  }
+
+  /** World-space height of whichever loaded tile covers (x, z), or null. */
+  function getHeightAt(x, z) {
+    return queryTiles((tile) => tile.userData.getHeightAtWorldXZ(x, z));
+  }
+
+  function getNormalAt(x, z, out) {
+    return queryTiles((tile) => tile.userData.getNormalAt(x, z, out));
+  }
+
+  function getSlopeAt(x, z) {
+    return queryTiles((tile) => tile.userData.getSlopeAt(x, z));
+  }
+
+  function getSnowFactorAt(x, z) {
+    return queryTiles((tile) => tile.userData.getSnowFactorAt(x, z));
+  }
+
+  /**
+   * Nearest ray hit over all loaded tiles (world space), or null.
+   */
+  function raycast(origin, direction, maxDistance = Infinity) {
+    let best = null;
+    for (const tile of getLoadedTiles()) {
+      const hit = tile.userData.raycast(origin, direction, best ? best.distance : maxDistance);
+      if (hit && (!best || hit.distance < best.distance)) best = hit;
+    }
+    return best;
+  }
+
+  /**
+   * World XZ rectangle covered by the loaded tiles, or null if none.
+   * Gaps inside it (tiles missing from the index, corners of rotated tiles)
+   * return null heights instead.
+   */
+  function getBoundsXZ() {
+    let bounds = null;
+    for (const tile of getLoadedTiles()) {
+      const b = tile.userData.getBoundsXZ();
+      if (!bounds) {
+        bounds = { ...b };
+      } else {
+        bounds.minX = Math.min(bounds.minX, b.minX);
+        bounds.maxX = Math.max(bounds.maxX, b.maxX);
+        bounds.minZ = Math.min(bounds.minZ, b.minZ);
+        bounds.maxZ = Math.max(bounds.maxZ, b.maxZ);
+      }
+    }
+    return bounds;
+  }
+
+  function applyHillshade(tile) {
+    if (hillshade?.sunDir) tile.userData.setHillshadeFromSun?.(hillshade.sunDir);
+    else if (hillshade) tile.userData.setHillshadeLight?.(hillshade);
+  }
+
+  /**
+   * Hillshade light for every tile with a computed hillshade (see abiskoTerrain).
+   * @param {{ azimuthDeg: number, altitudeDeg: number }} light
+   */
+  function setHillshadeLight(light) {
+    hillshade = { azimuthDeg: light.azimuthDeg, altitudeDeg: light.altitudeDeg };
+    for (const tile of getLoadedTiles()) applyHillshade(tile);
+  }
+
+  /**
+   * Ties the computed hillshade to a world-space direction towards the sun.
+   * @param {THREE.Vector3} sunDirWorld
+   */
+  function setHillshadeFromSun(sunDirWorld) {
+    hillshade = { sunDir: (hillshade?.sunDir ?? new THREE.Vector3()).copy(sunDirWorld) };
+    for (const tile of getLoadedTiles()) applyHillshade(tile);
+  }
+
+  /**
+   * Shader debug view on every tile (see TERRAIN_DEBUG_VIEWS in abiskoTerrain.js).
+   * @param {string|number} view
+   */
+  function setDebugView(view) {
+    debugView = view;
+    for (const tile of getLoadedTiles()) tile.userData.setDebugView?.(view);
+  }
+
+  function setContourInterval(meters) {
+    contourInterval = meters;
+    for (const tile of getLoadedTiles()) tile.userData.setContourInterval?.(meters);
+  }
+
+  /**
+   * Seasonal snow cover on every tile (see DEFAULT_SNOW_COVER in abiskoTerrain.js).
+   * Only the given fields change, like on a single terrain.
+   */
+  function setSnowCover(settings) {
+    snowCover = { ...snowCover, ...settings };
+    for (const tile of getLoadedTiles()) tile.userData.setSnowCover?.(settings);
+  }
+
+  function getSnowCover() {
+    return getLoadedTiles()[0]?.userData.getSnowCover?.() ?? { ...DEFAULT_SNOW_COVER, ...snowCover };
+  }
+
+  // ---- Snow trails ----
+
+  /** Footprint on every tile it touches (prints on a border land on both sides). */
+  function stampFootprint(position, opts) {
+    let hit = false;
+    for (const tile of getLoadedTiles()) hit = tile.userData.stampFootprint?.(position, opts) || hit;
+    return hit;
+  }
+
+  function updateTrails(dt, snowfall) {
+    for (const tile of getLoadedTiles()) tile.userData.updateTrails?.(dt, snowfall);
+  }
+
+  function clearTrails() {
+    for (const tile of getLoadedTiles()) tile.userData.clearTrails?.();
+  }
+
+  // ---- Editing: every loaded tile applies the part of the shape it covers ----
+
+  /**
+   * Average ground height (world y) inside a shape over all tiles it touches,
+   * or null. Each tile counts by the samples it has inside the shape.
+   */
+  function getAverageHeightIn(shape) {
+    let sum = 0;
+    let count = 0;
+    for (const tile of getLoadedTiles()) {
+      const s = tile.userData.getHeightSumIn(shape);
+      if (s) {
+        sum += s.sum;
+        count += s.count;
+      }
+    }
+    return count ? sum / count : null;
+  }
+
+  // Runs `fn` on every ready tile; returns the ones it edited (fn -> true).
+  // Each tile refreshes its own normals, which leaves its border normals
+  // one-sided again, so the borders an edit reached are stitched again.
+  function editTiles(fn) {
+    const edited = [...tiles.values()].filter((t) => t.state === "ready" && fn(t.terrain));
+    restitchEdited(edited);
+    return edited.length > 0;
+  }
+
+  function restitchEdited(edited) {
+    const done = new Set();
+    for (const t of edited) {
+      const region = t.terrain.userData.lastEditRegion;
+      if (!region) continue;
+      const { width, height } = t.terrain.userData.heightfield;
+
+      for (const { dx, dz } of NEIGHBOURS) {
+        // Normals read one sample around each point: an edit one sample in
+        // from the border already changed the border's normals.
+        const reaches =
+          dx > 0 ? region.x1 >= width - 2 : dx < 0 ? region.x0 <= 1 : dz > 0 ? region.y1 >= height - 2 : region.y0 <= 1;
+        if (!reaches) continue;
+
+        const n = tiles.get(tileKey(t.entry.x + dx, t.entry.z + dz));
+        if (!n || n.state !== "ready") continue;
+
+        // Once per shared edge, even when both sides were edited.
+        const seam = [tileKey(t.entry.x, t.entry.z), tileKey(n.entry.x, n.entry.z)].sort().join("|");
+        if (done.has(seam)) continue;
+        done.add(seam);
+        stitchEdge(t.terrain, n.terrain, dx, dz);
+      }
+    }
+  }
+
+  /**
+   * Flattens across tile borders: the target height is chosen once, so every
+   * tile levels to the same value and shared edges still match.
+   */
+  function flatten(shape) {
+    const height = shape.height ?? getAverageHeightIn(shape);
+    if (height == null) return null;
+    return editTiles((tile) => tile.userData.flatten({ ...shape, height }) != null) ? height : null;
+  }
+
+  function raise(shape) {
+    return editTiles((tile) => tile.userData.raise(shape));
+  }
+
+  /** Smooths inside each tile; tile border samples stay fixed (seams stay closed). */
+  function smooth(shape) {
+    return editTiles((tile) => tile.userData.smooth(shape));
+  }
+
+  function getLoadedTiles() {
+    return [...tiles.values()].filter((t) => t.state === "ready").map((t) => t.terrain);
+  }
+
+  function dispose() {
+    disposed = true;
+    for (const key of [...tiles.keys()]) unloadTile(key);
+  }
+
+  // Same API surface as a single terrain, so callers don't care which one they hold.
+  root.userData.getHeightAt = getHeightAt;
+  root.userData.getHeightAtWorldXZ = getHeightAt;
+  root.userData.updateLod = update;
+  root.userData.getBoundsXZ = getBoundsXZ;
+  root.userData.getNormalAt = getNormalAt;
+  root.userData.getSlopeAt = getSlopeAt;
+  root.userData.getSnowFactorAt = getSnowFactorAt;
+  root.userData.raycast = raycast;
+  root.userData.setHillshadeLight = setHillshadeLight;
+  root.userData.setHillshadeFromSun = setHillshadeFromSun;
+  root.userData.setDebugView = setDebugView;
+  root.userData.getAverageHeightIn = getAverageHeightIn;
+  root.userData.flatten = flatten;
+  root.userData.raise = raise;
+  root.userData.smooth = smooth;
+  root.userData.flattenUnder = (object, opts) => flattenUnderObject(root.userData, object, opts);
+  root.userData.setContourInterval = setContourInterval;
+  root.userData.setSnowCover = setSnowCover;
+  root.userData.getSnowCover = getSnowCover;
+  root.userData.stampFootprint = stampFootprint;
+  root.userData.updateTrails = updateTrails;
+  root.userData.clearTrails = clearTrails;
+
+  return {
+    root,
+    loadAround,
+    update,
+    getHeightAt,
+    getNormalAt,
+    getSlopeAt,
+    getSnowFactorAt,
+    raycast,
+    getBoundsXZ,
+    setHillshadeLight,
+    setHillshadeFromSun,
+    setDebugView,
+    setContourInterval,
+    setSnowCover,
+    getSnowCover,
+    stampFootprint,
+    updateTrails,
+    clearTrails,
+    flatten,
+    raise,
+    smooth,
+    flattenUnder: root.userData.flattenUnder,
+    getLoadedTiles,
+    dispose,
+  };
+}
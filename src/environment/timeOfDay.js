@@ -0,0 +1,429 @@
+// src/environment/timeOfDay.js
+// -----------------------------------------------------------------------------
+// Day / night cycle with the real sun over Abisko.
+//
+// The sun's elevation and azimuth come from the date, time and the location
+// (NOAA solar position equations, with atmospheric refraction), so the cycle
+// has everything Abisko at 68° N has: the midnight sun in early summer, polar
+// night around the winter solstice, and hours-long twilight in between.
+//
+// Each frame update() advances the clock (timeScale simulated seconds per
+// real second) and writes the result into whatever it was given:
+//  - sun:      direction (position around its target), color, intensity
+//  - hemi:     sky / ground colors and intensity
+//  - renderer: toneMappingExposure (eyes adapt at dusk)
+//  - scene:    background color, or the HDRI's background / environment
+//              intensity when the background is a texture; fog brightness
+// With a weather controller, the intensities, the exposure and the fog
+// brightness go in as the weather's base values (weather.setBase()) and the
+// weather's multipliers apply on top; without one they are written directly.
+//
+// getMoonPosition() and getLocalSiderealTime() do the same for the moon and
+// the stars (nightSky.js).
+//
+// Scene axes: north is -Z, east is +X (like the terrain: uv v = 1 is north).
+// -----------------------------------------------------------------------------
+
+import * as THREE from "three";
+import { ABISKO } from "../config/constants.js";
+
+const DEG = Math.PI / 180;
+const MS_PER_DAY = 86400000;
+
+// Apparent elevation of the sun's upper edge at sunrise / sunset.
+export const SUNRISE_ELEVATION = -0.833;
+
+// Per-channel optical depth of the atmosphere at the zenith (rough Rayleigh +
+// aerosol): low suns go orange, then red.
+const EXTINCTION = [0.05, 0.09, 0.15];
+
+// Reference elevation: the sun here looks like the lights were tuned for.
+const REFERENCE_ELEVATION = 35;
+
+// Keyframes over the sun's elevation (degrees). Multipliers apply to the base
+// values the lights / renderer had when the controller was created.
+const HEMI_KEYS = [
+  { el: -18, sky: 0x0a1222, ground: 0x04060a, intensity: 0.12 },
+  { el: -9, sky: 0x1c2a4a, ground: 0x0c1018, intensity: 0.3 },
+  { el: -3, sky: 0x4a5f8c, ground: 0x262c3a, intensity: 0.55 },
+  { el: 2, sky: 0xc8c4d0, ground: 0x3c4250, intensity: 0.8 },
+  { el: 12, sky: 0xffffff, ground: 0x445566, intensity: 1 },
+];
+
+const EXPOSURE_KEYS = [
+  { el: -18, value: 1.7 },
+  { el: -6, value: 1.45 },
+  { el: 0, value: 1.15 },
+  { el: 10, value: 1 },
+];
+
+const SKY_KEYS = [
+  { el: -18, color: 0x03050b, hdri: 0.03 },
+  { el: -10, color: 0x0b1530, hdri: 0.08 },
+  { el: -4, color: 0x2f4270, hdri: 0.25 },
+  { el: 0, color: 0x8a86a8, hdri: 0.55 },
+  { el: 4, color: 0xb0b8d8, hdri: 0.8 },
+  { el: 12, color: 0x8fb9ff, hdri: 1 },
+];
+
+const _color = new THREE.Color();
+
+// Position of `el` between keyframes: index of the lower key and the blend.
+function findKeys(keys, el) {
+  if (el <= keys[0].el) return [0, 0];
+  for (let i = 1; i < keys.length; i++) {
+    if (el < keys[i].el) return [i - 1, (el - keys[i - 1].el) / (keys[i].el - keys[i - 1].el)];
+  }
+  return [keys.length - 1, 0];
+}
+
+function lerpKey(keys, el, field) {
+  const [i, t] = findKeys(keys, el);
+  const a = keys[i][field];
+  return t > 0 ? a + (keys[i + 1][field] - a) * t : a;
+}
+
+function lerpKeyColor(keys, el, field, out) {
+  const [i, t] = findKeys(keys, el);
+  out.setHex(keys[i][field]);
+  if (t > 0) out.lerp(_color.setHex(keys[i + 1][field]), t);
+  return out;
+}
+
+/**
+ * Sun position for a moment and a place (NOAA equations, ~0.01° accurate).
+ *
+ * @param {Date|number} date       moment (UTC timestamp in ms, or a Date)
+ * @param {number} latitude        degrees, north positive
+ * @param {number} longitude       degrees, east positive
+ * @param {object} [out]
+ * @returns {{ elevation: number, azimuth: number, declination: number }}
+ *          degrees; elevation is apparent (refracted), azimuth clockwise from north
+ */
+export function getSunPosition(date, latitude, longitude, out = {}) {
+  const ms = typeof date === "number" ? date : date.getTime();
+  const T = (ms / MS_PER_DAY + 2440587.5 - 2451545) / 36525; // Julian centuries since J2000
+
+  const L0 = (280.46646 + T * (36000.76983 + T * 0.0003032)) % 360;
+  const M = (357.52911 + T * (35999.05029 - 0.0001537 * T)) * DEG;
+  const e = 0.016708634 - T * (0.000042037 + 0.0000001267 * T);
+  const C =
+    Math.sin(M) * (1.914602 - T * (0.004817 + 0.000014 * T)) +
+    Math.sin(2 * M) * (0.019993 - 0.000101 * T) +
+    Math.sin(3 * M) * 0.000289;
+  const omega = (125.04 - 1934.136 * T) * DEG;
+  const lambda = (L0 + C - 0.00569 - 0.00478 * Math.sin(omega)) * DEG; // apparent longitude
+
+  const eps0 = 23 + (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60;
+  const eps = (eps0 + 0.00256 * Math.cos(omega)) * DEG; // obliquity
+  const decl = Math.asin(Math.sin(eps) * Math.sin(lambda));
+
+  // Equation of time (minutes): sundial vs clock.
+  const y = Math.tan(eps / 2) ** 2;
+  const l0 = L0 * DEG;
+  const eot =
+    (4 / DEG) *
+    (y * Math.sin(2 * l0) -
+      2 * e * Math.sin(M) +
+      4 * e * y * Math.sin(M) * Math.cos(2 * l0) -
+      0.5 * y * y * Math.sin(4 * l0) -
+      1.25 * e * e * Math.sin(2 * M));
+
+  const minutes = (((ms % MS_PER_DAY) + MS_PER_DAY) % MS_PER_DAY) / 60000;
+  const trueSolar = minutes + eot + 4 * longitude;
+  const H = trueSolar / 4 - 180; // hour angle
+
+  toHorizontal(H, decl / DEG, latitude, out);
+  out.declination = decl / DEG;
+  return out;
+}
+
+// Hour angle + declination (degrees) -> apparent elevation and azimuth
+// (clockwise from north) for an observer at `latitude`.
+function toHorizontal(hourAngle, declination, latitude, out) {
+  const H = hourAngle * DEG;
+  const decl = declination * DEG;
+  const lat = latitude * DEG;
+
+  const sinEl = Math.sin(lat) * Math.sin(decl) + Math.cos(lat) * Math.cos(decl) * Math.cos(H);
+  let elevation = Math.asin(THREE.MathUtils.clamp(sinEl, -1, 1)) / DEG;
+
+  // Refraction lifts things by about half a degree at the horizon (Bennett).
+  if (elevation > -1) {
+    const h = Math.max(elevation, -0.9);
+    elevation += 1 / 60 / Math.tan((h + 7.31 / (h + 4.4)) * DEG);
+  }
+
+  out.elevation = elevation;
+  out.azimuth =
+    (Math.atan2(Math.sin(H), Math.cos(H) * Math.sin(lat) - Math.tan(decl) * Math.cos(lat)) / DEG + 540) % 360;
+  return out;
+}
+
+/**
+ * Local sidereal time in degrees: how far the sky has turned. A star at
+ * right ascension RA crosses the meridian (due south) when this equals RA.
+ *
+ * @param {Date|number} date
+ * @param {number} longitude  degrees, east positive
+ */
+export function getLocalSiderealTime(date, longitude) {
+  const ms = typeof date === "number" ? date : date.getTime();
+  const d = ms / MS_PER_DAY + 2440587.5 - 2451545;
+  const gmst = 280.46061837 + 360.98564736629 * d;
+  return (((gmst + longitude) % 360) + 360) % 360;
+}
+
+/**
+ * Moon position (low-precision series, ~0.5° - plenty to place it in the sky).
+ *
+ * @param {Date|number} date
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {object} [out]
+ * @returns {{ elevation: number, azimuth: number, rightAscension: number, declination: number }} degrees
+ */
+export function getMoonPosition(date, latitude, longitude, out = {}) {
+  const ms = typeof date === "number" ? date : date.getTime();
+  const d = ms / MS_PER_DAY + 2440587.5 - 2451545;
+
+  const L = 218.316 + 13.176396 * d; // mean longitude
+  const M = (134.963 + 13.064993 * d) * DEG; // mean anomaly
+  const F = (93.272 + 13.22935 * d) * DEG; // mean distance from the ascending node
+  const D = (297.85 + 12.190749 * d) * DEG; // mean elongation from the sun
+
+  const lon = (L + 6.289 * Math.sin(M) + 1.274 * Math.sin(2 * D - M) + 0.658 * Math.sin(2 * D)) * DEG;
+  const lat = 5.128 * Math.sin(F) * DEG;
+  const e = 23.4397 * DEG;
+
+  const ra = Math.atan2(Math.sin(lon) * Math.cos(e) - Math.tan(lat) * Math.sin(e), Math.cos(lon)) / DEG;
+  const decl = Math.asin(Math.sin(lat) * Math.cos(e) + Math.cos(lat) * Math.sin(e) * Math.sin(lon)) / DEG;
+
+  toHorizontal(getLocalSiderealTime(ms, longitude) - ra, decl, latitude, out);
+  out.rightAscension = (ra + 360) % 360;
+  out.declination = decl;
+  return out;
+}
+
+/**
+ * Unit vector towards a point in the sky, in scene axes (north -Z, east +X).
+ *
+ * @param {number} elevation  degrees
+ * @param {number} azimuth    degrees clockwise from north
+ * @param {THREE.Vector3} [out]
+ */
+export function skyDirection(elevation, azimuth, out = new THREE.Vector3()) {
+  const el = elevation * DEG;
+  const az = azimuth * DEG;
+  return out.set(Math.sin(az) * Math.cos(el), Math.sin(el), -Math.cos(az) * Math.cos(el));
+}
+
+/**
+ * Whether the sun rises at all on a day, from its declination: the noon and
+ * midnight elevations are 90 - |lat - decl| and lat + decl - 90 (north).
+ *
+ * @returns {{ polarNight: boolean, midnightSun: boolean }}
+ */
+export function getDaylightKind(declination, latitude) {
+  const noon = 90 - Math.abs(latitude - declination);
+  const midnight = Math.abs(latitude + declination) - 90;
+  return {
+    polarNight: noon < SUNRISE_ELEVATION,
+    midnightSun: midnight > SUNRISE_ELEVATION,
+  };
+}
+
+// Sunlight through `airmass` atmospheres (per channel 0..1).
+function transmittance(elevation, out) {
+  const h = Math.max(elevation, 0);
+  const airmass = 1 / (Math.sin(h * DEG) + 0.50572 * (h + 6.07995) ** -1.6364); // Kasten & Young
+  out.setRGB(
+    Math.exp(-EXTINCTION[0] * airmass),
+    Math.exp(-EXTINCTION[1] * airmass),
+    Math.exp(-EXTINCTION[2] * airmass)
+  );
+  return out;
+}
+
+const luminance = (c) => 0.2126 * c.r + 0.7152 * c.g + 0.0722 * c.b;
+
+/**
+ * Creates the day / night controller. Call update(dt) once per frame, BEFORE
+ * weather.update() (the weather multiplies the base values set here).
+ *
+ * @param {object} [opts]
+ * @param {THREE.DirectionalLight} [opts.sun]
+ * @param {THREE.HemisphereLight} [opts.hemi]
+ * @param {THREE.WebGLRenderer} [opts.renderer]   exposure
+ * @param {THREE.Scene} [opts.scene]              background / HDRI intensity
+ * @param {ReturnType<import("./weather.js").createWeather>} [opts.weather]
+ * @param {{ sunIntensity?: number, hemiIntensity?: number, exposure?: number }} [opts.base]
+ *        light levels the lights / renderer were tuned to (default: what they
+ *        have now - pass them if a weather has already scaled them)
+ * @param {number} [opts.latitude=ABISKO.LATITUDE]
+ * @param {number} [opts.longitude=ABISKO.LONGITUDE]
+ * @param {Date|number|string} [opts.date=now]    starting moment
+ * @param {number} [opts.timeScale=60]            simulated seconds per real second
+ * @param {number} [opts.sunDistance=1000]        sun distance from its target (direction only)
+ * @param {(state: object) => void} [opts.onUpdate]
+ * @returns {{
+ *   update: (dt: number) => void,
+ *   setDate: (date: Date|number|string) => void,
+ *   getDate: () => Date,
+ *   setTimeScale: (scale: number) => void,
+ *   getTimeScale: () => number,
+ *   state: object,
+ *   base: { sunIntensity: number, hemiIntensity: number, exposure: number },
+ *   latitude: number,
+ *   longitude: number
+ * }}
+ */
+export function createTimeOfDay(opts = {}) {
+  const {
+    sun = null,
+    hemi = null,
+    renderer = null,
+    scene = null,
+    weather = null,
+    base: tunedBase = {},
+    latitude = ABISKO.LATITUDE,
+    longitude = ABISKO.LONGITUDE,
+    date = Date.now(),
+    timeScale: initialScale = 60,
+    sunDistance = 1000,
+    onUpdate = null,
+  } = opts;
+
+  // What the lights / renderer were tuned to: a sun at REFERENCE_ELEVATION.
+  const base = Object.freeze({
+    sunIntensity: tunedBase.sunIntensity ?? (sun ? sun.intensity : 1),
+    hemiIntensity: tunedBase.hemiIntensity ?? (hemi ? hemi.intensity : 1),
+    exposure: tunedBase.exposure ?? (renderer ? renderer.toneMappingExposure : 1),
+  });
+  const referenceLuminance = luminance(transmittance(REFERENCE_ELEVATION, new THREE.Color()));
+
+  const baseFogColor = scene?.fog ? scene.fog.color.clone() : null;
+
+  let time = toTimestamp(date);
+  let timeScale = initialScale;
+
+  /**
+   * Live values after each update (read-only for callers): sun angles in
+   * degrees, `direction` towards the sun, the twilight phase and the kind of
+   * day (polar night / midnight sun).
+   */
+  const state = {
+    date: new Date(time),
+    elevation: 0,
+    azimuth: 0,
+    declination: 0,
+    direction: new THREE.Vector3(),
+    phase: "day", // day | civil | nautical | astronomical | night
+    polarNight: false,
+    midnightSun: false,
+    sunColor: new THREE.Color(),
+    sunIntensity: 0,
+    hemiIntensity: 0,
+    exposure: 1,
+    skyColor: new THREE.Color(),
+    skyIntensity: 1,
+    fogBrightness: 1,
+  };
+
+  function toTimestamp(d) {
+    const ms = d instanceof Date ? d.getTime() : typeof d === "string" ? Date.parse(d) : d;
+    if (!Number.isFinite(ms)) throw new Error(`Invalid date "${d}".`);
+    return ms;
+  }
+
+  function phaseOf(el) {
+    if (el >= SUNRISE_ELEVATION) return "day";
+    if (el >= -6) return "civil";
+    if (el >= -12) return "nautical";
+    if (el >= -18) return "astronomical";
+    return "night";
+  }
+
+  function apply() {
+    getSunPosition(time, latitude, longitude, state);
+    const el = state.elevation;
+    state.date.setTime(time);
+    state.phase = phaseOf(el);
+    Object.assign(state, getDaylightKind(state.declination, latitude));
+    skyDirection(el, state.azimuth, state.direction);
+
+    // Sunlight: reddened and dimmed through the air, gone as the disc sets.
+    const t = transmittance(el, state.sunColor);
+    const visible = THREE.MathUtils.smoothstep(el, SUNRISE_ELEVATION - 0.5, 2);
+    state.sunIntensity = base.sunIntensity * visible * (luminance(t) / referenceLuminance);
+    state.sunColor.multiplyScalar(1 / Math.max(t.r, t.g, t.b));
+
+    state.hemiIntensity = base.hemiIntensity * lerpKey(HEMI_KEYS, el, "intensity");
+    state.exposure = base.exposure * lerpKey(EXPOSURE_KEYS, el, "value");
+    lerpKeyColor(SKY_KEYS, el, "color", state.skyColor);
+    state.skyIntensity = lerpKey(SKY_KEYS, el, "hdri");
+    state.fogBrightness = lerpKey(HEMI_KEYS, el, "intensity");
+
+    if (sun) {
+      sun.position.copy(sun.target.position).addScaledVector(state.direction, sunDistance);
+      sun.color.copy(state.sunColor);
+    }
+    if (hemi) {
+      lerpKeyColor(HEMI_KEYS, el, "sky", hemi.color);
+      lerpKeyColor(HEMI_KEYS, el, "ground", hemi.groundColor);
+    }
+
+    if (weather) {
+      weather.setBase({
+        sunIntensity: state.sunIntensity,
+        hemiIntensity: state.hemiIntensity,
+        exposure: state.exposure,
+        fogBrightness: state.fogBrightness,
+      });
+    } else {
+      if (sun) sun.intensity = state.sunIntensity;
+      if (hemi) hemi.intensity = state.hemiIntensity;
+      if (renderer) renderer.toneMappingExposure = state.exposure;
+      if (baseFogColor) scene.fog.color.copy(baseFogColor).multiplyScalar(state.fogBrightness);
+    }
+
+    if (scene) {
+      if (scene.background?.isColor) scene.background.copy(state.skyColor);
+      else if (scene.background?.isTexture) scene.backgroundIntensity = state.skyIntensity;
+      if (scene.environment) scene.environmentIntensity = state.skyIntensity;
+    }
+
+    onUpdate?.(state);
+  }
+
+  /** Advances the clock by dt real seconds (times the time scale). */
+  function update(dt) {
+    time += dt * timeScale * 1000;
+    apply();
+  }
+
+  /**
+   * Jumps to a moment: a Date, a UTC timestamp (ms) or a date string with
+   * its zone, e.g. "2026-06-21T00:30:00+02:00" (Abisko is UTC+1 / +2 in summer).
+   */
+  function setDate(d) {
+    time = toTimestamp(d);
+    apply();
+  }
+
+  apply();
+
+  return {
+    update,
+    setDate,
+    getDate: () => new Date(time),
+    setTimeScale: (scale) => {
+      timeScale = Math.max(0, scale);
+    },
+    getTimeScale: () => timeScale,
+    state,
+    base,
+    latitude,
+    longitude,
+  };
+}
@@ -0,0 +1,335 @@
+// src/environment/weather.js
+// -----------------------------------------------------------------------------
+// Weather controller: one place that decides how hard it snows, how strong the
+// wind blows and how murky the air is, and drives every system that shows it.
+//
+// States (WEATHER_STATES) are sets of numbers: snow density / fall speed, wind
+// speed / gustiness, fog distances and color, plus multipliers for the sun,
+// the hemisphere light and the exposure. Switching state blends every number
+// over a transition time, so the scene never pops.
+//
+// On top of the blended state the wind gusts: smooth noise over time varies
+// its speed and swings its direction a little.
+//
+// Each frame update() writes the result into whatever it was given:
+//  - snow:      setIntensity(), speed, setWind()   (snow.js)
+//  - sun, hemi: intensity = base * multiplier      (lights.js)
+//  - renderer:  toneMappingExposure = base * multiplier
+//  - scene:     scene.fog (a THREE.Fog is created if there is none), its
+//               color times the base fog brightness (darker at night);
+//               atmosphere.js turns it into height fog
+// and onUpdate(params) gets the same numbers for anything else.
+//
+// Schedules change the weather over time by themselves: playSchedule() runs a
+// scripted list of states, playRandom() keeps picking new ones.
+// -----------------------------------------------------------------------------
+
+import * as THREE from "three";
+
+/**
+ * Built-in weather states. sunIntensity / hemiIntensity / exposure multiply the
+ * base values (what the lights / renderer had when the controller was made,
+ * see setBase()); fog distances are meters.
+ */
+export const WEATHER_STATES = Object.freeze({
+  clear: Object.freeze({
+    snowIntensity: 0,
+    snowSpeed: 1.5,
+    windSpeed: 2,
+    gustStrength: 0.3,
+    fogNear: 400,
+    fogFar: 6000,
+    fogColor: 0xcfe0f0,
+    sunIntensity: 1,
+    hemiIntensity: 1,
+    exposure: 1,
+  }),
+  lightSnow: Object.freeze({
+    snowIntensity: 0.3,
+    snowSpeed: 2.5,
+    windSpeed: 4,
+    gustStrength: 0.4,
+    fogNear: 120,
+    fogFar: 1800,
+    fogColor: 0xd4dfea,
+    sunIntensity: 0.6,
+    hemiIntensity: 0.9,
+    exposure: 0.95,
+  }),
+  heavySnow: Object.freeze({
+    snowIntensity: 0.75,
+    snowSpeed: 3,
+    windSpeed: 7,
+    gustStrength: 0.5,
+    fogNear: 30,
+    fogFar: 500,
+    fogColor: 0xd8dee6,
+    sunIntensity: 0.3,
+    hemiIntensity: 0.8,
+    exposure: 0.9,
+  }),
+  blizzard: Object.freeze({
+    snowIntensity: 1,
+    snowSpeed: 4,
+    windSpeed: 16,
+    gustStrength: 0.8,
+    fogNear: 5,
+    fogFar: 140,
+    fogColor: 0xdde2e8,
+    sunIntensity: 0.12,
+    hemiIntensity: 0.7,
+    exposure: 0.85,
+  }),
+});
+
+const DEFAULT_TRANSITION_S = 10;
+
+// Gusts: how fast the gust noise runs (1/s) and how far the wind direction
+// swings either way (radians).
+const GUST_RATE = 0.35;
+const DIRECTION_RATE = 0.03;
+const DIRECTION_SWING = 0.6;
+
+// Seeded random numbers in [0, 1) (LCG; plenty for weather picks).
+function createRandom(seed) {
+  let s = seed >>> 0 || 1;
+  return () => {
+    s = (Math.imul(s, 1664525) + 1013904223) >>> 0;
+    return s / 4294967296;
+  };
+}
+
+// Smooth 1D value noise in 0..1 (seeded lattice, smoothstep between points).
+function createNoise1D(seed) {
+  const random = createRandom(seed);
+  const table = new Float32Array(256);
+  for (let i = 0; i < table.length; i++) table[i] = random();
+
+  const at = (t) => {
+    const i = Math.floor(t);
+    const f = t - i;
+    const a = table[i & 255];
+    const b = table[(i + 1) & 255];
+    return a + (b - a) * f * f * (3 - 2 * f);
+  };
+
+  // Two octaves: slow swells with quicker gusts on top.
+  return (t) => (at(t) * 2 + at(t * 2.7 + 31.3)) / 3;
+}
+
+function lerpParams(out, a, b, t) {
+  for (const key of Object.keys(b)) {
+    if (key === "fogColor") out.fogColor.copy(a.fogColor).lerp(b.fogColor, t);
+    else out[key] = a[key] + (b[key] - a[key]) * t;
+  }
+  return out;
+}
+
+// State as stored internally: fog color as a THREE.Color (so it can blend).
+// Custom states may leave fields out; those keep the clear-weather values.
+function toParams(state) {
+  const full = { ...WEATHER_STATES.clear, ...state };
+  return { ...full, fogColor: new THREE.Color(full.fogColor) };
+}
+
+function pickRange(r, rand) {
+  return Array.isArray(r) ? r[0] + (r[1] - r[0]) * rand() : r;
+}
+
+/**
+ * Creates the weather controller. Call update(dt) once per frame.
+ *
+ * @param {object} [opts]
+ * @param {import("./snow.js").default} [opts.snow]
+ * @param {THREE.DirectionalLight} [opts.sun]
+ * @param {THREE.HemisphereLight} [opts.hemi]
+ * @param {THREE.WebGLRenderer} [opts.renderer]   exposure
+ * @param {THREE.Scene} [opts.scene]              fog
+ * @param {string} [opts.state="clear"]           initial state (no transition)
+ * @param {Record<string, object>} [opts.states=WEATHER_STATES]  custom state table
+ * @param {THREE.Vector3} [opts.windDirection]    mean direction the wind blows to (XZ)
+ * @param {number} [opts.seed=1]                  gust noise seed
+ * @param {(params: object) => void} [opts.onUpdate] called after every update with
+ *        the live values ({ ...state numbers, fogColor: THREE.Color, wind: THREE.Vector3, state })
+ * @returns {{
+ *   update: (dt: number) => void,
+ *   setState: (name: string, opts?: { duration?: number }) => void,
+ *   getState: () => string,
+ *   params: object,
+ *   wind: THREE.Vector3,
+ *   setBase: (base: { sunIntensity?: number, hemiIntensity?: number, exposure?: number, fogBrightness?: number }) => void,
+ *   playSchedule: (steps: Array<{ state: string, transition?: number, hold?: number }>, opts?: { loop?: boolean }) => void,
+ *   playRandom: (opts?: object) => void,
+ *   stopSchedule: () => void,
+ *   states: Record<string, object>
+ * }}
+ */
+export function createWeather(opts = {}) {
+  const {
+    snow = null,
+    sun = null,
+    hemi = null,
+    renderer = null,
+    scene = null,
+    state: initialState = "clear",
+    states = WEATHER_STATES,
+    windDirection = new THREE.Vector3(1, 0, 0),
+    seed = 1,
+    onUpdate = null,
+  } = opts;
+
+  if (!states[initialState]) throw new Error(`Unknown weather state "${initialState}".`);
+
+  // Base values the multipliers apply to (time of day etc. may move them, see setBase()).
+  const base = {
+    sunIntensity: sun ? sun.intensity : 1,
+    hemiIntensity: hemi ? hemi.intensity : 1,
+    exposure: renderer ? renderer.toneMappingExposure : 1,
+    fogBrightness: 1,
+  };
+
+  if (scene && !scene.fog) scene.fog = new THREE.Fog(0xffffff, 1, 1000);
+
+  const windDir = new THREE.Vector3(windDirection.x, 0, windDirection.z).normalize();
+  const windAngle = Math.atan2(windDir.z, windDir.x);
+  const gustNoise = createNoise1D(seed);
+  const dirNoise = createNoise1D(seed + 7919);
+  const rand = createRandom(seed + 104729); // schedule picks (deterministic per seed)
+
+  let current = initialState;
+  const from = toParams(states[current]);
+  let to = toParams(states[current]);
+  const params = { ...toParams(states[current]), wind: new THREE.Vector3(), state: current };
+  let transitionT = 1;
+  let transitionS = 0;
+  let time = 0;
+
+  // Schedule: next() returns { state, transition, hold } or null when done.
+  let schedule = null;
+
+  /**
+   * Blends to a state over `duration` seconds (0 = at once). Starting a
+   * transition mid-way blends on from wherever the weather is right now.
+   */
+  function setState(name, { duration = DEFAULT_TRANSITION_S } = {}) {
+    if (!states[name]) throw new Error(`Unknown weather state "${name}".`);
+    lerpParams(from, params, to, 0); // the weather right now is the new start
+    to = toParams(states[name]);
+    current = name;
+    params.state = name;
+    transitionS = Math.max(0, duration);
+    transitionT = transitionS > 0 ? 0 : 1;
+  }
+
+  function runStep(step) {
+    setState(step.state, { duration: step.transition ?? DEFAULT_TRANSITION_S });
+    schedule.remaining = (step.transition ?? DEFAULT_TRANSITION_S) + (step.hold ?? 30);
+  }
+
+  /**
+   * Plays a scripted list of states, e.g.
+   *   [{ state: "lightSnow", transition: 8, hold: 20 }, { state: "blizzard", hold: 40 }]
+   * `transition` and `hold` are seconds; `loop` starts over at the end.
+   */
+  function playSchedule(steps, { loop = false } = {}) {
+    if (!steps.length) return stopSchedule();
+    let i = 0;
+    schedule = {
+      remaining: 0,
+      next: () => (i < steps.length ? steps[i++] : loop ? ((i = 1), steps[0]) : null),
+    };
+    runStep(schedule.next());
+  }
+
+  /**
+   * Keeps changing to a random other state. hold / transition are seconds,
+   * fixed or [min, max]; weights (per state name) make some states likelier.
+   */
+  function playRandom({
+    states: names = Object.keys(states),
+    weights = {},
+    hold = [40, 120],
+    transition = [8, 20],
+  } = {}) {
+    const pick = () => {
+      const options = names.filter((n) => n !== current);
+      const total = options.reduce((sum, n) => sum + (weights[n] ?? 1), 0);
+      let r = rand() * total;
+      for (const n of options) {
+        r -= weights[n] ?? 1;
+        if (r <= 0) return n;
+      }
+      return options[options.length - 1];
+    };
+
+    schedule = {
+      remaining: 0,
+      next: () => ({ state: pick(), transition: pickRange(transition, rand), hold: pickRange(hold, rand) }),
+    };
+    runStep(schedule.next());
+  }
+
+  function stopSchedule() {
+    schedule = null;
+  }
+
+  function setBase(values) {
+    for (const key of Object.keys(base)) {
+      if (Number.isFinite(values[key])) base[key] = values[key];
+    }
+  }
+
+  function update(dt) {
+    time += dt;
+
+    if (schedule) {
+      schedule.remaining -= dt;
+      if (schedule.remaining <= 0) {
+        const step = schedule.next();
+        if (step) runStep(step);
+        else schedule = null;
+      }
+    }
+
+    if (transitionT < 1) transitionT = Math.min(1, transitionT + dt / transitionS);
+    const t = transitionT * transitionT * (3 - 2 * transitionT); // ease in/out
+    lerpParams(params, from, to, t);
+
+    // Gusting wind around the state's mean speed and direction.
+    const gust = gustNoise(time * GUST_RATE) * 2 - 1;
+    const speed = Math.max(0, params.windSpeed * (1 + params.gustStrength * gust));
+    const angle = windAngle + (dirNoise(time * DIRECTION_RATE) * 2 - 1) * DIRECTION_SWING;
+    params.wind.set(Math.cos(angle) * speed, 0, Math.sin(angle) * speed);
+
+    if (snow) {
+      snow.setIntensity(params.snowIntensity);
+      snow.speed = params.snowSpeed;
+      snow.setWind(params.wind);
+    }
+    if (sun) sun.intensity = base.sunIntensity * params.sunIntensity;
+    if (hemi) hemi.intensity = base.hemiIntensity * params.hemiIntensity;
+    if (renderer) renderer.toneMappingExposure = base.exposure * params.exposure;
+    if (scene?.fog?.isFog) {
+      scene.fog.near = params.fogNear;
+      scene.fog.far = params.fogFar;
+      scene.fog.color.copy(params.fogColor).multiplyScalar(base.fogBrightness);
+    }
+
+    onUpdate?.(params);
+  }
+
+  update(0);
+
+  return {
+    update,
+    setState,
+    getState: () => current,
+    params,
+    wind: params.wind,
+    setBase,
+    playSchedule,
+    playRandom,
+    stopSchedule,
+    states,
+  };
+}
@@ -1,4 +1,10 @@
 // Loads a glTF file, normalizes its scale/orientation, drops it on the ground, and registers collisions.
+// Pass `terrain` (anything with userData.flattenUnder) to level a pad under the model
+// instead of sampling the ground at a single point.
+// Pass `snowCover` (createSnowCover() from environment/snowCover.js) to let snow
+// pile up on the model.
+// Pass `localLights` (createLocalLights() from environment/localLights.js) to
+// turn the model's light markers (lanterns, campfires, windows) into lights.
 import * as THREE from "three";
 import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
 import { registerCollidersFromObject } from "../collision/colliders.js";
@@ -14,6 +20,10 @@ export function loadSketchfabModel({
   yawDeg = 0,
   yOffset = 0,
   addToCollisions = true,
+  terrain = null,
+  padFalloff = 4.0,
+  snowCover = null,
+  localLights = null,
 }) {
   const loader = new GLTFLoader();
 
@@ -29,6 +39,8 @@ export function loadSketchfabModel({
         }
       });
 
+      snowCover?.apply(root);
+
       root.updateMatrixWorld(true);
       const box0 = new THREE.Box3().setFromObject(root);
       const size0 = new THREE.Vector3();
@@ -48,6 +60,13 @@ export function loadSketchfabModel({
       root.position.set(x, groundY - box1.min.y + yOffset, z);
 
       scene.add(root);
+      localLights?.addFromObject(root);
+
+      // Flat pad under the whole footprint: no floating/sunken corners on slopes.
+      if (terrain?.userData?.flattenUnder?.(root, { falloff: padFalloff }) != null) {
+        root.position.y += yOffset;
+        root.updateMatrixWorld(true);
+      }
 
       if (addToCollisions) {
         registerCollidersFromObject(root, { minSize: 0.05 });
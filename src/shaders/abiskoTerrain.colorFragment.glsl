@@ -5,12 +5,11 @@
 #include <color_fragment>
 
 // slope_deg.png assumption:
-// grayscale 0..1 corresponds to 0..90 degrees (adjust if your PNG was scaled differently)
-float slope01 = texture2D(uSlopeTex, vUvTerrain).r;
-float slopeDeg = slope01 * 90.0;
+// grayscale 0..1 corresponds to 0..90 degrees (adjust terrainSlopeDeg() if your PNG was scaled differently)
+float slopeDeg = terrainSlopeDeg();
 
-// Snow factor: 1 on flat, 0 on steep
-float snow = 1.0 - smoothstep(uSnowSlopeFull, uSnowSlopeNone, slopeDeg);
+// Snow factor: slope, snow line, aspect and season (see the header)
+float snow = terrainSnowCover(slopeDeg);
 
 // Hillshade: 0..1 (darker valleys, brighter ridges)
 float hill = texture2D(uHillTex, vUvTerrain).r;
@@ -19,8 +18,28 @@ float hill = texture2D(uHillTex, vUvTerrain).r;
 float n = noise2(vUvTerrain * 600.0);
 float micro = mix(0.92, 1.06, n);
 
+// Bare ground: gravel on gentle slopes, rock on steep ones
+float gravel = terrainGravelMask(slopeDeg);
+vec3 rockColor = uRockColor;
+vec3 gravelColor = uGravelColor;
+vec3 snowColor = uSnowColor;
+
+#ifdef TERRAIN_DETAIL
+// Close-up texture detail (triplanar, so cliffs don't stretch)
+rockColor *= terrainDetailAlbedo(uRockAlbedo, uDetailTileM.x);
+gravelColor *= terrainDetailAlbedo(uGravelAlbedo, uDetailTileM.y);
+snowColor *= terrainDetailAlbedo(uSnowAlbedo, uDetailTileM.z);
+#endif
+
+#ifdef TERRAIN_TRAILS
+// Trampled snow: packed trails turn dull grey, dent bottoms a little darker
+vec2 trail = terrainTrail();
+snowColor *= mix(vec3(1.0), uTrailPackedColor, trail.g);
+snowColor *= 1.0 - 0.1 * trail.r;
+#endif
+
 // Base albedo mix
-vec3 base = mix(uRockColor, uSnowColor, snow);
+vec3 base = mix(mix(rockColor, gravelColor, gravel), snowColor, snow);
 
 // Hillshade contrast (kept subtle, snow still mostly white)
 base *= mix(0.82, 1.10, hill);
@@ -0,0 +1,50 @@
+// abiskoTerrain.debugFragment.glsl
+// Replaces: #include <dithering_fragment> (the very last chunk of the shader)
+//
+// Debug views of the signals the other chunks compute. Selected at runtime by
+// uDebugView (a uniform, so switching never recompiles the program):
+//   0 = off (normal shading)
+//   1 = slope        (turbo ramp, 0..90 degrees)
+//   2 = snow mask    (black rock .. white snow)
+//   3 = hillshade    (raw texture value)
+//   4 = elevation    (turbo ramp over the tile's height range)
+//   5 = contours     (lines every uContourInterval meters over the lit terrain)
+//   6 = dune mask    (where/how strong the micro-dune ripples are)
+//   7 = sparkle mask (crystal glints)
+//
+// Relies on variables declared by the earlier chunks in the same main():
+// slopeDeg / snow / hill (color), snowFlat_n / dune (normal), sparkle (roughness).
+// Written after tone mapping + color space conversion on purpose: the values
+// show up on screen as-is.
+
+#include <dithering_fragment>
+
+if (uDebugView > 0) {
+  vec3 dbg = gl_FragColor.rgb;
+
+  if (uDebugView == 1) {
+    dbg = debugTurbo(slopeDeg / 90.0);
+  } else if (uDebugView == 2) {
+    dbg = vec3(snow);
+  } else if (uDebugView == 3) {
+    dbg = vec3(hill);
+  } else if (uDebugView == 4) {
+    dbg = debugTurbo((vTerrainElev - uElevRange.x) / max(uElevRange.y - uElevRange.x, 1e-3));
+  } else if (uDebugView == 5) {
+    // Anti-aliased lines at real elevations (meters above the vertical datum).
+    float e = (vTerrainElev + uElevBase) / uContourInterval;
+    float d = abs(fract(e - 0.5) - 0.5) / max(fwidth(e), 1e-5);
+
+    // Every 5th line is an index contour: thicker and darker.
+    float indexLine = 1.0 - step(0.5, abs(mod(floor(e + 0.5), 5.0)));
+    float line = 1.0 - smoothstep(0.0, mix(1.0, 2.0, indexLine), d);
+    dbg = mix(gl_FragColor.rgb, vec3(0.05, 0.07, 0.1), line * mix(0.6, 0.9, indexLine));
+  } else if (uDebugView == 6) {
+    // Ripple shape (dune in -0.75..0.75) inside the flat-snow mask.
+    dbg = vec3(snowFlat_n) * (0.55 + 0.45 * dune / 0.75);
+  } else if (uDebugView == 7) {
+    dbg = mix(vec3(snowFlat_n * 0.15), vec3(1.0, 0.85, 0.2), sparkle);
+  }
+
+  gl_FragColor = vec4(dbg, 1.0);
+}
@@ -8,8 +8,18 @@ uniform sampler2D uHillTex;
 uniform float uSnowSlopeFull;
 uniform float uSnowSlopeNone;
 
+// Seasonal snow cover (userData.setSnowCover(); season is applied on the CPU)
+uniform float uSnowLineM;         // real elevation of the snow line
+uniform float uSnowLineBlendM;    // width of the transition around the line
+uniform float uSnowAspectM;       // line shift per unit of normal.z (south faces up)
+
 uniform vec3 uSnowColor;
 uniform vec3 uRockColor;
+uniform vec3 uGravelColor;
+
+// Gravel: bare ground on gentle slopes once the snow is gone (rock above this range)
+uniform float uGravelSlopeFull;   // <= all gravel
+uniform float uGravelSlopeNone;   // >= all rock
 
 // Micro-dune (normal perturbation) controls
 uniform float uDuneStrength; // 0..1-ish
@@ -20,7 +30,42 @@ uniform float uSparkleStrength;   // 0..0.3
 uniform float uSparkleDensity;    // 1000..5000
 uniform float uSparkleThreshold;  // 0.97..0.995
 
+// Debug views (see abiskoTerrain.debugFragment.glsl)
+uniform int uDebugView;           // 0 = off
+uniform vec2 uElevRange;          // local height range of the tile (elevation ramp)
+uniform float uElevBase;          // meters added to local heights (real elevation, also snow line)
+uniform float uContourInterval;   // meters between contour lines
+
 varying vec2 vUvTerrain;
+varying float vTerrainElev;       // local height (shifted meters)
+varying vec3 vTerrainNormal;      // local normal (+Z = south), for aspect
+
+#ifdef TERRAIN_DETAIL
+// Triplanar detail textures (terrainDetailTextures.js), tiled in world meters
+uniform sampler2D uRockAlbedo;
+uniform sampler2D uRockNormal;
+uniform sampler2D uGravelAlbedo;
+uniform sampler2D uGravelNormal;
+uniform sampler2D uSnowAlbedo;
+uniform sampler2D uSnowNormal;
+uniform vec3 uDetailTileM;        // meters per repeat: rock, gravel, snow
+uniform vec3 uDetailNormalScale;  // normal map strength: rock, gravel, snow
+uniform float uDetailFarTiling;   // far layer repeats this many times larger
+uniform vec2 uDetailFarBlendM;    // near -> far tiling blend (view distance)
+uniform float uDetailFadeM;       // detail gone (flat colors only) beyond this
+
+varying vec3 vTerrainWorldPos;
+varying vec3 vTerrainWorldNormal;
+#endif
+
+#ifdef TERRAIN_TRAILS
+// Footprints and packed trails (snowTrails.js), in terrain UV space
+uniform sampler2D uTrailTex;      // R = footprint dent, G = packed snow (0..1)
+uniform vec2 uTrailTexel;         // one texel in UV
+uniform vec2 uTrailTexelM;        // one texel in meters (along u, v)
+uniform vec2 uTrailDepthM;        // depth at 1.0: dent, packed
+uniform vec3 uTrailPackedColor;   // multiplies the snow color on packed trails
+#endif
 
 // --- tiny hash / noise helpers (fast, cheap) ---
 float hash21(vec2 p) {
@@ -42,3 +87,152 @@ float noise2(vec2 p) {
   vec2 u = f * f * (3.0 - 2.0 * f);
   return mix(a, b, u.x) + (c - a) * u.y * (1.0 - u.x) + (d - b) * u.x * u.y;
 }
+
+// Slope in degrees from the slope texture (0..1 == 0..90 degrees)
+float terrainSlopeDeg() {
+  return texture2D(uSlopeTex, vUvTerrain).r * 90.0;
+}
+
+// Snow cover 0..1, the one snow mask for the color, roughness and normal chunks.
+// CPU twin: snowCoverFactor() in terrainQueries.js (without the line noise).
+//  - slope:     snow doesn't hold on steep faces
+//  - elevation: nothing below the snow line (which rises with the season)
+//  - aspect:    sun-facing south slopes melt first, so their line sits higher
+float terrainSnowCover(float slopeDeg) {
+  float slopeSnow = 1.0 - smoothstep(uSnowSlopeFull, uSnowSlopeNone, slopeDeg);
+
+  float line = uSnowLineM + uSnowAspectM * normalize(vTerrainNormal).z;
+  // Break up the line so melting leaves patches, not a contour.
+  line += (noise2(vUvTerrain * 40.0) - 0.5) * uSnowLineBlendM;
+
+  float halfBlend = max(uSnowLineBlendM * 0.5, 1e-3);
+  float elevSnow = smoothstep(line - halfBlend, line + halfBlend, vTerrainElev + uElevBase);
+
+  return slopeSnow * elevSnow;
+}
+
+// Gravel vs rock where there is no snow: 1 on gentle ground, 0 on cliffs
+float terrainGravelMask(float slopeDeg) {
+  return 1.0 - smoothstep(uGravelSlopeFull, uGravelSlopeNone, slopeDeg);
+}
+
+#ifdef TERRAIN_DETAIL
+// ---- Triplanar detail ----
+//
+// Each face is textured by the projection it faces most (YZ, XZ, XY planes),
+// blended where it turns, so cliffs get undistorted rock instead of the
+// stretched UV mapping. Two tilings (near + a larger far one) are blended by
+// distance to hide repetition, and all detail fades out at uDetailFadeM.
+
+vec3 terrainTriplanarWeights(vec3 n) {
+  vec3 w = pow(abs(n), vec3(4.0)); // sharpen: narrow transition bands
+  return w / (w.x + w.y + w.z);
+}
+
+float terrainDetailFar() {
+  return smoothstep(uDetailFarBlendM.x, uDetailFarBlendM.y, length(vViewPosition));
+}
+
+float terrainDetailFade() {
+  return 1.0 - smoothstep(uDetailFadeM * 0.6, uDetailFadeM, length(vViewPosition));
+}
+
+vec3 triplanarRGB(sampler2D tex, vec3 p, vec3 w) {
+  return texture2D(tex, p.zy).rgb * w.x + texture2D(tex, p.xz).rgb * w.y + texture2D(tex, p.xy).rgb * w.z;
+}
+
+// Albedo as variation around the texture's own average color (last mip):
+// 1.0 == average, so it multiplies onto the flat terrain colors.
+vec3 terrainDetailAlbedo(sampler2D tex, float tileM) {
+  vec3 w = terrainTriplanarWeights(normalize(vTerrainWorldNormal));
+  vec3 p = vTerrainWorldPos / tileM;
+
+  vec3 c = mix(triplanarRGB(tex, p, w), triplanarRGB(tex, p / uDetailFarTiling, w), terrainDetailFar());
+  vec3 avg = textureLod(tex, vec2(0.5), 16.0).rgb;
+
+  return mix(vec3(1.0), c / max(avg, vec3(1e-3)), terrainDetailFade());
+}
+
+// Tangent-space normal maps on the three planes, "whiteout" blended onto the
+// surface normal (Ben Golus, "Normal Mapping for a Triplanar Shader").
+vec3 triplanarNormal(sampler2D tex, vec3 p, vec3 n, vec3 w, float strength) {
+  vec3 tx = texture2D(tex, p.zy).xyz * 2.0 - 1.0;
+  vec3 ty = texture2D(tex, p.xz).xyz * 2.0 - 1.0;
+  vec3 tz = texture2D(tex, p.xy).xyz * 2.0 - 1.0;
+  tx.xy *= strength;
+  ty.xy *= strength;
+  tz.xy *= strength;
+
+  tx = vec3(tx.xy + n.zy, abs(tx.z) * n.x);
+  ty = vec3(ty.xy + n.xz, abs(ty.z) * n.y);
+  tz = vec3(tz.xy + n.xy, abs(tz.z) * n.z);
+  return normalize(tx.zyx * w.x + ty.xzy * w.y + tz.xyz * w.z);
+}
+
+// Detailed WORLD normal for one layer (near/far tilings blended).
+vec3 terrainDetailNormal(sampler2D tex, float tileM, float strength) {
+  vec3 n = normalize(vTerrainWorldNormal);
+  vec3 w = terrainTriplanarWeights(n);
+  vec3 p = vTerrainWorldPos / tileM;
+
+  vec3 nearN = triplanarNormal(tex, p, n, w, strength);
+  vec3 farN = triplanarNormal(tex, p / uDetailFarTiling, n, w, strength);
+  return normalize(mix(nearN, farN, terrainDetailFar()));
+}
+#endif
+
+#ifdef TERRAIN_TRAILS
+// ---- Snow trails ----
+
+vec2 terrainTrail() {
+  return texture2D(uTrailTex, vUvTerrain).rg;
+}
+
+float terrainTrailDepth(vec2 uv) {
+  return dot(texture2D(uTrailTex, uv).rg, uTrailDepthM);
+}
+
+// Tilts the view-space normal `n` into the dents (amount 0..1, e.g. the snow
+// mask). The depth gradient is taken along u / v in meters; their view-space
+// directions come from screen derivatives, like the dune bump. Faded out with
+// distance, where a texel is smaller than a pixel and would only shimmer.
+vec3 terrainTrailNormal(vec3 n, float amount) {
+  vec2 du = vec2(uTrailTexel.x, 0.0);
+  vec2 dv = vec2(0.0, uTrailTexel.y);
+  vec2 grad = vec2(
+    terrainTrailDepth(vUvTerrain + du) - terrainTrailDepth(vUvTerrain - du),
+    terrainTrailDepth(vUvTerrain + dv) - terrainTrailDepth(vUvTerrain - dv)
+  ) / (2.0 * uTrailTexelM);
+
+  vec3 dpdx = dFdx(vViewPosition);
+  vec3 dpdy = dFdy(vViewPosition);
+  vec2 dtdx = dFdx(vUvTerrain);
+  vec2 dtdy = dFdy(vUvTerrain);
+  float flip = (dtdx.s * dtdy.t - dtdy.s * dtdx.t) < 0.0 ? -1.0 : 1.0;
+  vec3 T = normalize(dpdx * dtdy.t - dpdy * dtdx.t) * flip; // +u
+  vec3 B = normalize(-dpdx * dtdy.s + dpdy * dtdx.s) * flip; // +v
+
+  // Surface height is -depth: the normal leans towards where it gets deeper.
+  amount *= 1.0 - smoothstep(60.0, 120.0, length(vViewPosition));
+  return normalize(n + (T * grad.x + B * grad.y) * amount);
+}
+#endif
+
+// Turbo color ramp (polynomial fit, Google AI 2019), t in 0..1.
+vec3 debugTurbo(float t) {
+  const vec4 kRed = vec4(0.13572138, 4.61539260, -42.66032258, 132.13108234);
+  const vec4 kGreen = vec4(0.09140261, 2.19418839, 4.84296658, -14.18503333);
+  const vec4 kBlue = vec4(0.10667330, 12.64194608, -60.58204836, 110.36276771);
+  const vec2 kRed2 = vec2(-152.94239396, 59.28637943);
+  const vec2 kGreen2 = vec2(4.27729857, 2.82956604);
+  const vec2 kBlue2 = vec2(-89.90310912, 27.34824973);
+
+  t = clamp(t, 0.0, 1.0);
+  vec4 v4 = vec4(1.0, t, t * t, t * t * t);
+  vec2 v2 = v4.zw * v4.z;
+  return vec3(
+    dot(v4, kRed) + dot(v2, kRed2),
+    dot(v4, kGreen) + dot(v2, kGreen2),
+    dot(v4, kBlue) + dot(v2, kBlue2)
+  );
+}
@@ -4,13 +4,32 @@
 // Goal: micro-dune / wind ripples only on flatter snow.
 // We do a tiny bump-like normal perturbation in view space using derivatives.
 // This is intentionally subtle: too strong looks like sand, not snow.
+//
+// Before the dunes: triplanar detail normals (rock / gravel / snow) when the
+// material is built with TERRAIN_DETAIL, and footprint dents (TERRAIN_TRAILS).
 
 #include <normal_fragment_maps>
 
-// Compute slope + snow again (cheap and keeps behavior consistent)
-float slope01_n = texture2D(uSlopeTex, vUvTerrain).r;
-float slopeDeg_n = slope01_n * 90.0;
-float snow_n = 1.0 - smoothstep(uSnowSlopeFull, uSnowSlopeNone, slopeDeg_n);
+// Same slope + snow mask as the color logic (shared header functions)
+float slopeDeg_n = terrainSlopeDeg();
+float snow_n = terrainSnowCover(slopeDeg_n);
+
+#ifdef TERRAIN_DETAIL
+// Detail normals of the three layers, blended like the albedo (world space ->
+// view space, where `normal` lives).
+float gravel_n = terrainGravelMask(slopeDeg_n);
+vec3 detailWorldN =
+  terrainDetailNormal(uRockNormal, uDetailTileM.x, uDetailNormalScale.x) * (1.0 - snow_n) * (1.0 - gravel_n) +
+  terrainDetailNormal(uGravelNormal, uDetailTileM.y, uDetailNormalScale.y) * (1.0 - snow_n) * gravel_n +
+  terrainDetailNormal(uSnowNormal, uDetailTileM.z, uDetailNormalScale.z) * snow_n;
+vec3 detailViewN = normalize((viewMatrix * vec4(normalize(detailWorldN), 0.0)).xyz);
+normal = normalize(mix(normal, detailViewN, terrainDetailFade()));
+#endif
+
+#ifdef TERRAIN_TRAILS
+// Footprints and trail edges, only where there is snow to press
+normal = terrainTrailNormal(normal, snow_n);
+#endif
 
 float flatMask_n = 1.0 - smoothstep(10.0, 25.0, slopeDeg_n);
 float snowFlat_n = snow_n * flatMask_n;
@@ -28,6 +47,10 @@ float dune =
 
 dune *= snowFlat_n;
 
+#ifdef TERRAIN_TRAILS
+dune *= 1.0 - terrainTrail().g; // trampled flat
+#endif
+
 // Convert dune “height” into a small normal perturbation using screen-space derivatives.
 // We operate in view space; vViewPosition exists in MeshStandardMaterial fragment.
 float h = dune;
@@ -3,11 +3,9 @@
 
 #include <roughnessmap_fragment>
 
-// Re-sample slope to stay consistent with color logic
-float slope01_r = texture2D(uSlopeTex, vUvTerrain).r;
-float slopeDeg_r = slope01_r * 90.0;
-
-float snow_r = 1.0 - smoothstep(uSnowSlopeFull, uSnowSlopeNone, slopeDeg_r);
+// Same slope + snow mask as the color logic (shared header functions)
+float slopeDeg_r = terrainSlopeDeg();
+float snow_r = terrainSnowCover(slopeDeg_r);
 
 // Base roughness: rocks slightly less rough than snow
 float baseRough = mix(0.65, 0.95, snow_r);
@@ -23,6 +21,10 @@ float crystal = step(uSparkleThreshold, rnd); // mostly 0, sometimes 1
 
 // Sparkle reduces roughness locally -> sharper specular glints
 float sparkle = crystal * snowFlat;
+
+#ifdef TERRAIN_TRAILS
+sparkle *= 1.0 - terrainTrail().g; // packed snow has no loose crystals
+#endif
 float rough = baseRough - sparkle * uSparkleStrength;
 
 // Keep physically reasonable bounds
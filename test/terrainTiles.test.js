@@ -0,0 +1,142 @@
+// test/terrainTiles.test.js
+// -----------------------------------------------------------------------------
+// Tile seams under edits: two tiles side by side, edited across their border.
+//
+// The tiles come from a small stand-in factory (createTile option) with the
+// same heightfield API as abiskoTerrain.js, on top of the real heightfield,
+// query and edit code, so no DEM, worker or WebGL is needed.
+// -----------------------------------------------------------------------------
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { createTerrainTileManager } from "../src/environment/terrainTiles.js";
+import { computeHeightfieldNormals, updateHeightfieldNormals } from "../src/environment/heightfield.js";
+import { sampleHeight } from "../src/environment/terrainQueries.js";
+import { createEditMask, sumHeightsInMask, applyHeightEdit } from "../src/environment/terrainEdit.js";
+
+const TILE_SIZE = 1000;
+const SAMPLES = 51;
+
+// One continuous landscape (world meters) the tiles are cut from.
+const ground = (x, z) => 0.2 * x + 40 * Math.sin(x / 300) + 25 * Math.cos(z / 200);
+
+function createTestTile({ demOptions }) {
+  const terrain = new THREE.Group();
+  const cell = TILE_SIZE / (SAMPLES - 1);
+  const heights = new Float32Array(SAMPLES * SAMPLES);
+  const hf = { heights, normals: null, width: SAMPLES, height: SAMPLES, sizeX: TILE_SIZE, sizeZ: TILE_SIZE };
+  const ud = terrain.userData;
+
+  // Heights are filled once the manager has placed the tile (see below).
+  ud.fill = () => {
+    for (let y = 0; y < SAMPLES; y++) {
+      for (let x = 0; x < SAMPLES; x++) {
+        heights[y * SAMPLES + x] = ground(
+          terrain.position.x - TILE_SIZE / 2 + x * cell,
+          terrain.position.z - TILE_SIZE / 2 + y * cell
+        );
+      }
+    }
+    hf.normals = computeHeightfieldNormals(heights, SAMPLES, SAMPLES, cell, cell);
+  };
+
+  const toLocal = (shape) => ({
+    center: shape.center && { x: shape.center.x - terrain.position.x, z: shape.center.z - terrain.position.z },
+    radius: shape.radius,
+    falloff: shape.falloff ?? 0,
+  });
+  const edit = (shape, op) => {
+    const region = applyHeightEdit(hf, createEditMask(toLocal(shape)), op);
+    if (region) ud.refreshHeights(region.x0, region.y0, region.x1, region.y1);
+    ud.lastEditRegion = region;
+    return region;
+  };
+
+  Object.assign(ud, {
+    elevBaseM: 0,
+    terrainSizeXM: demOptions.sizeM,
+    terrainSizeZM: demOptions.sizeM,
+    heightfield: hf,
+    lastEditRegion: null,
+    getHeightAtLocalXZ: (x, z) => sampleHeight(hf, x, z),
+    getHeightAtWorldXZ: (x, z) => sampleHeight(hf, x - terrain.position.x, z - terrain.position.z),
+    refreshHeights: (x0, y0, x1, y1) =>
+      updateHeightfieldNormals(hf.normals, heights, SAMPLES, SAMPLES, cell, cell, x0 - 1, y0 - 1, x1 + 1, y1 + 1),
+    refreshNormals: () => {},
+    getHeightSumIn: (shape) => sumHeightsInMask(hf, createEditMask(toLocal({ ...shape, falloff: 0 }))),
+    flatten: (shape) => (edit(shape, { mode: "flatten", height: shape.height }) ? shape.height : null),
+    raise: (shape) => !!edit(shape, { mode: "raise", amount: shape.amount ?? 1 }),
+    smooth: (shape) => !!edit(shape, { mode: "smooth", strength: shape.strength, iterations: shape.iterations }),
+    updateLod: () => {},
+  });
+
+  // The manager positions the tile right after creating it; fill on the next add.
+  terrain.addEventListener("added", ud.fill);
+  return Promise.resolve(terrain);
+}
+
+async function loadTwoTiles() {
+  const manager = createTerrainTileManager({
+    index: { tileSizeM: TILE_SIZE, tiles: [{ x: 0, z: 0 }, { x: 1, z: 0 }] },
+    createTile: createTestTile,
+  });
+  await manager.loadAround(new THREE.Vector3(0, 0, 0));
+  while (manager.getLoadedTiles().length < 2) await new Promise((resolve) => setTimeout(resolve, 5));
+  const [west, east] = manager.getLoadedTiles().sort((a, b) => a.position.x - b.position.x);
+  return { manager, west, east };
+}
+
+// Largest angle (degrees) between the two tiles' normals along their shared
+// edge (west tile's east column vs east tile's west column).
+function seamCrease(west, east) {
+  const a = west.userData.heightfield.normals;
+  const b = east.userData.heightfield.normals;
+  const na = new THREE.Vector3();
+  const nb = new THREE.Vector3();
+  let worst = 0;
+  for (let y = 0; y < SAMPLES; y++) {
+    na.fromArray(a, 3 * (y * SAMPLES + SAMPLES - 1));
+    nb.fromArray(b, 3 * (y * SAMPLES));
+    worst = Math.max(worst, THREE.MathUtils.radToDeg(na.angleTo(nb)));
+  }
+  return worst;
+}
+
+test("stitched tiles share their seam normals", async () => {
+  const { west, east } = await loadTwoTiles();
+  assert.ok(seamCrease(west, east) < 1e-3);
+});
+
+test("edits across a tile border keep the seam closed and crease-free", async () => {
+  const { manager, west, east } = await loadTwoTiles();
+  const shape = { center: { x: TILE_SIZE / 2, z: 0 }, radius: 120, falloff: 80 };
+
+  assert.equal(manager.raise({ ...shape, amount: 15 }), true);
+  assert.ok(seamCrease(west, east) < 1e-3, "raise");
+
+  assert.equal(manager.smooth({ ...shape, strength: 0.5, iterations: 2 }), true);
+  assert.ok(seamCrease(west, east) < 1e-3, "smooth");
+
+  assert.notEqual(manager.flatten(shape), null);
+  assert.ok(seamCrease(west, east) < 1e-3, "flatten");
+
+  // Both sides of the seam still have the same heights.
+  for (let y = 0; y < SAMPLES; y++) {
+    const hw = west.userData.heightfield.heights[y * SAMPLES + SAMPLES - 1];
+    const he = east.userData.heightfield.heights[y * SAMPLES];
+    assert.ok(Math.abs(hw - he) < 1e-3);
+  }
+});
+
+test("the flatten level weighs each tile by its samples in the shape", async () => {
+  const { manager, west, east } = await loadTwoTiles();
+  // Mostly on the east tile, just reaching over the border.
+  const shape = { center: { x: TILE_SIZE / 2 + 90, z: 0 }, radius: 100 };
+
+  const w = west.userData.getHeightSumIn(shape);
+  const e = east.userData.getHeightSumIn(shape);
+  assert.ok(w.count < e.count);
+  const expected = (w.sum + e.sum) / (w.count + e.count);
+  assert.ok(Math.abs(manager.root.userData.getAverageHeightIn(shape) - expected) < 1e-6);
+});